@@ -0,0 +1,349 @@
+/* CNF builder helpers: the variable pool, cardinality encodings and the
+   other clause gadgets used to encode scenario rules. */
+
+import { mulberry32 } from "./random.js";
+
+export function varPool() {
+  let next = 1;
+  const id = new Map();
+  const rev = new Map();
+  return {
+    get(name) {
+      if (!id.has(name)) {
+        id.set(name, next);
+        rev.set(next, name);
+        next++;
+      }
+      return id.get(name);
+    },
+    has(name) {
+      return id.has(name);
+    },
+    getExisting(name) {
+      if (!id.has(name)) throw new Error(`Unknown SAT variable: ${name}`);
+      return id.get(name);
+    },
+    count() {
+      return next - 1;
+    },
+    rev,
+  };
+}
+
+export function atLeastOne(cl) {
+  // OR over literals (already in int form)
+  return [cl];
+}
+
+export function atMostOne(vars) {
+  // pairwise
+  const out = [];
+  for (let i = 0; i < vars.length; i++)
+    for (let j = i + 1; j < vars.length; j++) {
+      out.push([-vars[i], -vars[j]]);
+    }
+  return out;
+}
+
+export function exactlyOne(vars) {
+  return [...atLeastOne(vars), ...atMostOne(vars)];
+}
+
+export function atLeastK(vars, k) {
+  if (k <= 0) return [];
+  const n = vars.length;
+  if (k > n) return [[]];
+  const targetSize = n - k + 1;
+  const combos = [];
+  function backtrack(start, chosen) {
+    if (chosen.length === targetSize) {
+      combos.push(chosen.slice());
+      return;
+    }
+    for (let i = start; i < n; i++) {
+      chosen.push(vars[i]);
+      backtrack(i + 1, chosen);
+      chosen.pop();
+    }
+  }
+  backtrack(0, []);
+  return combos;
+}
+
+export function atMostK(vars, k) {
+  if (k < 0) return [[]];
+  if (k >= vars.length) return [];
+  const combos = [];
+  function backtrack(start, chosen) {
+    if (chosen.length === k + 1) {
+      combos.push(chosen.map((v) => -v));
+      return;
+    }
+    for (let i = start; i < vars.length; i++) {
+      chosen.push(vars[i]);
+      backtrack(i + 1, chosen);
+      chosen.pop();
+    }
+  }
+  backtrack(0, []);
+  return combos;
+}
+
+export function buildTotalizer(vars, vp, clauses, prefix) {
+  let nodeCounter = 0;
+
+  function helper(list, tag) {
+    if (!list.length) return [];
+    if (list.length === 1) return [list[0]];
+
+    const mid = Math.floor(list.length / 2);
+    const left = helper(list.slice(0, mid), `${tag}L`);
+    const right = helper(list.slice(mid), `${tag}R`);
+
+    const id = `${tag}_${nodeCounter++}`;
+    const outLen = left.length + right.length;
+    const out = new Array(outLen);
+
+    for (let i = 0; i < outLen; i++) {
+      out[i] = vp.get(`${prefix}_${id}_${i + 1}`);
+    }
+
+    for (let i = 1; i < out.length; i++) {
+      clauses.push([-out[i], out[i - 1]]);
+    }
+    for (let i = 0; i < left.length; i++) {
+      clauses.push([-left[i], out[i]]);
+    }
+    for (let j = 0; j < right.length; j++) {
+      clauses.push([-right[j], out[j]]);
+    }
+    for (let i = 0; i < left.length; i++) {
+      for (let j = 0; j < right.length; j++) {
+        const idx = i + j + 1;
+        if (idx < out.length) {
+          clauses.push([-left[i], -right[j], out[idx]]);
+        }
+      }
+    }
+
+    for (let i = 0; i < out.length; i++) {
+      const support = [];
+      if (i < left.length) support.push(left[i]);
+      if (i < right.length) support.push(right[i]);
+
+      for (let a = 0; a < left.length; a++) {
+        for (let b = 0; b < right.length; b++) {
+          if (a + b + 1 !== i) continue;
+          const comb = vp.get(`${prefix}_${id}_comb_${i}_${a}_${b}`);
+          clauses.push([-comb, left[a]]);
+          clauses.push([-comb, right[b]]);
+          clauses.push([comb, -left[a], -right[b]]);
+          support.push(comb);
+        }
+      }
+
+      if (support.length === 0) {
+        clauses.push([-out[i]]);
+      } else {
+        clauses.push([-out[i], ...support]);
+      }
+    }
+    return out;
+  }
+
+  return helper(vars, prefix);
+}
+
+// Sinz sequential counter for "at most k of lits". Register R_{i,j} holds
+// when at least j + 1 of the first i + 1 literals are true; only the overflow
+// clauses carry the guard, so the registers stay free when it is false.
+export function buildSequentialCounter(lits, k, vp, clauses, prefix, guard) {
+  const n = lits.length;
+  const when = guard ? [-guard] : [];
+  if (k >= n) return;
+  if (k <= 0) {
+    for (const lit of lits) clauses.push([...when, -lit]);
+    return;
+  }
+
+  const reg = [];
+  for (let i = 0; i < n - 1; i++) {
+    reg.push(
+      Array.from({ length: k }, (_, j) => vp.get(`${prefix}_R_${i}_${j}`)),
+    );
+  }
+  clauses.push([-lits[0], reg[0][0]]);
+  for (let j = 1; j < k; j++) clauses.push([-reg[0][j]]);
+  for (let i = 1; i < n - 1; i++) {
+    clauses.push([-lits[i], reg[i][0]]);
+    clauses.push([-reg[i - 1][0], reg[i][0]]);
+    for (let j = 1; j < k; j++) {
+      clauses.push([-lits[i], -reg[i - 1][j - 1], reg[i][j]]);
+      clauses.push([-reg[i - 1][j], reg[i][j]]);
+    }
+    clauses.push([...when, -lits[i], -reg[i - 1][k - 1]]);
+  }
+  clauses.push([...when, -lits[n - 1], -reg[n - 2][k - 1]]);
+}
+
+// Batcher odd-even merge sorting network. Returns outputs sorted with true
+// values first, so out[i] holds exactly when at least i + 1 inputs are true.
+export function buildCardinalityNetwork(lits, vp, clauses, prefix) {
+  if (lits.length <= 1) return [...lits];
+  let size = 1;
+  while (size < lits.length) size *= 2;
+  let counter = 0;
+  const padded = [...lits];
+  if (padded.length < size) {
+    const falseLit = vp.get(`${prefix}_F`);
+    clauses.push([-falseLit]);
+    while (padded.length < size) padded.push(falseLit);
+  }
+
+  function comparator(a, b) {
+    const high = vp.get(`${prefix}_${counter}_H`);
+    const low = vp.get(`${prefix}_${counter}_L`);
+    counter++;
+    clauses.push([-a, high], [-b, high], [a, b, -high]);
+    clauses.push([-a, -b, low], [a, -low], [b, -low]);
+    return [high, low];
+  }
+
+  function merge(a, b) {
+    if (a.length === 1) return comparator(a[0], b[0]);
+    const odd = merge(
+      a.filter((_, i) => i % 2 === 0),
+      b.filter((_, i) => i % 2 === 0),
+    );
+    const even = merge(
+      a.filter((_, i) => i % 2 === 1),
+      b.filter((_, i) => i % 2 === 1),
+    );
+    const out = [odd[0]];
+    for (let i = 0; i < even.length - 1; i++) {
+      out.push(...comparator(even[i], odd[i + 1]));
+    }
+    out.push(even[even.length - 1]);
+    return out;
+  }
+
+  function sort(list) {
+    if (list.length === 1) return list;
+    const half = list.length / 2;
+    return merge(sort(list.slice(0, half)), sort(list.slice(half)));
+  }
+
+  return sort(padded).slice(0, lits.length);
+}
+
+function binomial(n, k) {
+  let out = 1;
+  for (let i = 1; i <= k; i++) out = (out * (n - k + i)) / i;
+  return Math.round(out);
+}
+
+function networkComparators(size) {
+  const mergeCost = (n) => (n === 1 ? 1 : 2 * mergeCost(n / 2) + n - 1);
+  const sortCost = (n) =>
+    n === 1 ? 0 : 2 * sortCost(n / 2) + mergeCost(n / 2);
+  return sortCost(size);
+}
+
+// Picks the encoding with the fewest clauses for "at most k of n":
+// "combinations" (one clause per (k + 1)-subset, no helper variables),
+// "sequential" (about 2nk clauses) or "network" (six clauses per comparator).
+export function cardinalityEncoding(n, k) {
+  if (k <= 0 || k >= n) return "combinations";
+  let size = 1;
+  while (size < n) size *= 2;
+  const costs = {
+    combinations: binomial(n, k + 1),
+    sequential: 2 * n * k + n,
+    network: 6 * networkComparators(size),
+  };
+  return Object.keys(costs).reduce((best, name) =>
+    costs[name] < costs[best] ? name : best,
+  );
+}
+
+// At most k of lits, enforced only when guard (a literal) is true if given.
+export function encodeAtMostK(lits, k, vp, clauses, prefix, guard) {
+  const when = guard ? [-guard] : [];
+  const encoding = cardinalityEncoding(lits.length, k);
+  if (encoding === "combinations") {
+    for (const clause of atMostK(lits, k)) clauses.push([...when, ...clause]);
+  } else if (encoding === "sequential") {
+    buildSequentialCounter(lits, k, vp, clauses, prefix, guard);
+  } else {
+    const sorted = buildCardinalityNetwork(lits, vp, clauses, prefix);
+    clauses.push([...when, -sorted[k]]);
+  }
+}
+
+// At least k of lits, as at most n - k of their negations.
+export function encodeAtLeastK(lits, k, vp, clauses, prefix, guard) {
+  if (k > lits.length) {
+    clauses.push(guard ? [-guard] : []);
+    return;
+  }
+  encodeAtMostK(
+    lits.map((lit) => -lit),
+    lits.length - k,
+    vp,
+    clauses,
+    prefix,
+    guard,
+  );
+}
+
+// Requires a <=lex b for two equally long literal vectors, with false before
+// true. EQ_k is forced when the first k positions agree; nothing forces it
+// false, so the solver may leave it unset wherever the prefixes differ.
+export function encodeLexLeq(a, b, vp, clauses, prefix) {
+  let equal = null;
+  for (let k = 0; k < a.length; k++) {
+    const guard = equal ? [-equal] : [];
+    clauses.push([...guard, -a[k], b[k]]);
+    if (k + 1 === a.length) break;
+    const next = vp.get(`${prefix}_EQ_${k + 1}`);
+    clauses.push([...guard, -a[k], -b[k], next]);
+    clauses.push([...guard, a[k], b[k], next]);
+    equal = next;
+  }
+}
+
+// Tseitin chain for the parity of lits: returns a literal that is true
+// exactly when an odd number of them hold. Nothing is asserted, so the caller
+// can require either parity with a unit clause or an assumption.
+export function encodeXor(lits, vp, clauses, prefix) {
+  if (lits.length === 0) {
+    const none = vp.get(`${prefix}_EMPTY`);
+    clauses.push([-none]);
+    return none;
+  }
+  let acc = lits[0];
+  for (let k = 1; k < lits.length; k++) {
+    const next = vp.get(`${prefix}_${k}`);
+    const lit = lits[k];
+    clauses.push([-next, acc, lit]);
+    clauses.push([-next, -acc, -lit]);
+    clauses.push([next, -acc, lit]);
+    clauses.push([next, acc, -lit]);
+    acc = next;
+  }
+  return acc;
+}
+
+// Random XOR hash over vars: each of the count constraints takes every
+// variable with probability density and asks for a random parity. Sparse
+// constraints keep the CDCL search fast. The first m constraints of a seed
+// never depend on count, so adding constraints only splits existing cells.
+export function randomXorHash(vars, count, seed, density = 0.5) {
+  const rng = mulberry32(seed);
+  const hash = [];
+  for (let i = 0; i < count; i++) {
+    const lits = vars.filter(() => rng() < density);
+    hash.push({ lits, parity: rng() < 0.5 });
+  }
+  return hash;
+}
@@ -0,0 +1,204 @@
+/* Map diagnostics: analyzeMap reports how a room map shapes the puzzle and
+   which scenarios it can host, before anything is solved. Rooms are named by
+   id, in map order. */
+
+import { capacityShortfall, neighbors } from "./map.js";
+import { getScenario, listScenarios } from "./scenario-registry.js";
+
+// Scenarios whose shortest workable timeline the report looks for.
+const TIMELINE_SCENARIOS = ["s15", "s16", "s18"];
+
+// Move counts from start to every room index; unreachable rooms are Infinity.
+function distancesFrom(nbr, start) {
+  const distances = nbr.map(() => Infinity);
+  distances[start] = 0;
+  const queue = [start];
+  while (queue.length) {
+    const room = queue.shift();
+    for (const next of nbr[room]) {
+      if (distances[next] !== Infinity) continue;
+      distances[next] = distances[room] + 1;
+      queue.push(next);
+    }
+  }
+  return distances;
+}
+
+// Two-colours the rooms along passages in either direction. Returns the side
+// (0 or 1) of each room index, or null when an odd cycle rules it out.
+function bipartition(adjacent) {
+  const side = adjacent.map(() => null);
+  for (let start = 0; start < adjacent.length; start++) {
+    if (side[start] !== null) continue;
+    side[start] = 0;
+    const queue = [start];
+    while (queue.length) {
+      const room = queue.shift();
+      for (const next of adjacent[room]) {
+        if (side[next] === null) {
+          side[next] = 1 - side[room];
+          queue.push(next);
+        } else if (side[next] === side[room]) {
+          return null;
+        }
+      }
+    }
+  }
+  return side;
+}
+
+// Whether some room starts a walk of the given number of moves.
+function canWalk(nbr, moves) {
+  let starts = nbr.map(() => true);
+  for (let k = 0; k < moves; k++) {
+    starts = nbr.map((next) => next.some((room) => starts[room]));
+  }
+  return starts.some(Boolean);
+}
+
+// Why scenario cannot run on the map for T timesteps, or null when it can.
+// Besides the scenario's own checks, everyone must be able to keep moving
+// unless the scenario lets characters stay put, and the room capacities
+// must leave space for the cast.
+function infeasibility(scenario, { rooms, edges, chars, roomInfo, nbr }, T) {
+  try {
+    scenario.validate?.({
+      rooms,
+      edges,
+      roomInfo,
+      T,
+      chars,
+      scenarios: { [scenario.id]: true },
+    });
+  } catch (e) {
+    return e.message;
+  }
+  if (!scenario.relaxesMovement && !canWalk(nbr, T - 1)) {
+    return `no route lasts ${T - 1} moves, so characters cannot keep moving for ${T} timesteps`;
+  }
+  const mayStay = scenario.allowsStaying || scenario.relaxesMovement;
+  const shortfall = capacityShortfall(
+    rooms,
+    edges,
+    T,
+    chars.length,
+    roomInfo,
+    mayStay,
+  );
+  if (shortfall) {
+    return `room capacities leave space for only ${shortfall.space} of the ${chars.length} characters at t=${shortfall.t + 1}`;
+  }
+  return null;
+}
+
+// Reports on a map for a timeline of T timesteps and the given characters,
+// with the room capacities of roomInfo (see parseMermaid), if any:
+//   components   rooms connected by passages in either direction
+//   deadEnds     rooms with a single neighbouring room they can leave to
+//   traps        rooms that can be entered but have no way out
+//   bipartite    whether every passage joins sides[0] to sides[1]
+//   diameter     the most moves between two rooms, Infinity when some room
+//                cannot reach another
+//   scenarios    [{ id, name, feasible, reason }] for every registered
+//                scenario except the house rules, which depend on their text
+//   minT         the fewest timesteps S15, S16 and S18 need on this map and
+//                cast, or null when none up to twice the room count works
+//   notes        the findings as sentences for the generator
+export function analyzeMap(rooms, edges, T, chars, roomInfo = {}) {
+  const { nbr, prev } = neighbors(rooms, edges ?? [], false);
+  const map = { rooms, edges, chars, roomInfo, nbr };
+  const adjacent = nbr.map((next, i) => [...new Set([...next, ...prev[i]])]);
+  const names = (indices) => indices.map((i) => rooms[i]);
+  const notes = [];
+
+  const seen = new Set();
+  const components = [];
+  rooms.forEach((_, start) => {
+    if (seen.has(start)) return;
+    const component = distancesFrom(adjacent, start)
+      .map((d, i) => (d === Infinity ? -1 : i))
+      .filter((i) => i >= 0);
+    component.forEach((i) => seen.add(i));
+    components.push(names(component));
+  });
+  if (components.length > 1) {
+    const parts = components.map((part) => part.join(", "));
+    notes.push(
+      `The map falls into ${components.length} disconnected parts (${parts.join(" | ")}); nobody can cross between them.`,
+    );
+  }
+
+  const traps = rooms.filter((_, i) => !nbr[i].length && prev[i].length);
+  const deadEnds = rooms.filter(
+    (room, i) => adjacent[i].length === 1 && !traps.includes(room),
+  );
+  if (deadEnds.length) {
+    notes.push(
+      `Dead ends: ${deadEnds.join(", ")}. A character there has to leave the way they came in next turn.`,
+    );
+  }
+  if (traps.length) {
+    notes.push(
+      `No way out of ${traps.join(", ")}: a character who enters cannot move again, so only scenarios that let characters stay can use it.`,
+    );
+  }
+
+  const side = rooms.length ? bipartition(adjacent) : null;
+  const bipartite = side !== null;
+  const sides = bipartite
+    ? [0, 1].map((s) => rooms.filter((_, i) => side[i] === s))
+    : null;
+  // Without a single passage nobody changes sides, so the note would mislead.
+  if (bipartite && adjacent.some((next) => next.length)) {
+    notes.push(
+      `The map is bipartite (${sides[0].join(", ")} | ${sides[1].join(", ")}). Because characters must move every turn, each one alternates sides, so a room's side fixes the parity of every timestep someone can be there, and characters who start on different sides never meet.`,
+    );
+  }
+
+  let diameter = 0;
+  rooms.forEach((_, start) => {
+    diameter = Math.max(diameter, ...distancesFrom(nbr, start));
+  });
+  if (diameter === Infinity && components.length === 1) {
+    notes.push(
+      "One-way passages leave some rooms unable to reach others, so the map has no finite diameter.",
+    );
+  }
+
+  const scenarios = listScenarios()
+    .filter(({ id }) => id !== "rules")
+    .map((scenario) => {
+      const reason = infeasibility(scenario, map, T);
+      return {
+        id: scenario.id,
+        name: scenario.name,
+        feasible: !reason,
+        reason,
+      };
+    });
+
+  const minT = {};
+  for (const id of TIMELINE_SCENARIOS) {
+    const scenario = getScenario(id);
+    if (!scenario) continue;
+    minT[id] = null;
+    for (let t = 1; t <= Math.max(2, 2 * rooms.length); t++) {
+      if (!infeasibility(scenario, map, t)) {
+        minT[id] = t;
+        break;
+      }
+    }
+  }
+
+  return {
+    components,
+    deadEnds,
+    traps,
+    bipartite,
+    sides,
+    diameter,
+    scenarios,
+    minT,
+    notes,
+  };
+}
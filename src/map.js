@@ -0,0 +1,536 @@
+/* Room maps: the Mermaid parser and adjacency queries over the rooms.
+
+   A map is a Mermaid flowchart whose nodes are rooms and whose links are
+   passages:
+
+     flowchart LR
+       %% the ground floor
+       Foyer --- Hall & Stairs
+       subgraph Upstairs
+         Stairs --- LR[Living Room] --> Attic
+       end
+       Closet@{ name: "Broom Closet", code: BC, tags: [tiny], capacity: 1 }
+
+   "A --- B" links both ways and "A --> B" or "B <-- A" is a one-way passage
+   from A to B; longer, dotted (-.-) and thick (===) lines work the same, and
+   "<-->" links both ways. A line may chain links, "&" links every room on
+   one side to every room on the other, and a line without links only
+   declares its rooms, which may have no passages at all. Ids with spaces
+   are quoted. Link text ("-->|slide|" or "-- slide -->"), subgraph blocks
+   and direction and styling lines are accepted and ignored.
+
+   A node's id is the room name the solver uses. Its label (LR[Living Room])
+   or the "name" in its "@{ }" properties is the display name, "code" is a
+   short code for narrow tables, "tags" a list of words and "capacity" the
+   most characters the room holds at once (no limit by default); name and
+   code default to the id, later properties override earlier ones, and codes
+   must be unique. */
+
+const DIRECTIONS = new Set(["TB", "TD", "BT", "RL", "LR"]);
+// The header ends at a semicolon or the end of the line; statements may
+// follow it on the same line ("graph TD;A---B").
+const HEADER = /^(?:graph|flowchart)(?:[ \t]+([^\s;]+))?[ \t]*(?:;|$)/;
+const DIRECTION = /^direction(?:\s+([^\s;]+))?\s*;?$/;
+const STYLING = /^(?:classDef|class|style|linkStyle|click)\s/;
+const LINK = /^(<?)(-{2,}|={2,}|-\.+-)(>?)/;
+const ID = /^[^\s"&;:@|[\](){}<>%=.-]+(?:[.-][^\s"&;:@|[\](){}<>%=.-]+)*/u;
+const PLAIN = /^[\p{L}\p{N}_]+$/u;
+// Node shapes, longest opener first, with the text that closes each.
+const SHAPES = [
+  ["(((", /\)\)\)/],
+  ["((", /\)\)/],
+  ["([", /\]\)/],
+  ["[[", /\]\]/],
+  ["[(", /\)\]/],
+  ["[/", /[/\\]\]/],
+  ["[\\", /[/\\]\]/],
+  ["{{", /\}\}/],
+  ["[", /\]/],
+  ["(", /\)/],
+  ["{", /\}/],
+  [">", /\]/],
+];
+
+// Reads the "@{ key: value, ... }" block whose "{" is at text[i] into
+// { name, code, tags, capacity }. Values are words, quoted text or, for
+// tags, "[a, b]" lists; Mermaid's own "shape" is accepted and ignored.
+function readProperties(text, i, room, fail) {
+  const props = {};
+  let pos = i + 1;
+  const skip = () => {
+    while (/\s/.test(text[pos] ?? "")) pos++;
+  };
+  const scalar = (key) => {
+    skip();
+    if (text[pos] === '"') {
+      const end = text.indexOf('"', pos + 1);
+      if (end < 0) fail("unterminated quote");
+      const value = text.slice(pos + 1, end);
+      pos = end + 1;
+      return value;
+    }
+    const [word] = text.slice(pos).match(/^[^\s,:{}[\]"]*/);
+    if (!word) fail(`expected a value for ${key} of ${room}`);
+    pos += word.length;
+    return word;
+  };
+  const list = (key) => {
+    skip();
+    if (text[pos] !== "[") return [scalar(key)];
+    const items = [];
+    pos++;
+    skip();
+    while (text[pos] !== "]") {
+      items.push(scalar(key));
+      skip();
+      if (text[pos] === ",") pos++;
+      else if (text[pos] !== "]") fail(`expected "," or "]" in ${key}`);
+    }
+    pos++;
+    return items;
+  };
+  for (;;) {
+    skip();
+    if (pos >= text.length) fail(`the properties of ${room} are never closed`);
+    if (text[pos] === "}") return { props, end: pos + 1 };
+    const key = text.slice(pos).match(/^\w+/)?.[0];
+    if (!key) fail(`expected a property of ${room}, found "${text[pos]}"`);
+    pos += key.length;
+    skip();
+    if (text[pos++] !== ":") fail(`expected ":" after ${key}`);
+    if (key === "name" || key === "label") props.name = scalar(key);
+    else if (key === "code") props.code = scalar(key);
+    else if (key === "tags") props.tags = list(key);
+    else if (key === "capacity") {
+      const value = scalar(key);
+      if (!/^\d+$/.test(value)) {
+        fail(`the capacity of ${room} must be a whole number, not "${value}"`);
+      }
+      props.capacity = Number(value);
+    } else if (key === "shape") scalar(key);
+    else fail(`unknown room property "${key}"`);
+    skip();
+    if (text[pos] === ",") pos++;
+    else if (text[pos] !== "}" && pos < text.length) {
+      fail(`expected "," or "}" after ${key}`);
+    }
+  }
+}
+
+// Splits one line into room, link, "&" and ";" tokens. Links carry their
+// direction as "---", "-->" or "<--"; rooms carry their label and
+// properties, if any.
+function tokenizeMap(text, line) {
+  const fail = (message) => {
+    throw new Error(`Map line ${line}: ${message}`);
+  };
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const link = rest.match(LINK);
+    if (/\s/.test(rest[0])) {
+      i++;
+    } else if (rest.startsWith("%%")) {
+      break;
+    } else if (rest[0] === "&" || rest[0] === ";") {
+      tokens.push({ type: rest[0] });
+      i++;
+    } else if (link) {
+      const [opener, back, stroke] = link;
+      let forward = link[3];
+      i += opener.length;
+      if (!back && !forward && stroke.length === 2) {
+        // "-- text -->": the bare opener's text runs up to the closing line.
+        const close = text
+          .slice(i)
+          .match(stroke === "--" ? /-{3,}|-{2,}>/ : /={3,}|={2,}>/);
+        if (!close) fail(`"${stroke}" starts link text that is never closed`);
+        i += close.index + close[0].length;
+        forward = close[0].endsWith(">");
+      }
+      if (text[i] === "|") {
+        const end = text.indexOf("|", i + 1);
+        if (end < 0) fail('link text "|" is never closed');
+        i = end + 1;
+      }
+      const arrow = !back === !forward ? "---" : forward ? "-->" : "<--";
+      tokens.push({ type: "link", arrow });
+    } else if (rest[0] === '"' || ID.test(rest)) {
+      let value;
+      if (rest[0] === '"') {
+        const end = text.indexOf('"', i + 1);
+        if (end < 0) fail("unterminated quote");
+        value = text.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        [value] = rest.match(ID);
+        i += value.length;
+      }
+      const room = { type: "room", value };
+      const shape = SHAPES.find(([open]) => text.startsWith(open, i));
+      if (shape) {
+        const [open, close] = shape;
+        const start = i + open.length;
+        // A quoted label may contain the closing brackets.
+        const quote = text[start] === '"' ? text.indexOf('"', start + 1) : -1;
+        const from = quote < 0 ? start : quote + 1;
+        const end = text.slice(from).match(close);
+        if (!end) fail(`the label of ${value} is never closed`);
+        room.label = text
+          .slice(start, from + end.index)
+          .replace(/^"(.*)"$/, "$1");
+        i = from + end.index + end[0].length;
+      }
+      if (text.startsWith("@{", i)) {
+        const { props, end } = readProperties(text, i + 1, value, fail);
+        room.props = props;
+        i = end;
+      }
+      const style = text.slice(i).match(/^:::[\w-]+/);
+      if (style) i += style[0].length;
+      tokens.push(room);
+    } else {
+      fail(`unexpected "${rest[0]}"`);
+    }
+  }
+  return tokens;
+}
+
+function describeToken(token) {
+  if (!token) return "the end of the line";
+  if (token.type === "room") return `"${token.value}"`;
+  return token.type === "link" ? `"${token.arrow}"` : `"${token.type}"`;
+}
+
+// Parses one statement: rooms joined by "&" into groups, and groups joined by
+// links. Every link connects each room of the group before it to each room of
+// the group after it; a lone group only declares its rooms.
+function parseConnection(tokens, line, addRoom, edges) {
+  let pos = 0;
+  const fail = (message) => {
+    throw new Error(`Map line ${line}: ${message}`);
+  };
+  const group = () => {
+    const names = [];
+    do {
+      const token = tokens[pos++];
+      if (token?.type !== "room") {
+        fail(`expected a room, found ${describeToken(token)}`);
+      }
+      addRoom(token);
+      names.push(token.value);
+    } while (tokens[pos]?.type === "&" && ++pos);
+    return names;
+  };
+  let left = group();
+  while (pos < tokens.length) {
+    const link = tokens[pos++];
+    if (link.type !== "link") {
+      fail(`expected a link, found ${describeToken(link)}`);
+    }
+    const right = group();
+    for (const a of left) {
+      for (const b of right) {
+        if (link.arrow === "---") edges.push([a, b]);
+        else if (link.arrow === "-->") edges.push([a, b, "-->"]);
+        else edges.push([b, a, "-->"]);
+      }
+    }
+    left = right;
+  }
+}
+
+// Parses a map into its room ids, in order of first appearance, its edges
+// and roomInfo, which maps every room id to its { name, code, tags } and
+// capacity, if it has one.
+// Directed edges are stored as [from, to, "-->"], undirected ones as [a, b].
+// Throws "Map line N: ..." on the first line that is not valid map syntax.
+export function parseMermaid(txt) {
+  const info = new Map();
+  const codeLines = new Map();
+  const edges = [];
+  const subgraphs = [];
+  let started = false;
+  txt.split(/\r?\n/).forEach((raw, n) => {
+    const line = n + 1;
+    let text = raw.trim();
+    const fail = (message) => {
+      throw new Error(`Map line ${line}: ${message}`);
+    };
+    if (!text || text.startsWith("%%")) return;
+    const header = text.match(HEADER);
+    const direction = text.match(DIRECTION);
+    const dir = header?.[1] ?? direction?.[1];
+    if (dir && !DIRECTIONS.has(dir)) fail(`unknown direction "${dir}"`);
+    if (header && started) fail("the graph header must be the first line");
+    started = true;
+    if (header) text = text.slice(header[0].length).trim();
+    if (!text || direction || STYLING.test(text)) return;
+    if (/^subgraph\b/.test(text)) {
+      if (!/^subgraph\s+\S/.test(text)) fail("subgraph needs a name");
+      subgraphs.push(line);
+    } else if (/^end\s*;?$/.test(text)) {
+      if (!subgraphs.pop()) fail('"end" without a subgraph');
+    } else {
+      const tokens = tokenizeMap(text, line);
+      let start = 0;
+      for (let end = 0; end <= tokens.length; end++) {
+        if (end < tokens.length && tokens[end].type !== ";") continue;
+        if (end > start) {
+          parseConnection(
+            tokens.slice(start, end),
+            line,
+            ({ value, label, props }) => {
+              if (!info.has(value)) {
+                info.set(value, { name: value, code: value, tags: [] });
+              }
+              const room = info.get(value);
+              if (label !== undefined) room.name = label;
+              Object.assign(room, props);
+              if (props?.code !== undefined) codeLines.set(value, line);
+            },
+            edges,
+          );
+        }
+        start = end + 1;
+      }
+    }
+  });
+  if (subgraphs.length) {
+    throw new Error(
+      `Map line ${subgraphs.at(-1)}: subgraph is never closed with "end"`,
+    );
+  }
+  const codes = new Map();
+  for (const [id, { code }] of info) {
+    const other = codes.get(code);
+    if (other !== undefined) {
+      const line = codeLines.get(id) ?? codeLines.get(other);
+      throw new Error(
+        `Map line ${line}: ${other} and ${id} have the same code "${code}"`,
+      );
+    }
+    codes.set(code, id);
+  }
+  return {
+    rooms: Array.from(info.keys()),
+    edges,
+    roomInfo: Object.fromEntries(info),
+  };
+}
+
+// Writes a map back in the syntax parseMermaid reads, with the same rooms in
+// the same order, edges and roomInfo. Every room is declared before the
+// edges, rooms with properties on their own line.
+export function formatMermaid(rooms, edges, roomInfo = {}) {
+  const quote = (text) => (PLAIN.test(text) ? text : `"${text}"`);
+  const lines = ["graph TD"];
+  let plain = [];
+  const flush = () => {
+    if (plain.length) lines.push(`  ${plain.join(" & ")}`);
+    plain = [];
+  };
+  for (const room of rooms) {
+    const {
+      name = room,
+      code = room,
+      tags = [],
+      capacity,
+    } = roomInfo[room] ?? {};
+    const props = [];
+    if (name !== room) props.push(`name: "${name}"`);
+    if (code !== room) props.push(`code: ${quote(code)}`);
+    if (tags.length) props.push(`tags: [${tags.map(quote).join(", ")}]`);
+    if (capacity !== undefined) props.push(`capacity: ${capacity}`);
+    if (!props.length) {
+      plain.push(quote(room));
+      continue;
+    }
+    flush();
+    lines.push(`  ${quote(room)}@{ ${props.join(", ")} }`);
+  }
+  flush();
+  for (const edge of edges) {
+    const [a, b] = edge;
+    lines.push(`  ${quote(a)} ${isOneWay(edge) ? "-->" : "---"} ${quote(b)}`);
+  }
+  return lines.join("\n");
+}
+
+// Whether an edge is a one-way passage from edge[0] to edge[1].
+export function isOneWay(edge) {
+  return edge[2] === "-->";
+}
+
+// Adjacency by room index: nbr[i] lists the rooms a character can move to
+// from rooms[i], and prev[i] the rooms they can arrive from. The two only
+// differ on one-way edges. includeSelf adds each room to its own lists.
+export function neighbors(rooms, edges, includeSelf) {
+  const idx = new Map();
+  rooms.forEach((r, i) => idx.set(r, i));
+  const nbr = Array.from({ length: rooms.length }, () => new Set());
+  const prev = Array.from({ length: rooms.length }, () => new Set());
+  for (const edge of edges) {
+    const [a, b] = edge;
+    if (!idx.has(a) || !idx.has(b)) continue;
+    const i = idx.get(a),
+      j = idx.get(b);
+    nbr[i].add(j);
+    prev[j].add(i);
+    if (!isOneWay(edge)) {
+      nbr[j].add(i);
+      prev[i].add(j);
+    }
+  }
+  if (includeSelf) {
+    for (let i = 0; i < rooms.length; i++) {
+      nbr[i].add(i);
+      prev[i].add(i);
+    }
+  }
+  return {
+    idx,
+    nbr: nbr.map((s) => Array.from(s)),
+    prev: prev.map((s) => Array.from(s)),
+  };
+}
+
+// The first timestep (0-based) at which the rooms a character could be in
+// hold fewer than count characters, as { t, space }, or null when the
+// capacities in roomInfo leave room for everyone. A character in a room at t
+// must have walked there in t moves and must be able to keep moving until
+// the last timestep; mayStay lets every character stay put instead.
+export function capacityShortfall(rooms, edges, T, count, roomInfo, mayStay) {
+  const capacities = rooms.map(
+    (room) => roomInfo?.[room]?.capacity ?? Infinity,
+  );
+  if (!capacities.some(Number.isFinite)) return null;
+  const { nbr, prev } = neighbors(rooms, edges ?? [], mayStay);
+  // walks[k][i]: some walk of k moves starts (or, along prev, ends) in room i.
+  const walks = (adjacent) => {
+    const out = [rooms.map(() => true)];
+    for (let k = 1; k < T; k++) {
+      out.push(adjacent.map((next) => next.some((j) => out[k - 1][j])));
+    }
+    return out;
+  };
+  const onward = walks(nbr);
+  const arrival = walks(prev);
+  for (let t = 0; t < T; t++) {
+    const space = capacities.reduce(
+      (sum, capacity, i) =>
+        onward[T - 1 - t][i] && arrival[t][i] ? sum + capacity : sum,
+      0,
+    );
+    if (space < count) return { t, space };
+  }
+  return null;
+}
+
+export function canVisitDistinctRoomsWithin(
+  rooms,
+  edges,
+  timesteps,
+  targetRoomCount,
+) {
+  if (
+    !rooms.length ||
+    targetRoomCount < 1 ||
+    targetRoomCount > rooms.length ||
+    timesteps < targetRoomCount
+  ) {
+    return false;
+  }
+
+  const { nbr, prev } = neighbors(rooms, edges ?? [], false);
+  // Rooms a walk can cover are connected ignoring edge direction, so the
+  // largest such component bounds the target.
+  let largestComponent = 0;
+  const globallyVisited = new Set();
+  for (let start = 0; start < rooms.length; start++) {
+    if (globallyVisited.has(start)) continue;
+    const component = new Set([start]);
+    const queue = [start];
+    globallyVisited.add(start);
+    while (queue.length) {
+      const room = queue.shift();
+      for (const next of [...nbr[room], ...prev[room]]) {
+        if (component.has(next)) continue;
+        component.add(next);
+        globallyVisited.add(next);
+        queue.push(next);
+      }
+    }
+    largestComponent = Math.max(largestComponent, component.size);
+  }
+  if (largestComponent < targetRoomCount) return false;
+
+  // A depth-first traversal can cover any connected set of N rooms in at most
+  // 2N-1 timesteps, but only if it can walk back along every edge. Shorter
+  // timelines and maps with one-way edges need the exact search below.
+  const oneWay = (edges ?? []).some(isOneWay);
+  if (!oneWay && timesteps >= 2 * targetRoomCount - 1) return true;
+
+  const memo = new Set();
+
+  function search(room, stepsRemaining, visitedMask, visitedCount) {
+    if (visitedCount >= targetRoomCount) return true;
+    if (visitedCount + stepsRemaining < targetRoomCount) return false;
+
+    const key = `${room}|${stepsRemaining}|${visitedMask}`;
+    if (memo.has(key)) return false;
+    memo.add(key);
+
+    const orderedNeighbors = [...nbr[room]].sort((a, b) => {
+      const aVisited = (visitedMask & (1n << BigInt(a))) !== 0n;
+      const bVisited = (visitedMask & (1n << BigInt(b))) !== 0n;
+      return Number(aVisited) - Number(bVisited);
+    });
+
+    for (const next of orderedNeighbors) {
+      const bit = 1n << BigInt(next);
+      const isNew = (visitedMask & bit) === 0n;
+      if (
+        search(
+          next,
+          stepsRemaining - 1,
+          visitedMask | bit,
+          visitedCount + Number(isNew),
+        )
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  for (let start = 0; start < rooms.length; start++) {
+    if (search(start, timesteps - 1, 1n << BigInt(start), 1)) return true;
+  }
+  return false;
+}
+
+export function reachableStartRooms(rooms, edges, destination, maxMoves) {
+  if (!rooms.includes(destination) || maxMoves < 1) return [];
+
+  // Search backwards from the destination, against the edge direction.
+  const { idx, prev } = neighbors(rooms, edges ?? [], false);
+  const destinationIndex = idx.get(destination);
+  const distances = Array(rooms.length).fill(Infinity);
+  distances[destinationIndex] = 0;
+  const queue = [destinationIndex];
+
+  while (queue.length) {
+    const room = queue.shift();
+    for (const next of prev[room]) {
+      if (distances[next] !== Infinity) continue;
+      distances[next] = distances[room] + 1;
+      queue.push(next);
+    }
+  }
+
+  return rooms.filter(
+    (room, index) => room !== destination && distances[index] <= maxMoves,
+  );
+}
@@ -0,0 +1,31 @@
+/* Seeded randomness shared by the solver and the scenario rules. */
+
+export function mulberry32(a) {
+  return function () {
+    var t = (a += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function resolveSeed(seed) {
+  if (seed == null) {
+    return Math.floor(Math.random() * 0xffffffff);
+  }
+
+  const resolved = Number(seed);
+  return Number.isFinite(resolved)
+    ? resolved
+    : Math.floor(Math.random() * 0xffffffff);
+}
+
+export function shuffleWithSeed(list, seed) {
+  const out = [...list];
+  const rng = mulberry32(seed);
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
@@ -0,0 +1,803 @@
+/* House rules: a small rule language for defining scenarios without writing
+   clauses by hand. A program has one statement per line; "#" starts a
+   comment.
+
+     role A1, A2
+     forall t, room: count(room, t) == 2 -> at(A1, room, t) and at(A2, room, t)
+     exists t: alone(A1, t)
+
+   `role` declares characters the solver picks: each role goes to exactly one
+   character, and different roles to different characters. Every other line
+   is a rule that must hold, built from
+
+     at(who, room, t)     who is in room at time t
+     alone(who, t)        nobody shares who's room at time t
+     meet(a, b, t)        a and b share a room at time t
+     visited(who, room)   who is in room at some time
+     count(room, t)       how many characters are in room at time t
+     visits(who, room)    how many timesteps who spends in room
+
+   with not (!), and (&), or (|), -> and <-> and parentheses. Counts compare
+   against numbers with ==, !=, <, <=, > and >=; characters, rooms and times
+   compare with == and !=. who is a character, a role or a character
+   variable. forall and exists bind variables over the times 1..T, the rooms
+   or the characters: `forall c in char, t in time: ...`; variables named
+   t/time, r/room and c/char need no domain. A time may add or subtract a
+   constant (t + 1); an atom at a time outside 1..T is false. Names with
+   spaces are quoted: at(Ann, "Living Room", 2). */
+
+import {
+  buildTotalizer,
+  encodeAtLeastK,
+  encodeAtMostK,
+  exactlyOne,
+} from "./cnf.js";
+
+const DOMAINS = {
+  t: "time",
+  time: "time",
+  times: "time",
+  r: "room",
+  room: "room",
+  rooms: "room",
+  c: "char",
+  char: "char",
+  chars: "char",
+  character: "char",
+  characters: "char",
+};
+
+const KEYWORDS = new Set(["forall", "exists", "in", "not", "and", "or"]);
+const OPERATORS = [
+  "<->",
+  "->",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "<",
+  ">",
+  "!",
+  "&",
+  "|",
+  "(",
+  ")",
+  ",",
+  ":",
+  "+",
+  "-",
+];
+const COMPARISONS = new Set(["==", "!=", "<", "<=", ">", ">="]);
+const PREDICATES = { at: 3, alone: 2, meet: 3, visited: 2 };
+const COUNTS = { count: 2, visits: 2 };
+
+// Looks a name from the rule text up in one of the tables above. Only own
+// entries count, so names such as "constructor" stay unknown.
+function own(table, name) {
+  return Object.hasOwn(table, name) ? table[name] : undefined;
+}
+
+function tokenize(text, line) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "#") {
+      break;
+    } else if (ch === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end < 0) throw new Error(`Rule line ${line}: unterminated quote`);
+      tokens.push({ type: "name", value: text.slice(i + 1, end) });
+      i = end + 1;
+    } else if (/\d/.test(ch)) {
+      const [digits] = text.slice(i).match(/^\d+/);
+      tokens.push({ type: "number", value: Number(digits) });
+      i += digits.length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const [word] = text.slice(i).match(/^[A-Za-z_]\w*/);
+      tokens.push({ type: KEYWORDS.has(word) ? word : "name", value: word });
+      i += word.length;
+    } else {
+      const op = OPERATORS.find((o) => text.startsWith(o, i));
+      if (!op) throw new Error(`Rule line ${line}: unexpected "${ch}"`);
+      tokens.push({ type: op, value: op });
+      i += op.length;
+    }
+  }
+  return tokens;
+}
+
+// Parses one rule line into a formula tree. Recursive descent, from the
+// loosest operator (<->) to the tightest (not).
+function parseRule(tokens, line) {
+  let pos = 0;
+  const fail = (message) => {
+    throw new Error(`Rule line ${line}: ${message}`);
+  };
+  const peek = () => tokens[pos]?.type;
+  const accept = (...types) => (types.includes(peek()) ? tokens[pos++] : null);
+  const expect = (type) => accept(type) ?? fail(`expected "${type}"`);
+
+  function formula() {
+    let left = implication();
+    while (accept("<->")) left = { type: "iff", left, right: implication() };
+    return left;
+  }
+  function implication() {
+    const left = disjunction();
+    return accept("->")
+      ? { type: "implies", left, right: implication() }
+      : left;
+  }
+  function disjunction() {
+    const args = [conjunction()];
+    while (accept("or", "|")) args.push(conjunction());
+    return args.length > 1 ? { type: "or", args } : args[0];
+  }
+  function conjunction() {
+    const args = [unary()];
+    while (accept("and", "&")) args.push(unary());
+    return args.length > 1 ? { type: "and", args } : args[0];
+  }
+  function unary() {
+    if (accept("not", "!")) return { type: "not", arg: unary() };
+    const quantifier = accept("forall", "exists");
+    if (quantifier) {
+      const vars = [];
+      do {
+        const name = expect("name").value;
+        let domain = own(DOMAINS, name);
+        if (accept("in")) {
+          domain = own(DOMAINS, expect("name").value);
+          if (!domain) fail(`"${name}" needs a domain: time, room or char`);
+        }
+        if (!domain)
+          fail(`"${name}" needs a domain: ${name} in time|room|char`);
+        vars.push({ name, domain });
+      } while (accept(","));
+      expect(":");
+      return { type: quantifier.type, vars, body: formula() };
+    }
+    const left = operand();
+    const condition = left.type === "group" || left.type === "predicate";
+    const op = accept(...COMPARISONS);
+    if (!op) return condition ? left.body : fail("expected a condition");
+    const right = operand();
+    if (condition || right.type === "group" || right.type === "predicate") {
+      fail(`${op.type} compares counts, names and numbers, not conditions`);
+    }
+    if (left.type === "call" && right.type === "call") {
+      fail("compare a count with a number, not another count");
+    }
+    return { type: "compare", op: op.type, left, right };
+  }
+  function operand() {
+    if (accept("(")) {
+      const body = formula();
+      expect(")");
+      return { type: "group", body };
+    }
+    const number = accept("number");
+    if (number) return { type: "number", value: number.value };
+    const name = expect("name").value;
+    if (accept("(")) {
+      const args = [];
+      if (!accept(")")) {
+        do args.push(term());
+        while (accept(","));
+        expect(")");
+      }
+      const arity = own(PREDICATES, name) ?? own(COUNTS, name);
+      if (arity === undefined) fail(`unknown function "${name}"`);
+      if (args.length !== arity) {
+        fail(`${name} takes ${arity} arguments, got ${args.length}`);
+      }
+      const call = { type: "call", name, args };
+      return Object.hasOwn(PREDICATES, name)
+        ? { type: "predicate", body: call }
+        : call;
+    }
+    return offset({ type: "name", name });
+  }
+  function term() {
+    const number = accept("number");
+    if (number) return { type: "number", value: number.value };
+    return offset({ type: "name", name: expect("name").value });
+  }
+  function offset(base) {
+    const sign = accept("+", "-");
+    if (!sign) return base;
+    const delta = expect("number").value;
+    return { type: "offset", base, delta: sign.type === "+" ? delta : -delta };
+  }
+
+  const rule = formula();
+  if (pos < tokens.length) fail(`unexpected "${tokens[pos].value}"`);
+  return rule;
+}
+
+// Parses a rule program into { roles, rules }, where every rule keeps its
+// line number and source text. Throws with the line number of the first
+// syntax error.
+export function parseRules(source) {
+  const roles = [];
+  const rules = [];
+  String(source)
+    .split(/\r?\n/)
+    .forEach((text, index) => {
+      const line = index + 1;
+      const tokens = tokenize(text, line);
+      if (!tokens.length) return;
+      if (tokens[0].type === "name" && tokens[0].value === "role") {
+        const list = tokens.slice(1);
+        const wellFormed =
+          list.length % 2 === 1 &&
+          list.every((token, i) => token.type === (i % 2 ? "," : "name"));
+        if (!wellFormed) {
+          throw new Error(`Rule line ${line}: expected "role Name, Name"`);
+        }
+        for (const { value } of list.filter((_, i) => i % 2 === 0)) {
+          if (roles.includes(value)) {
+            throw new Error(
+              `Rule line ${line}: role ${value} is declared twice`,
+            );
+          }
+          roles.push(value);
+        }
+        return;
+      }
+      rules.push({
+        line,
+        text: text.replace(/#.*$/, "").trim(),
+        formula: parseRule(tokens, line),
+      });
+    });
+  return { roles, rules };
+}
+
+// Throws when a program cannot run on config: unknown names, or more roles
+// than characters.
+export function checkRules(program, config) {
+  const chars = config.chars ?? [];
+  const rooms = config.rooms ?? [];
+  if (program.roles.length > chars.length) {
+    throw new Error(
+      `Rules need ${program.roles.length} characters for their roles, got ${chars.length}`,
+    );
+  }
+  const visit = (node, bound, line) => {
+    if (!node || typeof node !== "object") return;
+    if (node.type === "name") {
+      const { name } = node;
+      if (
+        !bound.has(name) &&
+        !program.roles.includes(name) &&
+        !chars.includes(name) &&
+        !rooms.includes(name)
+      ) {
+        throw new Error(`Rule line ${line}: unknown name "${name}"`);
+      }
+      return;
+    }
+    if (node.type === "forall" || node.type === "exists") {
+      const inner = new Set([...bound, ...node.vars.map((v) => v.name)]);
+      visit(node.body, inner, line);
+      return;
+    }
+    for (const child of [
+      node.left,
+      node.right,
+      node.arg,
+      node.base,
+      node.body,
+    ]) {
+      visit(child, bound, line);
+    }
+    for (const child of node.args ?? []) visit(child, bound, line);
+  };
+  for (const rule of program.rules) visit(rule.formula, new Set(), rule.line);
+}
+
+// Adds the clauses of a parsed program to a buildCNF encode context (see
+// scenario-registry.js). Variable names start with prefix, so several
+// programs can share one encoding. Each rule is its own clause group, so
+// explainUnsat can name the rules that clash. Returns the role variables,
+// one array per role indexed like ctx.C.
+export function compileRules(program, ctx, prefix) {
+  const { vp, clauses, X, R, C, T, group } = ctx;
+  const roomIndex = new Map(R.map((room, ri) => [room, ri]));
+
+  const roles = {};
+  for (const role of program.roles) {
+    roles[role] = C.map((c) => vp.get(`${prefix}_${role}_${c}`));
+  }
+  if (program.roles.length) {
+    group(`${prefix}-roles`, `${prefix}: each role goes to one character`);
+    const roleVars = Object.values(roles);
+    for (const vars of roleVars) clauses.push(...exactlyOne(vars));
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let a = 0; a < roleVars.length; a++) {
+        for (let b = a + 1; b < roleVars.length; b++) {
+          clauses.push([-roleVars[a][ci], -roleVars[b][ci]]);
+        }
+      }
+    }
+  }
+
+  // Tseitin gadgets over literals, folding the constants true and false.
+  let auxCount = 0;
+  const fresh = () => vp.get(`${prefix}_AUX_${auxCount++}`);
+  const negate = (lit) => (typeof lit === "boolean" ? !lit : -lit);
+  function and(lits) {
+    if (lits.includes(false)) return false;
+    const rest = [...new Set(lits.filter((lit) => lit !== true))];
+    if (rest.length <= 1) return rest.length ? rest[0] : true;
+    const out = fresh();
+    for (const lit of rest) clauses.push([-out, lit]);
+    clauses.push([out, ...rest.map((lit) => -lit)]);
+    return out;
+  }
+  const or = (lits) => negate(and(lits.map(negate)));
+  function iff(a, b) {
+    if (typeof a === "boolean") return a ? b : negate(b);
+    if (typeof b === "boolean") return b ? a : negate(a);
+    const out = fresh();
+    clauses.push([-out, -a, b], [-out, a, -b], [out, a, b], [out, -a, -b]);
+    return out;
+  }
+
+  const memo = new Map();
+  const cached = (key, build) => {
+    if (!memo.has(key)) memo.set(key, build());
+    return memo.get(key);
+  };
+  const inTime = (t) => Number.isInteger(t) && t >= 1 && t <= T;
+  const at = (ci, ri, t) => (inTime(t) ? X(ci, t - 1, ri) : false);
+  const meet = (a, b, t) =>
+    a === b
+      ? inTime(t)
+      : cached(`meet ${Math.min(a, b)} ${Math.max(a, b)} ${t}`, () =>
+          or(R.map((_, ri) => and([at(a, ri, t), at(b, ri, t)]))),
+        );
+  const alone = (ci, t) =>
+    cached(`alone ${ci} ${t}`, () =>
+      inTime(t)
+        ? and(C.map((_, cj) => (cj === ci ? true : negate(meet(ci, cj, t)))))
+        : false,
+    );
+  // Unary counters: counter(key, lits)[k - 1] holds when at least k hold.
+  let counterCount = 0;
+  const counter = (key, lits) =>
+    cached(key, () =>
+      buildTotalizer(lits, vp, clauses, `${prefix}_CNT${counterCount++}`),
+    );
+
+  function value(term, env) {
+    if (term.type === "number") return { kind: "number", value: term.value };
+    if (term.type === "offset") {
+      const base = value(term.base, env);
+      if (base.kind !== "number") {
+        throw new Error("only times can add or subtract a number");
+      }
+      return { kind: "number", value: base.value + term.delta };
+    }
+    const { name } = term;
+    if (env.has(name)) return env.get(name);
+    if (Object.hasOwn(roles, name)) return { kind: "role", value: name };
+    if (C.includes(name)) return { kind: "char", value: C.indexOf(name) };
+    if (roomIndex.has(name))
+      return { kind: "room", value: roomIndex.get(name) };
+    throw new Error(`unknown name "${name}"`);
+  }
+  const expectKind = (item, kind, what) => {
+    if (item.kind !== kind) throw new Error(`${what} must be a ${kind}`);
+    return item.value;
+  };
+  // Characters of a who argument: a role stands for whoever holds it.
+  function forWho(who, build) {
+    if (who.kind === "char") return build(who.value);
+    if (who.kind !== "role") throw new Error("expected a character or role");
+    return or(C.map((_, ci) => and([roles[who.value][ci], build(ci)])));
+  }
+
+  function call(node, env) {
+    const args = node.args.map((arg) => value(arg, env));
+    switch (node.name) {
+      case "at": {
+        const ri = expectKind(args[1], "room", "at's second argument");
+        const t = expectKind(args[2], "number", "at's time");
+        return forWho(args[0], (ci) => at(ci, ri, t));
+      }
+      case "alone": {
+        const t = expectKind(args[1], "number", "alone's time");
+        return forWho(args[0], (ci) => alone(ci, t));
+      }
+      case "meet": {
+        const t = expectKind(args[2], "number", "meet's time");
+        return forWho(args[0], (a) => forWho(args[1], (b) => meet(a, b, t)));
+      }
+      case "visited": {
+        const ri = expectKind(args[1], "room", "visited's second argument");
+        return forWho(args[0], (ci) =>
+          or(Array.from({ length: T }, (_, t) => at(ci, ri, t + 1))),
+        );
+      }
+    }
+    throw new Error(`${node.name} is a count; compare it with a number`);
+  }
+
+  // The literals a count adds up, per character of its who argument.
+  function countTerms(node, env) {
+    const args = node.args.map((arg) => value(arg, env));
+    if (node.name === "count") {
+      const ri = expectKind(args[0], "room", "count's first argument");
+      const t = expectKind(args[1], "number", "count's time");
+      return {
+        who: null,
+        lits: () => C.map((_, ci) => at(ci, ri, t)),
+        key: `count ${ri} ${t}`,
+      };
+    }
+    const ri = expectKind(args[1], "room", "visits' second argument");
+    return {
+      who: args[0],
+      lits: (ci) => Array.from({ length: T }, (_, t) => at(ci, ri, t + 1)),
+      key: (ci) => `visits ${ci} ${ri}`,
+    };
+  }
+
+  // count OP k as a literal, through a memoized totalizer.
+  function countLiteral(terms, op, k) {
+    const build = (lits, key) => {
+      const vars = lits.filter((lit) => lit !== false);
+      const out = counter(key, vars);
+      const atLeast = (n) =>
+        n <= 0 ? true : n > out.length ? false : out[n - 1];
+      switch (op) {
+        case ">=":
+          return atLeast(k);
+        case ">":
+          return atLeast(k + 1);
+        case "<=":
+          return negate(atLeast(k + 1));
+        case "<":
+          return negate(atLeast(k));
+        case "==":
+          return and([atLeast(k), negate(atLeast(k + 1))]);
+        default:
+          return negate(and([atLeast(k), negate(atLeast(k + 1))]));
+      }
+    };
+    if (!terms.who) return build(terms.lits(), terms.key);
+    return forWho(terms.who, (ci) => build(terms.lits(ci), terms.key(ci)));
+  }
+
+  const MIRROR = { "<": ">", "<=": ">=", ">": "<", ">=": "<=" };
+  // Puts a count comparison in the form { terms, op, k }, or returns null.
+  function countComparison(node, env) {
+    let { left, right, op } = node;
+    if (right.type === "call" && left.type !== "call") {
+      [left, right] = [right, left];
+      op = MIRROR[op] ?? op;
+    }
+    if (left.type !== "call") return null;
+    const k = value(right, env);
+    if (k.kind !== "number") {
+      throw new Error(`${left.name} must be compared with a number`);
+    }
+    return { terms: countTerms(left, env), op, k: k.value };
+  }
+
+  function compare(node, env) {
+    const counted = countComparison(node, env);
+    if (counted) return countLiteral(counted.terms, counted.op, counted.k);
+    const a = value(node.left, env);
+    const b = value(node.right, env);
+    if (a.kind === "number" && b.kind === "number") {
+      const x = a.value;
+      const y = b.value;
+      return {
+        "==": x === y,
+        "!=": x !== y,
+        "<": x < y,
+        "<=": x <= y,
+        ">": x > y,
+        ">=": x >= y,
+      }[node.op];
+    }
+    if (node.op !== "==" && node.op !== "!=") {
+      throw new Error(`${node.op} only compares numbers`);
+    }
+    let same;
+    if (a.kind === "room" || b.kind === "room") {
+      same = a.kind === b.kind && a.value === b.value;
+    } else {
+      same = forWho(a, (ca) => forWho(b, (cb) => ca === cb));
+    }
+    return node.op === "==" ? same : negate(same);
+  }
+
+  function bindings(vars, env) {
+    let out = [env];
+    for (const { name, domain } of vars) {
+      const values =
+        domain === "time"
+          ? Array.from({ length: T }, (_, t) => ({
+              kind: "number",
+              value: t + 1,
+            }))
+          : domain === "room"
+            ? R.map((_, ri) => ({ kind: "room", value: ri }))
+            : C.map((_, ci) => ({ kind: "char", value: ci }));
+      out = out.flatMap((outer) =>
+        values.map((item) => new Map(outer).set(name, item)),
+      );
+    }
+    return out;
+  }
+
+  function literal(node, env) {
+    switch (node.type) {
+      case "not":
+        return negate(literal(node.arg, env));
+      case "and":
+        return and(node.args.map((arg) => literal(arg, env)));
+      case "or":
+        return or(node.args.map((arg) => literal(arg, env)));
+      case "implies":
+        return or([negate(literal(node.left, env)), literal(node.right, env)]);
+      case "iff":
+        return iff(literal(node.left, env), literal(node.right, env));
+      case "forall":
+        return and(bindings(node.vars, env).map((b) => literal(node.body, b)));
+      case "exists":
+        return or(bindings(node.vars, env).map((b) => literal(node.body, b)));
+      case "compare":
+        return compare(node, env);
+      default:
+        return call(node, env);
+    }
+  }
+
+  // Asserts node whenever every guard literal holds. Conjunctions split into
+  // separate clauses, and a count compared with a number is encoded with the
+  // cardinality helpers instead of a counter.
+  let cardinalityCount = 0;
+  function assert(node, env, guards) {
+    const when = guards.map((g) => -g);
+    switch (node.type) {
+      case "and":
+        for (const arg of node.args) assert(arg, env, guards);
+        return;
+      case "forall":
+        for (const b of bindings(node.vars, env)) assert(node.body, b, guards);
+        return;
+      case "implies": {
+        const condition = literal(node.left, env);
+        if (condition === false) return;
+        assert(
+          node.right,
+          env,
+          condition === true ? guards : [...guards, condition],
+        );
+        return;
+      }
+      case "or":
+      case "exists": {
+        const lits =
+          node.type === "or"
+            ? node.args.map((arg) => literal(arg, env))
+            : bindings(node.vars, env).map((b) => literal(node.body, b));
+        if (lits.includes(true)) return;
+        clauses.push([...when, ...lits.filter((lit) => lit !== false)]);
+        return;
+      }
+      case "compare": {
+        const counted = countComparison(node, env);
+        if (counted && !counted.terms.who && counted.op !== "!=") {
+          const lits = counted.terms.lits().filter((lit) => lit !== false);
+          const guard = and(guards);
+          if (guard === false) return;
+          const k = counted.k;
+          const name = () => `${prefix}_CARD${cardinalityCount++}`;
+          const gate = guard === true ? undefined : guard;
+          const most = { "<=": k, "<": k - 1, "==": k }[counted.op];
+          const least = { ">=": k, ">": k + 1, "==": k }[counted.op];
+          if (most !== undefined) {
+            if (most < 0) clauses.push(gate ? [-gate] : []);
+            else if (most < lits.length)
+              encodeAtMostK(lits, most, vp, clauses, name(), gate);
+          }
+          if (least !== undefined && least > 0) {
+            encodeAtLeastK(lits, least, vp, clauses, name(), gate);
+          }
+          return;
+        }
+        break;
+      }
+    }
+    const lit = literal(node, env);
+    if (lit === true) return;
+    clauses.push(lit === false ? when : [...when, lit]);
+  }
+
+  for (const rule of program.rules) {
+    group(`${prefix}-line-${rule.line}`, `${prefix}: ${rule.text}`);
+    try {
+      assert(rule.formula, new Map(), []);
+    } catch (e) {
+      throw new Error(`Rule line ${rule.line}: ${e.message}`);
+    }
+  }
+  return roles;
+}
+
+// Evaluates a rule program directly on a decoded schedule, without the CNF,
+// where holders maps each role to its character. Returns the rules that do
+// not hold, as { line, text }.
+export function evaluateRules(program, schedule, config, holders) {
+  const { rooms, chars, T } = config;
+  const inTime = (t) => Number.isInteger(t) && t >= 1 && t <= T;
+  const at = (ch, room, t) => inTime(t) && schedule[ch][t - 1] === room;
+  const meet = (a, b, t) =>
+    inTime(t) && schedule[a][t - 1] === schedule[b][t - 1];
+
+  function value(term, env) {
+    if (term.type === "number") return term.value;
+    if (term.type === "offset") return value(term.base, env) + term.delta;
+    const { name } = term;
+    if (env.has(name)) return env.get(name);
+    if (Object.hasOwn(holders, name)) return holders[name];
+    return name;
+  }
+  const count = (node, env) => {
+    const [a, b] = node.args.map((arg) => value(arg, env));
+    if (node.name === "count") {
+      return chars.filter((ch) => at(ch, a, b)).length;
+    }
+    return schedule[a].filter((room) => room === b).length;
+  };
+  const term = (node, env) =>
+    node.type === "call" ? count(node, env) : value(node, env);
+
+  function holds(node, env) {
+    switch (node.type) {
+      case "not":
+        return !holds(node.arg, env);
+      case "and":
+        return node.args.every((arg) => holds(arg, env));
+      case "or":
+        return node.args.some((arg) => holds(arg, env));
+      case "implies":
+        return !holds(node.left, env) || holds(node.right, env);
+      case "iff":
+        return holds(node.left, env) === holds(node.right, env);
+      case "forall":
+        return bindings(node.vars, env).every((b) => holds(node.body, b));
+      case "exists":
+        return bindings(node.vars, env).some((b) => holds(node.body, b));
+      case "compare": {
+        const x = term(node.left, env);
+        const y = term(node.right, env);
+        return {
+          "==": x === y,
+          "!=": x !== y,
+          "<": x < y,
+          "<=": x <= y,
+          ">": x > y,
+          ">=": x >= y,
+        }[node.op];
+      }
+    }
+    const args = node.args.map((arg) => value(arg, env));
+    switch (node.name) {
+      case "at":
+        return at(args[0], args[1], args[2]);
+      case "alone":
+        return (
+          inTime(args[1]) &&
+          chars.every((ch) => ch === args[0] || !meet(ch, args[0], args[1]))
+        );
+      case "meet":
+        return meet(args[0], args[1], args[2]);
+      default:
+        return schedule[args[0]].includes(args[1]);
+    }
+  }
+
+  function bindings(vars, env) {
+    let out = [env];
+    for (const { name, domain } of vars) {
+      const values =
+        domain === "time"
+          ? Array.from({ length: T }, (_, t) => t + 1)
+          : domain === "room"
+            ? rooms
+            : chars;
+      out = out.flatMap((outer) =>
+        values.map((item) => new Map(outer).set(name, item)),
+      );
+    }
+    return out;
+  }
+
+  return program.rules
+    .filter((rule) => !holds(rule.formula, new Map()))
+    .map(({ line, text }) => ({ line, text }));
+}
+
+// Builds a scenario definition for registerScenario from a rule program
+// (see the top of this file). definition holds id, name and rules, plus any
+// other scenario fields such as summary or score. rules is the program text,
+// or a function returning it for a configuration. The holders of the roles
+// are decoded into priv[id], e.g. { Thief: "Ann" }, and listed as private
+// facts.
+export function ruleScenario({ rules, ...definition }) {
+  const { id } = definition;
+  let parsed = null;
+  const programFor = (config) => {
+    const source = typeof rules === "function" ? rules(config) : rules;
+    if (parsed?.source !== source) {
+      parsed = { source, program: parseRules(source) };
+    }
+    return parsed.program;
+  };
+  // Fixed programs are parsed right away, so syntax errors surface when the
+  // scenario is defined rather than when it is first solved.
+  if (typeof rules !== "function") programFor();
+  const roleName = (role, c) => `${id}_${role}_${c}`;
+  return {
+    summary: "",
+    describe: (res) =>
+      Object.entries(res.priv[id] ?? {}).map(([role, char]) => ({
+        type: id,
+        char,
+        text: role,
+      })),
+    ...definition,
+    validate(config) {
+      checkRules(programFor(config), config);
+      definition.validate?.(config);
+    },
+    encode(ctx) {
+      ctx.privKeys[id] = compileRules(programFor(ctx.config), ctx, id);
+    },
+    decode({ C, val, privKeys, priv }) {
+      priv[id] = Object.fromEntries(
+        Object.keys(privKeys[id]).map((role) => [
+          role,
+          C.find((c) => val(roleName(role, c))) ?? null,
+        ]),
+      );
+    },
+    verify(res, config) {
+      const program = programFor(config);
+      const holders = res.priv[id] ?? {};
+      const unheld = program.roles.filter(
+        (role) => !config.chars.includes(holders[role]),
+      );
+      if (unheld.length) {
+        return unheld.map((role) => `nobody holds the role ${role}`);
+      }
+      const messages = [];
+      if (new Set(Object.values(holders)).size < program.roles.length) {
+        messages.push("two roles go to the same character");
+      }
+      for (const { line, text } of evaluateRules(
+        program,
+        res.schedule,
+        config,
+        holders,
+      )) {
+        messages.push(`rule line ${line} does not hold: ${text}`);
+      }
+      return messages;
+    },
+    roles: ({ privKeys }) => Object.values(privKeys[id]),
+    culpritVariables: (privKeys) => Object.values(privKeys[id]).flat(),
+    answerFacts: (priv) =>
+      Object.entries(priv[id]).map(([role, char]) => [[roleName(role, char)]]),
+  };
+}
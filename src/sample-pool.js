@@ -0,0 +1,186 @@
+/* Generator sampling: the per-sample solve, uniqueness and scoring step, run
+   either inline or across a pool of Web Workers. */
+
+import {
+  checkUniqueness,
+  createSampler,
+  solveAndDecode,
+} from "./scenario-solver.js";
+import { scoreScenario } from "./scenario-shared.js";
+
+// Runs one generator sample, through sampler when given (see createSampler)
+// and solveAndDecode otherwise; either way the seed alone reproduces it.
+// Returns { index, seed, status } where status is
+// the solve outcome ("sat", "unsat", "timeout", "rejected"), "ambiguous" when
+// uniqueOnly discards the answer, or "error" (with message). Samples with
+// status "sat" also carry the scored scenario, tagged with its seed, in res.
+// An aborted signal is rethrown rather than reported as an error.
+export function runSample(
+  cfg,
+  index,
+  seed,
+  { uniqueOnly = false, signal, sampler } = {},
+) {
+  const seeded = { ...cfg, seed };
+  try {
+    const res = sampler
+      ? sampler.sample(seed, { signal })
+      : solveAndDecode(seeded, { signal });
+    if (res.status !== "sat") return { index, seed, status: res.status };
+    if (uniqueOnly && !checkUniqueness(res, seeded).unique) {
+      return { index, seed, status: "ambiguous" };
+    }
+    const scored = { ...res, seed, score: scoreScenario(res, seeded) };
+    return { index, seed, status: "sat", res: scored };
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    return { index, seed, status: "error", message: e.message };
+  }
+}
+
+// Orders scored samples by difficulty. Ties keep sample order, so the result
+// never depends on which worker finished first.
+export function compareSamples(a, b) {
+  return a.res.score.total - b.res.score.total || a.index - b.index;
+}
+
+// Runs samples on the calling thread, yielding to the event loop every ten
+// samples so the page can repaint. The samples share one createSampler, so
+// the encoding is built once per run. Resolves like createSamplePool().run.
+// Aborting signal stops the run, which resolves with the samples finished so
+// far. Each sample solves synchronously, so an abort from this thread takes
+// effect between samples rather than in the middle of one; the worker pool
+// stops mid-solve.
+export async function runSamplesInline(
+  cfg,
+  seeds,
+  { uniqueOnly = false, onResult = () => {}, signal } = {},
+) {
+  const results = [];
+  const sampler = createSampler(cfg);
+  for (let i = 0; i < seeds.length; i++) {
+    if (signal?.aborted) return { results, cancelled: true };
+    let result;
+    try {
+      result = runSample(cfg, i, seeds[i], { uniqueOnly, signal, sampler });
+    } catch (e) {
+      if (signal?.aborted) return { results, cancelled: true };
+      throw e;
+    }
+    results.push(result);
+    onResult(result);
+    if (i % 10 === 0) await new Promise((r) => setTimeout(r, 0));
+  }
+  return { results, cancelled: false };
+}
+
+const DEFAULT_WORKER_URL = new URL("./sample-worker.js", import.meta.url);
+
+function defaultPoolSize() {
+  const cores =
+    typeof navigator !== "undefined" ? navigator.hardwareConcurrency : 0;
+  return Math.max(1, cores || 1);
+}
+
+// Spreads samples over `size` Web Workers (one per core by default). Each
+// worker takes the next seed as soon as it finishes one, and every result is
+// streamed to onResult as it arrives. run() resolves with
+// { results, cancelled }, results in sample order, so sorting the "sat"
+// samples with compareSamples matches runSamplesInline for the same seeds,
+// whichever worker solves each one. Aborting signal cancels the run like
+// cancel() does. Scenarios registered on this thread do not exist in the
+// workers: scenarioModules lists the URLs of modules that register them,
+// which every worker imports before sampling.
+export function createSamplePool({
+  size = defaultPoolSize(),
+  workerUrl = DEFAULT_WORKER_URL,
+  scenarioModules = [],
+} = {}) {
+  let workers = [];
+  let active = null;
+  let runCount = 0;
+
+  function run(
+    cfg,
+    seeds,
+    { uniqueOnly = false, onResult = () => {}, signal } = {},
+  ) {
+    if (active) cancel();
+    if (signal?.aborted)
+      return Promise.resolve({ results: [], cancelled: true });
+    while (workers.length < size) {
+      workers.push(new Worker(workerUrl, { type: "module" }));
+    }
+
+    const runId = ++runCount;
+    return new Promise((resolve, reject) => {
+      const results = new Array(seeds.length);
+      let next = 0;
+      let finished = 0;
+
+      const settle = (cancelled, error) => {
+        for (const worker of workers) {
+          worker.onmessage = null;
+          worker.onerror = null;
+        }
+        active = null;
+        signal?.removeEventListener("abort", cancel);
+        if (error) reject(error);
+        else resolve({ results: results.filter(Boolean), cancelled });
+      };
+      active = { settle };
+      signal?.addEventListener("abort", cancel);
+
+      const dispatch = (worker) => {
+        if (next >= seeds.length) return;
+        const index = next++;
+        worker.postMessage({
+          type: "sample",
+          runId,
+          index,
+          seed: seeds[index],
+        });
+      };
+
+      for (const worker of workers) {
+        worker.onmessage = ({ data }) => {
+          if (data.runId !== runId) return;
+          const { result } = data;
+          results[result.index] = result;
+          onResult(result);
+          if (++finished === seeds.length) settle(false);
+          else dispatch(worker);
+        };
+        worker.onerror = (e) => {
+          e.preventDefault?.();
+          stopWorkers();
+          settle(false, new Error(e.message || "Sample worker failed"));
+        };
+        worker.postMessage({
+          type: "start",
+          runId,
+          cfg,
+          uniqueOnly,
+          scenarioModules: scenarioModules.map(String),
+        });
+        dispatch(worker);
+      }
+      if (!seeds.length) settle(false);
+    });
+  }
+
+  // A search in progress cannot be interrupted from outside its worker, so
+  // cancelling terminates the workers; the next run starts fresh ones. The
+  // cancelled run resolves with the samples finished so far.
+  function cancel() {
+    stopWorkers();
+    if (active) active.settle(true);
+  }
+
+  function stopWorkers() {
+    for (const worker of workers) worker.terminate();
+    workers = [];
+  }
+
+  return { size, run, cancel, terminate: cancel };
+}
@@ -0,0 +1,36 @@
+/* Web Worker that runs generator samples for createSamplePool. */
+
+import { runSample } from "./sample-pool.js";
+import { createSampler } from "./scenario-solver.js";
+
+let current = null;
+
+self.onmessage = ({ data }) => {
+  if (data.type === "start") {
+    const { runId, cfg, uniqueOnly } = data;
+    // Scenario modules register themselves on import, so samples can only
+    // run once they have loaded.
+    const ready = Promise.all(data.scenarioModules.map((url) => import(url)));
+    current = { runId, cfg, uniqueOnly, ready };
+    return;
+  }
+  if (data.type === "sample" && current?.runId === data.runId) {
+    const run = current;
+    const { index, seed } = data;
+    run.ready.then(
+      () => {
+        // The run's samples share one encoding; it needs the scenarios
+        // registered, so it is only created once they have loaded.
+        run.sampler ??= createSampler(run.cfg);
+        const result = runSample(run.cfg, index, seed, run);
+        self.postMessage({ runId: run.runId, result });
+      },
+      // Rethrow outside the promise so the pool sees a scenario module that
+      // fails to load in onerror.
+      (e) =>
+        setTimeout(() => {
+          throw e;
+        }),
+    );
+  }
+};
@@ -0,0 +1,102 @@
+/* Scenario registry. Each scenario is one definition object; the solver,
+   the scorer and the generator UI run the scenarios a configuration enables
+   (config.scenarios[id] is truthy) in registration order. The built-in
+   scenarios are registered below; others can be added with registerScenario.
+
+   A definition has:
+     id, name            the config.scenarios key (e.g. "s2") and display name
+     summary             optional one-line description for scenario pickers
+     validate(config)    optional; throws when the configuration cannot host
+                         the scenario
+     encode(ctx)         adds the scenario's clauses. ctx holds buildCNF's
+                         { config, seed, vp, clauses, X, R, C, T, Ridx, nbr,
+                         group, privKeys, seededChoices }, where R is the
+                         map's room order X(ci, t, ri) indexes into
+     decode(ctx)         records the private facts in ctx.priv. ctx holds
+                         { cfg, R, C, T, val, schedule, byTime, visits,
+                         privKeys, priv }; returning null rejects the schedule
+     score(res, cfg)     optional difficulty points, or null when there is
+                         nothing to score; added to the breakdown under
+                         scoreKey (default: id)
+     describe(res, cfg)  optional list of private facts for the generator:
+                         { type, text, char?, chars? }
+     verify(res, cfg)    optional; re-checks the scenario's rules on the
+                         decoded schedule and private facts without the CNF
+                         and returns violation messages (see verifyScenario)
+     conflictsWith(other, config)  optional; why the scenario cannot be
+                         combined with the other enabled scenario under
+                         config, or null when it can
+
+   Several scenarios can be enabled together; validateScenarioConfig rejects
+   combinations whose movement rules contradict each other or that
+   conflictsWith rules out.
+
+   Optional properties tell the solver how the scenario behaves:
+     allowsStaying       its rules can keep a character in place, so nbr lists
+                         each room as its own neighbour
+     relaxesMovement     every character may stay put; the scenario adds its
+                         own must-move rule
+     bakesSeed           seeded choices are baked into the clauses, so they
+                         cannot become assumptions (see createSampler)
+     fixedSearchSeed     search with a fixed SAT seed (see searchSeed)
+     symmetricRoles      the privKeys role variables of a scenario that treats
+                         every character alike, in symmetry-breaking order
+     roles(ctx)          the scenario's roles, each one entry per character:
+                         a variable, true when the seed gave the role to that
+                         character, or false. buildCNF keeps the roles of
+                         combined scenarios on different characters
+     culpritVariables(privKeys)  solver-chosen role variables, for
+                         enumerateSolutions' "culprit" projection
+     answerFacts(priv)   the answer as alternative variable-name sets, for
+                         checkUniqueness
+*/
+
+import { BUILTIN_SCENARIOS } from "./scenarios/index.js";
+
+const registry = new Map();
+
+// Adds a scenario definition. Throws when a required field is missing or the
+// id is taken. Registrations are per module instance: sample workers only see
+// scenarios their own imports register (see createSamplePool).
+export function registerScenario(scenario) {
+  if (!scenario || typeof scenario.id !== "string" || !scenario.id) {
+    throw new Error("Scenario definitions need a string id");
+  }
+  if (typeof scenario.name !== "string") {
+    throw new Error(`Scenario ${scenario.id} needs a name`);
+  }
+  for (const key of ["encode", "decode"]) {
+    if (typeof scenario[key] !== "function") {
+      throw new Error(`Scenario ${scenario.id} needs an ${key} function`);
+    }
+  }
+  for (const key of ["validate", "score", "describe", "verify"]) {
+    if (scenario[key] != null && typeof scenario[key] !== "function") {
+      throw new Error(`Scenario ${scenario.id} ${key} must be a function`);
+    }
+  }
+  if (registry.has(scenario.id)) {
+    throw new Error(`Scenario already registered: ${scenario.id}`);
+  }
+  registry.set(scenario.id, scenario);
+  return scenario;
+}
+
+// Removes a scenario; returns whether it was registered.
+export function unregisterScenario(id) {
+  return registry.delete(id);
+}
+
+export function getScenario(id) {
+  return registry.get(id) ?? null;
+}
+
+export function listScenarios() {
+  return Array.from(registry.values());
+}
+
+export function enabledScenarios(config) {
+  return listScenarios().filter((scenario) => config.scenarios?.[scenario.id]);
+}
+
+for (const scenario of BUILTIN_SCENARIOS) registerScenario(scenario);
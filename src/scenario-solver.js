@@ -1,900 +1,1298 @@
-/* ===========================
-   Minimal SAT (DPLL + Unit)
-   =========================== */
-function mulberry32(a) {
-  return function () {
-    var t = (a += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-export function resolveSeed(seed) {
-  if (seed == null) {
-    return Math.floor(Math.random() * 0xffffffff);
+import {
+  encodeAtLeastK,
+  encodeAtMostK,
+  encodeLexLeq,
+  encodeXor,
+  exactlyOne,
+  randomXorHash,
+  varPool,
+} from "./cnf.js";
+import { capacityShortfall, neighbors } from "./map.js";
+import { mulberry32, resolveSeed, shuffleWithSeed } from "./random.js";
+import { enabledScenarios, listScenarios } from "./scenario-registry.js";
+import { verifyScenario } from "./verify.js";
+
+// The clause helpers, the map parser and seed handling live in their own
+// modules so that scenario definitions can use them; they remain part of the
+// solver's API.
+export {
+  atLeastK,
+  atLeastOne,
+  atMostK,
+  atMostOne,
+  buildCardinalityNetwork,
+  buildSequentialCounter,
+  buildTotalizer,
+  cardinalityEncoding,
+  encodeAtLeastK,
+  encodeAtMostK,
+  encodeLexLeq,
+  encodeXor,
+  exactlyOne,
+  randomXorHash,
+  varPool,
+} from "./cnf.js";
+export {
+  capacityShortfall,
+  formatMermaid,
+  isOneWay,
+  neighbors,
+  parseMermaid,
+} from "./map.js";
+export { resolveSeed } from "./random.js";
+export { analyzeMap } from "./map-analysis.js";
+export { verifyScenario } from "./verify.js";
+
+// Rejects configurations that an enabled scenario cannot encode. Each
+// scenario checks its own requirements (see scenario-registry.js); combined
+// scenarios must also agree on who may stay in place and pass each other's
+// conflictsWith, and the room capacities in config.roomInfo must leave
+// space for the whole cast.
+export function validateScenarioConfig(config) {
+  const scenarios = enabledScenarios(config);
+  for (const [room, { capacity } = {}] of Object.entries(
+    config.roomInfo ?? {},
+  )) {
+    if (
+      capacity !== undefined &&
+      !(Number.isInteger(capacity) && capacity >= 0)
+    ) {
+      throw new Error(
+        `The capacity of ${room} must be a whole number of characters`,
+      );
+    }
+  }
+  const shortfall = capacityShortfall(
+    config.rooms ?? [],
+    config.edges,
+    config.T,
+    config.chars?.length ?? 0,
+    config.roomInfo,
+    scenarios.some(
+      (scenario) => scenario.allowsStaying || scenario.relaxesMovement,
+    ),
+  );
+  if (shortfall) {
+    throw new Error(
+      `Room capacities leave space for only ${shortfall.space} of the ${config.chars.length} characters at t=${shortfall.t + 1}`,
+    );
+  }
+  // A scenario that allows staying forbids every stay its own rules do not
+  // explain, so two of them would pin each other's characters in place, and
+  // a relaxed-movement scenario makes everyone but its exceptions move.
+  const staying = scenarios.filter((scenario) => scenario.allowsStaying);
+  const relaxed = scenarios.find((scenario) => scenario.relaxesMovement);
+  if (staying.length > 1) {
+    const [a, b] = staying.map(label);
+    throw new Error(
+      `${a} and ${b} cannot be combined: each only lets its own characters stay in place`,
+    );
+  }
+  if (staying.length && relaxed) {
+    throw new Error(
+      `${label(staying[0])} cannot be combined with ${label(relaxed)}: it keeps characters in place, which ${label(relaxed)}'s must-move rule forbids`,
+    );
+  }
+  for (const a of scenarios) {
+    for (const b of scenarios) {
+      const reason = a !== b && a.conflictsWith?.(b, config);
+      if (reason) {
+        throw new Error(
+          `${label(a)} and ${label(b)} cannot be combined: ${reason}`,
+        );
+      }
+    }
+  }
+  for (const scenario of scenarios) {
+    scenario.validate?.(config);
   }
-
-  const resolved = Number(seed);
-  return Number.isFinite(resolved)
-    ? resolved
-    : Math.floor(Math.random() * 0xffffffff);
 }
 
-function hasConfiguredValue(value) {
-  return value !== null && value !== undefined && value !== "";
+function label(scenario) {
+  return `${scenario.id.toUpperCase()} (${scenario.name})`;
 }
 
-function canVisitDistinctRoomsWithin(rooms, edges, timesteps, targetRoomCount) {
+// Returns the role variables buildCNF pins to the first characters, or null
+// when some enabled scenario makes the characters distinguishable. Only
+// scenarios that declare symmetricRoles treat every character alike.
+function firstSymmetricRole(config, privKeys) {
+  const enabled = enabledScenarios(config);
   if (
-    !rooms.length ||
-    targetRoomCount < 1 ||
-    targetRoomCount > rooms.length ||
-    timesteps < targetRoomCount
+    !enabled.length ||
+    !enabled.every((scenario) => scenario.symmetricRoles)
   ) {
-    return false;
+    return null;
   }
+  return enabled[0].symmetricRoles.map((key) => privKeys[key]);
+}
 
-  const { nbr } = neighbors(rooms, edges ?? [], false);
-  let largestComponent = 0;
-  const globallyVisited = new Set();
-  for (let start = 0; start < rooms.length; start++) {
-    if (globallyVisited.has(start)) continue;
-    const component = new Set([start]);
-    const queue = [start];
-    globallyVisited.add(start);
-    while (queue.length) {
-      const room = queue.shift();
-      for (const next of nbr[room]) {
-        if (component.has(next)) continue;
-        component.add(next);
-        globallyVisited.add(next);
-        queue.push(next);
-      }
-    }
-    largestComponent = Math.max(largestComponent, component.size);
-  }
-  if (largestComponent < targetRoomCount) return false;
+// Renames the characters of a symmetry-broken solution by a permutation
+// drawn from the seed, so each character is equally likely to get each role.
+// Only the variables decodeSolution reads for symmetric scenarios (positions
+// and roles) are moved; the returned model is meant for decoding only.
+function relabelCharacters(cfg, sol, vp, privKeys, seed) {
+  const C = cfg.chars;
+  // Offset the seed so the permutation is independent of the scenarios'
+  // seeded choices.
+  const target = shuffleWithSeed(
+    C.map((_, ci) => ci),
+    (seed ^ 0x9e3779b9) >>> 0,
+  );
+  const roles = listScenarios()
+    .flatMap((scenario) => scenario.symmetricRoles ?? [])
+    .map((key) => privKeys[key])
+    .filter(Boolean);
+  const out = sol.slice();
+  C.forEach((ch, ci) => {
+    const to = C[target[ci]];
+    for (let t = 0; t < cfg.T; t++) {
+      for (const r of cfg.rooms) {
+        out[vp.getExisting(`X_${to}_${t}_${r}`)] =
+          sol[vp.getExisting(`X_${ch}_${t}_${r}`)];
+      }
+    }
+    for (const role of roles) out[role[target[ci]]] = sol[role[ci]];
+  });
+  return out;
+}
 
-  // A depth-first traversal can cover any connected set of N rooms in at most
-  // 2N-1 timesteps. Only shorter timelines need the exact search below.
-  if (timesteps >= 2 * targetRoomCount - 1) return true;
+/* ===========================
+   Minimal SAT (CDCL)
+   =========================== */
+// Literals use the DIMACS convention (v or -v). Per-literal tables such as
+// the watch lists are indexed by 2v for positive and 2v + 1 for negative
+// literals.
+function litIndex(lit) {
+  return lit > 0 ? lit << 1 : (-lit << 1) | 1;
+}
 
-  const memo = new Set();
+// Luby sequence (1, 1, 2, 1, 1, 2, 4, ...) used to space out restarts.
+function luby(index) {
+  let size = 1;
+  let seq = 0;
+  while (size < index + 1) {
+    seq++;
+    size = 2 * size + 1;
+  }
+  let x = index;
+  while (size - 1 !== x) {
+    size = (size - 1) >> 1;
+    seq--;
+    x %= size;
+  }
+  return 2 ** seq;
+}
 
-  function search(room, stepsRemaining, visitedMask, visitedCount) {
-    if (visitedCount >= targetRoomCount) return true;
-    if (visitedCount + stepsRemaining < targetRoomCount) return false;
+const SAT_DEFAULTS = {
+  timeoutMs: 12000,
+  restarts: "luby",
+  restartBase: 100,
+  phaseSaving: true,
+  budget: "time",
+  maxDecisions: Infinity,
+  maxPropagations: Infinity,
+  maxConflicts: Infinity,
+};
+
+// Limits of the "effort" budget, which ignores the clock and counts solver
+// steps instead, so a search gives up at the same point on every machine.
+// They allow roughly as much work as the default timeout does on a desktop.
+const EFFORT_BUDGET = {
+  maxDecisions: 2000000,
+  maxPropagations: 50000000,
+  maxConflicts: 150000,
+};
+
+function resolveSatOptions(options) {
+  const resolved =
+    typeof options === "number"
+      ? { ...SAT_DEFAULTS, timeoutMs: options }
+      : { ...SAT_DEFAULTS, ...(options ?? {}) };
+  if (!["luby", "glucose", "none"].includes(resolved.restarts)) {
+    throw new Error(`Unknown SAT restart policy: ${resolved.restarts}`);
+  }
+  if (!["time", "effort"].includes(resolved.budget)) {
+    throw new Error(`Unknown SAT budget: ${resolved.budget}`);
+  }
+  if (resolved.budget === "effort") {
+    resolved.timeoutMs = Infinity;
+    for (const [key, limit] of Object.entries(EFFORT_BUDGET)) {
+      if (options?.[key] === undefined) resolved[key] = limit;
+    }
+  }
+  return resolved;
+}
 
-    const key = `${room}|${stepsRemaining}|${visitedMask}`;
-    if (memo.has(key)) return false;
-    memo.add(key);
+function createCDCLSolver(numVars, rng, options = SAT_DEFAULTS) {
+  const values = new Int8Array(numVars + 1); // 0=unassigned, 1=true, -1=false
+  const level = new Int32Array(numVars + 1);
+  const reason = new Int32Array(numVars + 1).fill(-1);
+  const seen = new Uint8Array(numVars + 1);
+  const trail = new Int32Array(numVars);
+  const trailLim = [];
+  const watches = Array.from({ length: 2 * (numVars + 1) }, () => []);
+  let trailSize = 0;
+  let qhead = 0;
+  let ok = true;
+
+  // Clause database. Indices are never reused; deleted learnt clauses are
+  // nulled out and dropped lazily from the watch lists during propagation.
+  const clauseLits = [];
+  const clauseLearnt = [];
+  const clauseLbd = [];
+  const clauseActivity = [];
+  let learnts = [];
+  let maxLearnts = 0;
+  let clauseInc = 1;
+  const clauseDecay = 0.999;
+
+  // VSIDS activity with a binary max-heap of decision candidates. A tiny
+  // seeded jitter replaces the coin-flip tie breaking of the old DPLL search
+  // so that different seeds still explore different schedules.
+  const activity = new Float64Array(numVars + 1);
+  const heap = [];
+  const heapPos = new Int32Array(numVars + 1).fill(-1);
+  let varInc = 1;
+  const varDecay = 0.95;
+
+  // Phase saving: remember the last polarity of every variable so a
+  // backjump or restart resumes near the abandoned partial assignment.
+  const savedPhase = new Int8Array(numVars + 1);
+
+  // Glucose-style restarts compare the LBD of recent learned clauses with the
+  // running average; a window of poor-quality clauses triggers a restart.
+  const lbdWindow = [];
+  const lbdWindowSize = 50;
+  let lbdWindowSum = 0;
+  let lbdTotal = 0;
 
-    const orderedNeighbors = [...nbr[room]].sort((a, b) => {
-      const aVisited = (visitedMask & (1n << BigInt(a))) !== 0n;
-      const bVisited = (visitedMask & (1n << BigInt(b))) !== 0n;
-      return Number(aVisited) - Number(bVisited);
-    });
+  const stats = {
+    decisions: 0,
+    propagations: 0,
+    conflicts: 0,
+    learnts: 0,
+    restarts: 0,
+  };
 
-    for (const next of orderedNeighbors) {
-      const bit = 1n << BigInt(next);
-      const isNew = (visitedMask & bit) === 0n;
-      if (
-        search(
-          next,
-          stepsRemaining - 1,
-          visitedMask | bit,
-          visitedCount + Number(isNew),
-        )
-      ) {
-        return true;
-      }
-    }
-    return false;
+  function litValue(lit) {
+    const val = values[lit > 0 ? lit : -lit];
+    return lit > 0 ? val : -val;
   }
 
-  for (let start = 0; start < rooms.length; start++) {
-    if (search(start, timesteps - 1, 1n << BigInt(start), 1)) return true;
+  function decisionLevel() {
+    return trailLim.length;
   }
-  return false;
-}
-
-function reachableStartRooms(rooms, edges, destination, maxMoves) {
-  if (!rooms.includes(destination) || maxMoves < 1) return [];
 
-  const { idx, nbr } = neighbors(rooms, edges ?? [], false);
-  const destinationIndex = idx.get(destination);
-  const distances = Array(rooms.length).fill(Infinity);
-  distances[destinationIndex] = 0;
-  const queue = [destinationIndex];
+  function heapLess(a, b) {
+    return activity[a] > activity[b];
+  }
 
-  while (queue.length) {
-    const room = queue.shift();
-    for (const next of nbr[room]) {
-      if (distances[next] !== Infinity) continue;
-      distances[next] = distances[room] + 1;
-      queue.push(next);
+  function heapUp(pos) {
+    const v = heap[pos];
+    while (pos > 0) {
+      const parent = (pos - 1) >> 1;
+      if (!heapLess(v, heap[parent])) break;
+      heap[pos] = heap[parent];
+      heapPos[heap[pos]] = pos;
+      pos = parent;
     }
+    heap[pos] = v;
+    heapPos[v] = pos;
   }
 
-  return rooms.filter(
-    (room, index) => room !== destination && distances[index] <= maxMoves,
-  );
-}
+  function heapDown(pos) {
+    const v = heap[pos];
+    const size = heap.length;
+    for (;;) {
+      let child = 2 * pos + 1;
+      if (child >= size) break;
+      if (child + 1 < size && heapLess(heap[child + 1], heap[child])) child++;
+      if (!heapLess(heap[child], v)) break;
+      heap[pos] = heap[child];
+      heapPos[heap[pos]] = pos;
+      pos = child;
+    }
+    heap[pos] = v;
+    heapPos[v] = pos;
+  }
 
-function findHeavySofaExplanations(schedule, rooms, edges, chars) {
-  const destination = [...rooms].sort()[0];
-  const edgeKeys = new Set();
-  for (const [a, b] of edges ?? []) {
-    if (!rooms.includes(a) || !rooms.includes(b)) continue;
-    edgeKeys.add(`${a}\u0000${b}`);
-    edgeKeys.add(`${b}\u0000${a}`);
-  }
-  const timesteps = chars.length ? schedule[chars[0]].length : 0;
-  const explanations = [];
-
-  for (let first = 0; first < chars.length; first++) {
-    for (let second = first + 1; second < chars.length; second++) {
-      const carrier1 = chars[first];
-      const carrier2 = chars[second];
-
-      for (let pickup = 0; pickup < timesteps; pickup++) {
-        const startRoom = schedule[carrier1][pickup];
-        if (
-          startRoom === destination ||
-          schedule[carrier2][pickup] !== startRoom
-        ) {
-          continue;
-        }
+  function heapInsert(v) {
+    if (heapPos[v] !== -1) return;
+    heap.push(v);
+    heapPos[v] = heap.length - 1;
+    heapUp(heap.length - 1);
+  }
 
-        // Pickup is the start of the carriers' uninterrupted journey together.
-        // If it is not Time 1, they must have been separated immediately before.
-        if (
-          pickup > 0 &&
-          schedule[carrier1][pickup - 1] === schedule[carrier2][pickup - 1]
-        ) {
-          continue;
-        }
+  function heapPop() {
+    const top = heap[0];
+    const last = heap.pop();
+    heapPos[top] = -1;
+    if (heap.length) {
+      heap[0] = last;
+      heapPos[last] = 0;
+      heapDown(0);
+    }
+    return top;
+  }
 
-        const occupants = chars.filter(
-          (character) => schedule[character][pickup] === startRoom,
-        );
-        if (
-          occupants.length !== 2 ||
-          !occupants.includes(carrier1) ||
-          !occupants.includes(carrier2)
-        ) {
+  for (let v = 1; v <= numVars; v++) {
+    activity[v] = rng() * 1e-5;
+    heapInsert(v);
+  }
+
+  function bumpVar(v) {
+    activity[v] += varInc;
+    if (activity[v] > 1e100) {
+      for (let i = 1; i <= numVars; i++) activity[i] *= 1e-100;
+      varInc *= 1e-100;
+    }
+    if (heapPos[v] !== -1) heapUp(heapPos[v]);
+  }
+
+  function bumpClause(ci) {
+    clauseActivity[ci] += clauseInc;
+    if (clauseActivity[ci] > 1e20) {
+      for (const li of learnts) clauseActivity[li] *= 1e-20;
+      clauseInc *= 1e-20;
+    }
+  }
+
+  function enqueue(lit, from) {
+    const v = lit > 0 ? lit : -lit;
+    values[v] = lit > 0 ? 1 : -1;
+    level[v] = decisionLevel();
+    reason[v] = from;
+    trail[trailSize++] = lit;
+  }
+
+  function cancelUntil(targetLevel) {
+    if (decisionLevel() <= targetLevel) return;
+    const bound = trailLim[targetLevel];
+    for (let i = trailSize - 1; i >= bound; i--) {
+      const v = Math.abs(trail[i]);
+      savedPhase[v] = values[v];
+      values[v] = 0;
+      reason[v] = -1;
+      heapInsert(v);
+    }
+    trailSize = bound;
+    qhead = bound;
+    trailLim.length = targetLevel;
+  }
+
+  function attachClause(lits, isLearnt, lbd) {
+    const ci = clauseLits.length;
+    clauseLits.push(lits);
+    clauseLearnt.push(isLearnt);
+    clauseLbd.push(lbd);
+    clauseActivity.push(0);
+    watches[litIndex(lits[0])].push(ci);
+    watches[litIndex(lits[1])].push(ci);
+    if (isLearnt) learnts.push(ci);
+    return ci;
+  }
+
+  // Returns the index of a conflicting clause, or -1 when propagation reaches
+  // a fixpoint. Each clause watches its first two literals; a clause that
+  // becomes unit always has its implied literal at position 0 so conflict
+  // analysis can skip it when walking reasons.
+  function propagate() {
+    while (qhead < trailSize) {
+      const falseLit = -trail[qhead++];
+      const ws = watches[litIndex(falseLit)];
+      let i = 0;
+      let j = 0;
+      stats.propagations++;
+      while (i < ws.length) {
+        const ci = ws[i++];
+        const lits = clauseLits[ci];
+        if (lits === null) continue;
+        if (lits[0] === falseLit) {
+          lits[0] = lits[1];
+          lits[1] = falseLit;
+        }
+        const first = lits[0];
+        if (litValue(first) === 1) {
+          ws[j++] = ci;
           continue;
         }
 
-        const path = [];
-        let valid = true;
-        for (let time = pickup; time < timesteps; time++) {
-          const room = schedule[carrier1][time];
-          if (schedule[carrier2][time] !== room || path.includes(room)) {
-            valid = false;
-            break;
-          }
-          if (
-            path.length > 0 &&
-            !edgeKeys.has(`${path[path.length - 1]}\u0000${room}`)
-          ) {
-            valid = false;
+        let moved = false;
+        for (let k = 2; k < lits.length; k++) {
+          if (litValue(lits[k]) !== -1) {
+            lits[1] = lits[k];
+            lits[k] = falseLit;
+            watches[litIndex(lits[1])].push(ci);
+            moved = true;
             break;
           }
-          path.push(room);
         }
+        if (moved) continue;
 
-        if (!valid || path[path.length - 1] !== destination) continue;
-        explanations.push({
-          carriers: [carrier1, carrier2].sort(),
-          start_room: startRoom,
-          pickup_time: pickup + 1,
-          path,
-        });
+        ws[j++] = ci;
+        if (litValue(first) === -1) {
+          while (i < ws.length) ws[j++] = ws[i++];
+          ws.length = j;
+          qhead = trailSize;
+          return ci;
+        }
+        enqueue(first, ci);
       }
+      ws.length = j;
     }
+    return -1;
   }
 
-  return explanations;
-}
-
-export function validateScenarioConfig(config) {
-  const scenarios = config.scenarios ?? {};
-
-  if (scenarios.s2 && scenarios.s5) {
-    if ((config.chars?.length ?? 0) < 4) {
-      throw new Error("S6 requires at least 4 characters");
-    }
-    if ((config.rooms?.length ?? 0) < 3) {
-      throw new Error("S6 requires at least 3 rooms");
-    }
-    if (!Number.isInteger(config.T) || config.T < 2) {
-      throw new Error("S6 requires at least 2 timesteps");
+  function reasonIsRedundant(lit) {
+    const from = reason[Math.abs(lit)];
+    if (from === -1) return false;
+    const lits = clauseLits[from];
+    for (let k = 1; k < lits.length; k++) {
+      const v = Math.abs(lits[k]);
+      if (!seen[v] && level[v] > 0) return false;
     }
+    return true;
   }
 
-  if (scenarios.s11) {
-    if ((config.chars?.length ?? 0) < 3) {
-      throw new Error("S11 requires at least three characters");
-    }
-    if ((config.rooms?.length ?? 0) < 3) {
-      throw new Error("S11 requires at least three rooms");
-    }
-    if (!Number.isInteger(config.T) || config.T < 3) {
-      throw new Error("S11 requires at least three timesteps");
-    }
+  // First-UIP conflict analysis. Produces an asserting clause whose first
+  // literal is the flipped UIP and whose second literal (if any) belongs to
+  // the backjump level.
+  function analyze(confl) {
+    const learnt = [0];
+    let pathCount = 0;
+    let p = 0;
+    let index = trailSize - 1;
+    const currentLevel = decisionLevel();
+
+    do {
+      if (clauseLearnt[confl]) bumpClause(confl);
+      const lits = clauseLits[confl];
+      for (let k = p === 0 ? 0 : 1; k < lits.length; k++) {
+        const q = lits[k];
+        const v = Math.abs(q);
+        if (seen[v] || level[v] === 0) continue;
+        seen[v] = 1;
+        bumpVar(v);
+        if (level[v] >= currentLevel) pathCount++;
+        else learnt.push(q);
+      }
+      while (!seen[Math.abs(trail[index])]) index--;
+      p = trail[index];
+      index--;
+      confl = reason[Math.abs(p)];
+      seen[Math.abs(p)] = 0;
+      pathCount--;
+    } while (pathCount > 0);
+    learnt[0] = -p;
+
+    // Drop literals implied by the rest of the clause (local minimization).
+    const marked = learnt.slice(1);
+    let kept = 1;
+    for (let k = 1; k < learnt.length; k++) {
+      if (!reasonIsRedundant(learnt[k])) learnt[kept++] = learnt[k];
+    }
+    learnt.length = kept;
+    for (const lit of marked) seen[Math.abs(lit)] = 0;
+
+    let backjumpLevel = 0;
+    if (learnt.length > 1) {
+      let maxIndex = 1;
+      for (let k = 2; k < learnt.length; k++) {
+        if (level[Math.abs(learnt[k])] > level[Math.abs(learnt[maxIndex])]) {
+          maxIndex = k;
+        }
+      }
+      [learnt[1], learnt[maxIndex]] = [learnt[maxIndex], learnt[1]];
+      backjumpLevel = level[Math.abs(learnt[1])];
+    }
+
+    const levels = new Set();
+    for (const lit of learnt) levels.add(level[Math.abs(lit)]);
+    return { learnt, backjumpLevel, lbd: levels.size };
+  }
+
+  function isLocked(ci) {
+    const first = clauseLits[ci][0];
+    return reason[Math.abs(first)] === ci && litValue(first) === 1;
+  }
+
+  // Keep glue clauses (LBD <= 2) and clauses currently acting as reasons;
+  // discard the less useful half of the remainder.
+  function reduceLearnts() {
+    const candidates = learnts.filter(
+      (ci) => clauseLbd[ci] > 2 && !isLocked(ci),
+    );
+    candidates.sort(
+      (a, b) =>
+        clauseLbd[b] - clauseLbd[a] || clauseActivity[a] - clauseActivity[b],
+    );
+    const removeCount = Math.floor(candidates.length / 2);
+    for (let k = 0; k < removeCount; k++) clauseLits[candidates[k]] = null;
+    learnts = learnts.filter((ci) => clauseLits[ci] !== null);
   }
 
-  if (scenarios.s15) {
-    const roomCount = config.rooms?.length ?? 0;
-    const characterCount = config.chars?.length ?? 0;
-
-    if (roomCount < 4) {
-      throw new Error("S15 requires at least 4 rooms");
-    }
-    if (characterCount < 3) {
-      throw new Error("S15 requires at least 3 characters");
-    }
-    if (characterCount > 3 && roomCount < 5) {
-      throw new Error(
-        "S15 requires at least 5 rooms when there are non-podium characters",
-      );
-    }
-    if (!Number.isInteger(config.T) || config.T < roomCount) {
-      throw new Error(
-        `S15 requires at least ${roomCount} timesteps so first place can visit every room`,
-      );
-    }
-    if (
-      !canVisitDistinctRoomsWithin(
-        config.rooms,
-        config.edges,
-        config.T,
-        roomCount,
-      )
-    ) {
-      throw new Error(
-        `S15 map must allow a route through every room within ${config.T} timesteps`,
-      );
-    }
+  function recordLbd(lbd) {
+    lbdTotal += lbd;
+    lbdWindow.push(lbd);
+    lbdWindowSum += lbd;
+    if (lbdWindow.length > lbdWindowSize) lbdWindowSum -= lbdWindow.shift();
   }
 
-  if (scenarios.s16) {
-    const roomCount = config.rooms?.length ?? 0;
-    const characterCount = config.chars?.length ?? 0;
-
-    if (characterCount < 2) {
-      throw new Error("S16 requires at least 2 characters");
-    }
-    if (roomCount < characterCount) {
-      throw new Error("S16 requires at least as many rooms as characters");
-    }
-    if (!Number.isInteger(config.T) || config.T < characterCount) {
-      throw new Error(
-        `S16 requires at least ${characterCount} timesteps so one character can visit ${characterCount} rooms`,
-      );
-    }
-    if (
-      !canVisitDistinctRoomsWithin(
-        config.rooms,
-        config.edges,
-        config.T,
-        characterCount,
-      )
-    ) {
-      throw new Error(
-        `S16 map must allow a route through ${characterCount} distinct rooms within ${config.T} timesteps`,
+  function restartDue(conflictsSinceRestart) {
+    if (options.restarts === "luby") {
+      return (
+        conflictsSinceRestart >= options.restartBase * luby(stats.restarts)
       );
     }
-  }
-
-  if (scenarios.s17) {
-    if ((config.chars?.length ?? 0) < 4) {
-      throw new Error("S17 requires at least 4 characters");
-    }
-    if (!Number.isInteger(config.T) || config.T < 2) {
-      throw new Error(
-        "S17 requires at least 2 timesteps for a meeting and a separation",
+    if (options.restarts === "glucose") {
+      return (
+        lbdWindow.length === lbdWindowSize &&
+        (lbdWindowSum / lbdWindowSize) * 0.8 > lbdTotal / stats.conflicts
       );
     }
+    return false;
   }
 
-  if (scenarios.s18) {
-    const rooms = config.rooms ?? [];
-    if (rooms.length < 2) {
-      throw new Error("S18 requires at least 2 rooms");
-    }
-    if ((config.chars?.length ?? 0) < 2) {
-      throw new Error("S18 requires at least 2 characters");
-    }
-    if (!Number.isInteger(config.T) || config.T < 2) {
-      throw new Error("S18 requires at least 2 timesteps");
-    }
-
-    const destination = [...rooms].sort()[0];
-    if (
-      !reachableStartRooms(rooms, config.edges, destination, config.T - 1)
-        .length
-    ) {
-      throw new Error(
-        `S18 requires a non-destination room that can reach ${destination} within ${config.T - 1} moves`,
-      );
+  function pickBranchLiteral() {
+    while (heap.length) {
+      const v = heapPop();
+      if (values[v] !== 0) continue;
+      if (options.phaseSaving && savedPhase[v] !== 0) {
+        return savedPhase[v] > 0 ? v : -v;
+      }
+      return rng() < 0.5 ? v : -v;
     }
+    return 0;
   }
 
-  if (scenarios.s19) {
-    if ((config.rooms?.length ?? 0) < 3) {
-      throw new Error("S19 requires at least 3 rooms");
-    }
-    if ((config.chars?.length ?? 0) < 3) {
-      throw new Error("S19 requires at least 3 characters");
-    }
-    if (!Number.isInteger(config.T) || config.T < 2) {
-      throw new Error(
-        "S19 requires at least 2 timesteps so the reveal can be followed by another elimination opportunity",
-      );
-    }
-  }
+  return {
+    stats,
+
+    // Adds a problem clause at decision level 0, undoing the assignment of
+    // any earlier solve. Returns false once the formula is known to be
+    // unsatisfiable.
+    addClause(clause) {
+      if (!ok) return false;
+      cancelUntil(0);
+      const lits = [];
+      const present = new Set();
+      for (const lit of clause) {
+        if (lit === 0) continue;
+        if (present.has(-lit)) return true;
+        if (present.has(lit)) continue;
+        const val = litValue(lit);
+        if (val === 1) return true;
+        if (val === -1) continue;
+        present.add(lit);
+        lits.push(lit);
+      }
+      if (lits.length === 0) {
+        ok = false;
+      } else if (lits.length === 1) {
+        enqueue(lits[0], -1);
+        ok = propagate() === -1;
+      } else {
+        attachClause(lits, false, 0);
+      }
+      return ok;
+    },
 
-  if (!scenarios.s1) return;
+    // Returns true (SAT), false (UNSAT) or null when shouldStop() asks the
+    // search to give up. Assumption literals are decided first, one per
+    // decision level, so clauses learned under them stay valid for later
+    // calls; false then means UNSAT under these assumptions only.
+    solve(shouldStop, assumptions = []) {
+      cancelUntil(0);
+      if (!ok) return false;
+      if (propagate() !== -1) {
+        ok = false;
+        return false;
+      }
+      maxLearnts = Math.max(2000, Math.floor(clauseLits.length / 3));
+      let conflictsSinceRestart = 0;
+
+      for (;;) {
+        const confl = propagate();
+        if (confl !== -1) {
+          stats.conflicts++;
+          if (decisionLevel() === 0) {
+            ok = false;
+            return false;
+          }
+          const { learnt, backjumpLevel, lbd } = analyze(confl);
+          cancelUntil(backjumpLevel);
+          if (learnt.length === 1) {
+            enqueue(learnt[0], -1);
+          } else {
+            const ci = attachClause(learnt, true, lbd);
+            bumpClause(ci);
+            enqueue(learnt[0], ci);
+            stats.learnts++;
+          }
+          varInc /= varDecay;
+          clauseInc /= clauseDecay;
+          recordLbd(lbd);
+          conflictsSinceRestart++;
+          if (shouldStop()) return null;
+          if (restartDue(conflictsSinceRestart)) {
+            cancelUntil(0);
+            stats.restarts++;
+            conflictsSinceRestart = 0;
+            lbdWindow.length = 0;
+            lbdWindowSum = 0;
+          }
+          continue;
+        }
 
-  const requestedRoom = scenarios.s1_room;
-  if (
-    hasConfiguredValue(requestedRoom) &&
-    !config.rooms?.includes(requestedRoom)
-  ) {
-    throw new Error(
-      `S1 poison room must match a configured room: ${requestedRoom}`,
-    );
-  }
+        if (learnts.length - trailSize >= maxLearnts) {
+          reduceLearnts();
+          maxLearnts = Math.floor(maxLearnts * 1.1);
+        }
 
-  const requestedTimeValue = scenarios.s1_time;
-  if (hasConfiguredValue(requestedTimeValue)) {
-    const requestedTime = Number(requestedTimeValue);
-    if (
-      !Number.isInteger(requestedTime) ||
-      requestedTime < 1 ||
-      requestedTime > config.T
-    ) {
-      throw new Error(
-        `S1 poison time must be an integer from 1 to ${config.T}`,
-      );
-    }
-  }
-}
+        let next = 0;
+        while (decisionLevel() < assumptions.length) {
+          const p = assumptions[decisionLevel()];
+          const val = litValue(p);
+          if (val === -1) return false;
+          if (val === 0) {
+            next = p;
+            break;
+          }
+          // Already implied: open an empty level to keep levels aligned.
+          trailLim.push(trailSize);
+        }
+        if (next === 0) {
+          next = pickBranchLiteral();
+          if (next === 0) return true;
+          stats.decisions++;
+          if ((stats.decisions & 255) === 0 && shouldStop()) return null;
+        }
+        trailLim.push(trailSize);
+        enqueue(next, -1);
+      }
+    },
 
-function shuffleWithSeed(list, seed) {
-  const out = [...list];
-  const rng = mulberry32(seed);
-  for (let i = out.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    [out[i], out[j]] = [out[j], out[i]];
-  }
-  return out;
+    value(v) {
+      return values[v];
+    },
+  };
 }
 
-export function satSolve(clauses, numVars, randSeed = 0, timeoutMs = 12000) {
+export function satSolve(clauses, numVars, randSeed = 0, options = {}) {
   // Clauses: array of arrays of ints, var IDs are 1..numVars, negative = negated
   // Returns: assignment array with 1..numVars: true/false, or null if UNSAT/timeout
-  const rng = mulberry32(randSeed);
-  const startTime = Date.now();
-  const assigns = new Array(numVars + 1).fill(0); // 0=unassigned, 1=true, -1=false
-  const watchPos = Array.from({ length: numVars + 1 }, () => []);
-  const watchNeg = Array.from({ length: numVars + 1 }, () => []);
-  const watchers = new Array(clauses.length);
-  const activity = new Array(numVars + 1).fill(0);
-  const clauseUnassigned = new Array(clauses.length);
-  const clauseSatisfied = new Array(clauses.length).fill(false);
-  const varClauses = Array.from({ length: numVars + 1 }, () => []);
-  let activityInc = 1;
-  const activityDecay = 0.95;
-  let unresolvedCount = clauses.length;
-
-  function literalIsTrue(lit) {
-    const val = assigns[Math.abs(lit)];
-    return (val === 1 && lit > 0) || (val === -1 && lit < 0);
-  }
-
-  function literalIsFalse(lit) {
-    const val = assigns[Math.abs(lit)];
-    return (val === 1 && lit < 0) || (val === -1 && lit > 0);
-  }
-
-  function addWatch(lit, clauseIndex) {
-    const v = Math.abs(lit);
-    if (lit > 0) watchPos[v].push(clauseIndex);
-    else watchNeg[v].push(clauseIndex);
-  }
-
-  function getWatchList(lit) {
-    const v = Math.abs(lit);
-    return lit > 0 ? watchPos[v] : watchNeg[v];
-  }
-
-  for (let i = 0; i < clauses.length; i++) {
-    const clause = clauses[i];
-    if (clause.length === 0) return null;
-    const first = clause[0];
-    const second = clause.length > 1 ? clause[1] : clause[0];
-    watchers[i] = [first, second];
-    addWatch(first, i);
-    addWatch(second, i);
-    clauseUnassigned[i] = clause.length;
-    for (const lit of clause) {
-      varClauses[Math.abs(lit)].push({ clauseIndex: i, sign: lit });
-    }
-  }
+  // Options: a timeout in milliseconds, or an object with timeoutMs,
+  // maxDecisions, maxPropagations, maxConflicts, budget ("time" stops at the
+  // timeout; "effort" ignores the clock and applies the EFFORT_BUDGET step
+  // limits unless given), restarts ("luby" | "glucose" | "none"),
+  // restartBase, phaseSaving, assumptions (literals that must hold for this
+  // call only), an AbortSignal (signal) that stops the search by throwing
+  // its reason, and an optional stats object that receives the search
+  // counters (and timedOut, which tells an exhausted budget apart from UNSAT
+  // when the result is null).
+  const solver = createSatSolver(clauses, numVars, randSeed, options);
+  return solver.solve(options?.assumptions);
+}
 
-  function bumpClauseActivity(clause) {
-    for (const lit of clause) {
-      activity[Math.abs(lit)] += activityInc;
-    }
-    activityInc /= activityDecay;
-    if (activityInc > 1e50) {
-      for (let i = 1; i <= numVars; i++) activity[i] *= 1e-50;
-      activityInc *= 1e-50;
-    }
+// Incremental variant of satSolve: the clause database, learned clauses,
+// variable activities and saved phases persist across solve() calls, so a
+// batch of related queries that differ only in their assumptions (or in
+// clauses added between calls) shares the search effort. The timeout and
+// step limits apply per call, solve(assumptions, { signal }) can abort a
+// single call, and stats accumulate over the solver's lifetime.
+export function createSatSolver(clauses, numVars, randSeed = 0, options = {}) {
+  const settings = resolveSatOptions(options);
+  const solver = createCDCLSolver(numVars, mulberry32(randSeed), settings);
+  const problem = [];
+  let ok = true;
+
+  function addClause(clause) {
+    problem.push(clause);
+    if (clause.length === 0 || !solver.addClause(clause)) ok = false;
   }
 
-  function applyAssignment(v, val, changes) {
-    for (const { clauseIndex: ci, sign } of varClauses[v]) {
-      const prevSat = clauseSatisfied[ci];
-      const prevUnassigned = clauseUnassigned[ci];
-      let sat = prevSat;
-      let unassigned = prevUnassigned - 1;
+  for (const clause of clauses) addClause(clause);
 
-      if (!sat && ((val === 1 && sign > 0) || (val === -1 && sign < 0))) {
-        sat = true;
-        unresolvedCount--;
+  return {
+    stats: solver.stats,
+    addClause,
+
+    solve(assumptions = [], { signal = settings.signal } = {}) {
+      signal?.throwIfAborted();
+      const startTime = Date.now();
+      const start = { ...solver.stats };
+      const spent = (key) => solver.stats[key] - start[key];
+      const result = ok
+        ? solver.solve(
+            () =>
+              signal?.aborted ||
+              spent("conflicts") >= settings.maxConflicts ||
+              spent("decisions") >= settings.maxDecisions ||
+              spent("propagations") >= settings.maxPropagations ||
+              Date.now() - startTime > settings.timeoutMs,
+            assumptions,
+          )
+        : false;
+      signal?.throwIfAborted();
+      if (settings.stats) {
+        Object.assign(settings.stats, solver.stats, {
+          timedOut: result === null,
+        });
       }
+      if (!result) return null;
 
-      clauseSatisfied[ci] = sat;
-      clauseUnassigned[ci] = unassigned;
-
-      if (prevSat !== sat || prevUnassigned !== unassigned) {
-        changes.push({ clauseIndex: ci, prevSat, prevUnassigned });
+      // build boolean array
+      const out = new Array(numVars + 1);
+      for (let v = 1; v <= numVars; v++) {
+        out[v] = solver.value(v) === 1;
       }
-    }
-  }
 
-  function revertAssignment(entry) {
-    assigns[entry.var] = 0;
-    for (let i = entry.changes.length - 1; i >= 0; i--) {
-      const change = entry.changes[i];
-      const ci = change.clauseIndex;
-      if (clauseSatisfied[ci] && !change.prevSat) {
-        unresolvedCount++;
+      // A model that breaks an assumption or a clause is a solver bug, not a
+      // proof of unsatisfiability, so it must not be reported as one.
+      const holds = (lit) => (lit > 0 ? out[lit] : !out[-lit]);
+      const broken =
+        assumptions.find((lit) => !holds(lit)) ??
+        problem.find((clause) => !clause.some(holds));
+      if (broken !== undefined) {
+        const what = Array.isArray(broken)
+          ? `clause [${broken.join(", ")}]`
+          : `assumption ${broken}`;
+        throw new Error(`Internal solver error: the model breaks ${what}`);
       }
-      clauseSatisfied[ci] = change.prevSat;
-      clauseUnassigned[ci] = change.prevUnassigned;
-    }
+      return out;
+    },
+  };
+}
+
+/* ===========================
+   Local Search (ProbSAT / WalkSAT)
+   =========================== */
+
+const LOCAL_SEARCH_DEFAULTS = {
+  method: "probsat",
+  maxFlips: 200000,
+  restartFlips: 50000,
+  cb: 2.3,
+  eps: 1,
+  noise: 0.567,
+  timeoutMs: Infinity,
+};
+
+// Stochastic local search over a random complete assignment. Each step picks
+// a random unsatisfied clause and flips one of its variables: "probsat"
+// weights the candidates by (eps + breaks)^-cb, where breaks counts the
+// clauses the flip would falsify; "walksat" takes a free flip if there is
+// one, otherwise a random variable with probability noise and the least
+// breaking one otherwise. Unit clauses are propagated up front so fixed
+// variables never flip. Options: method, maxFlips (total budget),
+// restartFlips (flips before restarting from a fresh random assignment),
+// cb, eps, noise, timeoutMs, an AbortSignal (signal) and a stats object that
+// receives flips, tries and timedOut. Returns an assignment like satSolve,
+// or null when the budget runs out or unit propagation refutes the formula.
+// Local search cannot prove unsatisfiability, so callers that need a
+// definite answer fall back to satSolve.
+export function localSearchSolve(clauses, numVars, randSeed = 0, options = {}) {
+  const settings = { ...LOCAL_SEARCH_DEFAULTS, ...options };
+  if (!["probsat", "walksat"].includes(settings.method)) {
+    throw new Error(`Unknown local search method: ${settings.method}`);
+  }
+  const { signal } = settings;
+  signal?.throwIfAborted();
+  const rng = mulberry32(randSeed);
+  const stats = { flips: 0, tries: 0 };
+  const finish = (result, timedOut) => {
+    if (settings.stats) Object.assign(settings.stats, stats, { timedOut });
+    return result;
+  };
+
+  // Level-0 propagation of a CDCL instance fixes every variable implied by
+  // the unit clauses; only the rest of the formula is searched.
+  const fixer = createCDCLSolver(numVars, mulberry32(0));
+  for (const clause of clauses) {
+    if (!fixer.addClause(clause)) return finish(null, false);
   }
+  const fixed = new Int8Array(numVars + 1);
+  for (let v = 1; v <= numVars; v++) fixed[v] = fixer.value(v);
 
-  function assignLiteral(lit, trail) {
-    const v = Math.abs(lit);
-    const val = lit > 0 ? 1 : -1;
-    const current = assigns[v];
-    if (current !== 0) {
-      return current === val;
+  const reduced = [];
+  for (const clause of clauses) {
+    const lits = new Set();
+    let satisfied = false;
+    for (const lit of clause) {
+      const val = fixed[Math.abs(lit)];
+      if ((lit > 0 ? val : -val) === 1 || lits.has(-lit)) {
+        satisfied = true;
+        break;
+      }
+      if (val === 0) lits.add(lit);
     }
-    const entry = { var: v, changes: [] };
-    applyAssignment(v, val, entry.changes);
-    assigns[v] = val;
-    trail.push(entry);
-    return true;
+    if (satisfied) continue;
+    if (lits.size === 0) return finish(null, false);
+    reduced.push(Int32Array.from(lits));
   }
 
-  function unitProp(queue, trail) {
-    while (queue.length) {
-      const lit = queue.pop();
-      if (!assignLiteral(lit, trail)) return false;
-      const falseLit = -lit;
-      const watchList = getWatchList(falseLit);
-      for (let i = 0; i < watchList.length;) {
-        const ci = watchList[i];
-        const clause = clauses[ci];
-        const pair = watchers[ci];
-        const firstWatch = pair[0];
-        const secondWatch = pair[1];
-        const other = firstWatch === falseLit ? secondWatch : firstWatch;
-        if (literalIsTrue(other)) {
-          i++;
-          continue;
-        }
+  const occurrences = Array.from({ length: 2 * (numVars + 1) }, () => []);
+  reduced.forEach((lits, c) => {
+    for (const lit of lits) occurrences[litIndex(lit)].push(c);
+  });
+  const occ = occurrences.map((list) => Int32Array.from(list));
 
-        let moved = false;
-        for (const candidate of clause) {
-          if (candidate === other || candidate === falseLit) continue;
-          if (!literalIsFalse(candidate)) {
-            if (firstWatch === falseLit) pair[0] = candidate;
-            else pair[1] = candidate;
-            addWatch(candidate, ci);
-            watchList[i] = watchList[watchList.length - 1];
-            watchList.pop();
-            moved = true;
-            break;
-          }
-        }
+  const assign = new Uint8Array(numVars + 1);
+  const numTrue = new Int32Array(reduced.length);
+  // Sum of the true variables of each clause: when exactly one literal is
+  // true, this is the variable whose flip would break the clause.
+  const trueSum = new Int32Array(reduced.length);
+  const breaks = new Int32Array(numVars + 1);
+  const unsat = new Int32Array(reduced.length);
+  const unsatPos = new Int32Array(reduced.length);
+  let unsatCount = 0;
 
-        if (moved) continue;
+  function addUnsat(c) {
+    unsatPos[c] = unsatCount;
+    unsat[unsatCount++] = c;
+  }
 
-        const otherAssign = assigns[Math.abs(other)];
-        if (otherAssign === 0) {
-          bumpClauseActivity(clause);
-          if (!assignLiteral(other, trail)) return false;
-          queue.push(other);
-          i++;
-        } else if (literalIsFalse(other)) {
-          bumpClauseActivity(clause);
-          return false;
-        } else {
-          i++;
-        }
-      }
-    }
-    return true;
+  function removeUnsat(c) {
+    const last = unsat[--unsatCount];
+    unsat[unsatPos[c]] = last;
+    unsatPos[last] = unsatPos[c];
   }
 
-  function chooseLiteral() {
-    let bestVar = 0;
-    let bestScore = -Infinity;
+  function restart() {
+    stats.tries++;
     for (let v = 1; v <= numVars; v++) {
-      if (assigns[v] !== 0) continue;
-      const score = activity[v];
-      if (
-        score > bestScore ||
-        (Math.abs(score - bestScore) <= 1e-12 && rng() < 0.5)
-      ) {
-        bestScore = score;
-        bestVar = v;
+      const val = fixed[v] === 0 ? rng() < 0.5 : fixed[v] === 1;
+      assign[v] = val ? 1 : 0;
+    }
+    breaks.fill(0);
+    unsatCount = 0;
+    reduced.forEach((lits, c) => {
+      let count = 0;
+      let sum = 0;
+      for (const lit of lits) {
+        const v = Math.abs(lit);
+        if (assign[v] === (lit > 0 ? 1 : 0)) {
+          count++;
+          sum += v;
+        }
+      }
+      numTrue[c] = count;
+      trueSum[c] = sum;
+      if (count === 0) addUnsat(c);
+      else if (count === 1) breaks[sum]++;
+    });
+  }
+
+  function flip(v) {
+    const madeTrue = assign[v] ? -v : v;
+    assign[v] ^= 1;
+    for (const c of occ[litIndex(madeTrue)]) {
+      const before = numTrue[c]++;
+      if (before === 0) {
+        removeUnsat(c);
+        breaks[v]++;
+      } else if (before === 1) {
+        breaks[trueSum[c]]--;
+      }
+      trueSum[c] += v;
+    }
+    for (const c of occ[litIndex(-madeTrue)]) {
+      const after = --numTrue[c];
+      trueSum[c] -= v;
+      if (after === 0) {
+        addUnsat(c);
+        breaks[v]--;
+      } else if (after === 1) {
+        breaks[trueSum[c]]++;
       }
     }
-    if (bestVar === 0) return 0;
-    return rng() < 0.5 ? bestVar : -bestVar;
+    stats.flips++;
   }
 
-  // initial unit clauses
-  let initQ = [];
-  for (const c of clauses) {
-    if (c.length === 1 && c[0] !== 0) initQ.push(c[0]);
-  }
-  const trail = [];
-  if (!unitProp(initQ, trail)) return null;
+  const weights = [];
+  const weight = (b) => (weights[b] ??= (settings.eps + b) ** -settings.cb);
+  const candidates = [];
 
-  function dfs() {
-    // Check timeout
-    if (Date.now() - startTime > timeoutMs) {
-      throw new Error("SAT_TIMEOUT");
+  function pickProbSat(lits) {
+    let total = 0;
+    for (let i = 0; i < lits.length; i++) {
+      candidates[i] = weight(breaks[Math.abs(lits[i])]);
+      total += candidates[i];
     }
-
-    if (unresolvedCount === 0) return true;
-
-    const lit = chooseLiteral();
-    if (lit === 0) return false;
-    // branch with suggested literal first, then opposite
-    for (const tryLit of [lit, -lit]) {
-      const trailSize = trail.length;
-      const v = Math.abs(tryLit);
-      if (assigns[v] !== 0 && assigns[v] !== (tryLit > 0 ? 1 : -1)) continue;
-      const stack = [tryLit];
-      if (unitProp(stack, trail)) {
-        if (dfs()) return true;
-      }
-      while (trail.length > trailSize) {
-        const reverted = trail.pop();
-        revertAssignment(reverted);
-      }
+    let r = rng() * total;
+    for (let i = 0; i < lits.length - 1; i++) {
+      r -= candidates[i];
+      if (r < 0) return Math.abs(lits[i]);
     }
-    return false;
+    return Math.abs(lits[lits.length - 1]);
   }
 
-  try {
-    if (!dfs()) return null;
-  } catch (e) {
-    if (e.message === "SAT_TIMEOUT") return null;
-    throw e;
+  function pickWalkSat(lits) {
+    let best = Infinity;
+    let ties = 0;
+    for (const lit of lits) {
+      const b = breaks[Math.abs(lit)];
+      if (b < best) {
+        best = b;
+        ties = 0;
+      }
+      if (b === best) candidates[ties++] = Math.abs(lit);
+    }
+    if (best > 0 && rng() < settings.noise) {
+      return Math.abs(lits[Math.floor(rng() * lits.length)]);
+    }
+    return candidates[Math.floor(rng() * ties)];
   }
 
-  for (const clause of clauses) {
-    let clauseSat = false;
-    for (const lit of clause) {
-      if (literalIsTrue(lit)) {
-        clauseSat = true;
-        break;
+  const pick = settings.method === "walksat" ? pickWalkSat : pickProbSat;
+  const startTime = Date.now();
+  restart();
+  let flipsThisTry = 0;
+  while (unsatCount > 0) {
+    if (stats.flips >= settings.maxFlips) return finish(null, true);
+    if ((stats.flips & 1023) === 0) {
+      signal?.throwIfAborted();
+      if (Date.now() - startTime > settings.timeoutMs) {
+        return finish(null, true);
       }
     }
-    if (!clauseSat) return null;
+    if (flipsThisTry >= settings.restartFlips) {
+      restart();
+      flipsThisTry = 0;
+    }
+    flip(pick(reduced[unsat[Math.floor(rng() * unsatCount)]]));
+    flipsThisTry++;
   }
 
-  // build boolean array
   const out = new Array(numVars + 1);
-  for (let v = 1; v <= numVars; v++) {
-    out[v] = assigns[v] === 1;
-    if (assigns[v] === 0) out[v] = false; // default
-  }
-  return out;
+  for (let v = 1; v <= numVars; v++) out[v] = assign[v] === 1;
+  return finish(out, false);
 }
 
 /* ===========================
-   CNF Builder Helpers
+   CNF Preprocessing
    =========================== */
-export function varPool() {
-  let next = 1;
-  const id = new Map();
-  const rev = new Map();
-  return {
-    get(name) {
-      if (!id.has(name)) {
-        id.set(name, next);
-        rev.set(next, name);
-        next++;
-      }
-      return id.get(name);
-    },
-    getExisting(name) {
-      if (!id.has(name)) throw new Error(`Unknown SAT variable: ${name}`);
-      return id.get(name);
-    },
-    count() {
-      return next - 1;
-    },
-    rev,
+
+const PREPROCESS_DEFAULTS = {
+  eliminate: true,
+  maxOccurrences: 10,
+  maxResolventLength: 20,
+  frozen: [],
+};
+
+// Simplifies a formula before search: unit propagation, subsumption,
+// self-subsuming resolution (which drops a literal from a clause that another
+// clause subsumes but for that literal's negation) and bounded variable
+// elimination, which replaces the clauses of a variable by their resolvents
+// when that does not add clauses. Variables keep their numbers. Returns
+// { clauses, unsat, stats, extend }, where extend(model) turns a model of
+// the simplified clauses into one of the original clauses by restoring the
+// fixed and eliminated variables, and stats counts the clauses before and
+// after along with the work done. Options: eliminate (false skips
+// elimination), maxOccurrences (of a variable's rarer polarity) and
+// maxResolventLength bound which variables are eliminated, and frozen lists
+// variables that must stay in the formula because assumptions or later
+// clauses mention them.
+export function preprocessCNF(clauses, numVars, options = {}) {
+  const settings = { ...PREPROCESS_DEFAULTS, ...options };
+  const frozen = new Uint8Array(numVars + 1);
+  for (const lit of settings.frozen) frozen[Math.abs(lit)] = 1;
+  const value = new Int8Array(numVars + 1);
+  const eliminated = [];
+  const stats = {
+    clausesBefore: clauses.length,
+    clausesAfter: 0,
+    fixedVars: 0,
+    eliminatedVars: 0,
+    subsumed: 0,
+    strengthened: 0,
   };
-}
 
-export function atLeastOne(cl) {
-  // OR over literals (already in int form)
-  return [cl];
-}
+  // Deleted clauses become null; occurrence lists drop them lazily.
+  const lits = [];
+  const sigs = [];
+  const occ = Array.from({ length: 2 * (numVars + 1) }, () => []);
+  const units = [];
+  const touched = [];
+  const marks = new Int32Array(2 * (numVars + 1));
+  let stamp = 0;
+  let unsat = false;
+
+  const litValue = (lit) => (lit > 0 ? value[lit] : -value[-lit]);
+
+  function signature(clause) {
+    let sig = 0;
+    for (const lit of clause) sig |= 1 << (Math.abs(lit) & 31);
+    return sig;
+  }
+
+  function assign(lit) {
+    const val = litValue(lit);
+    if (val === -1) unsat = true;
+    if (val !== 0) return;
+    value[Math.abs(lit)] = lit > 0 ? 1 : -1;
+    stats.fixedVars++;
+    units.push(lit);
+  }
+
+  function addClause(input) {
+    const clause = [];
+    stamp++;
+    for (const lit of input) {
+      const val = litValue(lit);
+      if (val === 1 || marks[litIndex(-lit)] === stamp) return;
+      if (val === -1 || marks[litIndex(lit)] === stamp) continue;
+      marks[litIndex(lit)] = stamp;
+      clause.push(lit);
+    }
+    if (clause.length === 0) unsat = true;
+    else if (clause.length === 1) assign(clause[0]);
+    else attach(clause);
+  }
+
+  function attach(clause) {
+    const id = lits.length;
+    lits.push(clause);
+    sigs.push(signature(clause));
+    for (const lit of clause) occ[litIndex(lit)].push(id);
+    touched.push(id);
+  }
+
+  function live(lit) {
+    const list = occ[litIndex(lit)].filter(
+      (id) => lits[id] && lits[id].includes(lit),
+    );
+    occ[litIndex(lit)] = list;
+    return list;
+  }
 
-export function atMostOne(vars) {
-  // pairwise
-  const out = [];
-  for (let i = 0; i < vars.length; i++)
-    for (let j = i + 1; j < vars.length; j++) {
-      out.push([-vars[i], -vars[j]]);
+  // Removes lit from clause id, which may leave a unit to propagate.
+  function strengthen(id, lit) {
+    const clause = lits[id].filter((l) => l !== lit);
+    if (clause.length === 1) {
+      lits[id] = null;
+      assign(clause[0]);
+      return;
     }
-  return out;
-}
-
-export function exactlyOne(vars) {
-  return [...atLeastOne(vars), ...atMostOne(vars)];
-}
+    lits[id] = clause;
+    sigs[id] = signature(clause);
+    touched.push(id);
+  }
 
-export function atLeastK(vars, k) {
-  if (k <= 0) return [];
-  const n = vars.length;
-  if (k > n) return [[]];
-  const targetSize = n - k + 1;
-  const combos = [];
-  function backtrack(start, chosen) {
-    if (chosen.length === targetSize) {
-      combos.push(chosen.slice());
-      return;
+  function propagate() {
+    while (units.length && !unsat) {
+      const lit = units.pop();
+      for (const id of live(lit)) lits[id] = null;
+      occ[litIndex(lit)] = [];
+      for (const id of live(-lit)) strengthen(id, -lit);
+      occ[litIndex(-lit)] = [];
     }
-    for (let i = start; i < n; i++) {
-      chosen.push(vars[i]);
-      backtrack(i + 1, chosen);
-      chosen.pop();
+  }
+
+  // Compares clause c against a longer clause d: true when c subsumes d, a
+  // literal of c whose negation can be dropped from d, or false.
+  function subsumes(c, d) {
+    stamp++;
+    for (const lit of d) marks[litIndex(lit)] = stamp;
+    let flipped = 0;
+    for (const lit of c) {
+      if (marks[litIndex(lit)] === stamp) continue;
+      if (flipped || marks[litIndex(-lit)] !== stamp) return false;
+      flipped = lit;
     }
+    return flipped || true;
   }
-  backtrack(0, []);
-  return combos;
-}
 
-export function atMostK(vars, k) {
-  if (k < 0) return [[]];
-  if (k >= vars.length) return [];
-  const combos = [];
-  function backtrack(start, chosen) {
-    if (chosen.length === k + 1) {
-      combos.push(chosen.map((v) => -v));
-      return;
+  function backwardSubsume(id) {
+    const c = lits[id];
+    if (!c) return;
+    let best = c[0];
+    for (const lit of c) {
+      const size = occ[litIndex(lit)].length + occ[litIndex(-lit)].length;
+      if (size < occ[litIndex(best)].length + occ[litIndex(-best)].length) {
+        best = lit;
+      }
     }
-    for (let i = start; i < vars.length; i++) {
-      chosen.push(vars[i]);
-      backtrack(i + 1, chosen);
-      chosen.pop();
+    const candidates = [...live(best), ...live(-best)];
+    for (const other of candidates) {
+      const d = lits[other];
+      if (other === id || !d || d.length < c.length || !lits[id]) continue;
+      if ((sigs[id] & ~sigs[other]) !== 0) continue;
+      const result = subsumes(c, d);
+      if (result === true) {
+        lits[other] = null;
+        stats.subsumed++;
+      } else if (result) {
+        strengthen(other, -result);
+        stats.strengthened++;
+      }
     }
   }
-  backtrack(0, []);
-  return combos;
-}
-
-export function buildTotalizer(vars, vp, clauses, prefix) {
-  let nodeCounter = 0;
 
-  function helper(list, tag) {
-    if (!list.length) return [];
-    if (list.length === 1) return [list[0]];
-
-    const mid = Math.floor(list.length / 2);
-    const left = helper(list.slice(0, mid), `${tag}L`);
-    const right = helper(list.slice(mid), `${tag}R`);
-
-    const id = `${tag}_${nodeCounter++}`;
-    const outLen = left.length + right.length;
-    const out = new Array(outLen);
-
-    for (let i = 0; i < outLen; i++) {
-      out[i] = vp.get(`${prefix}_${id}_${i + 1}`);
+  function simplify() {
+    propagate();
+    while (touched.length && !unsat) {
+      backwardSubsume(touched.pop());
+      propagate();
     }
+  }
 
-    for (let i = 1; i < out.length; i++) {
-      clauses.push([-out[i], out[i - 1]]);
-    }
-    for (let i = 0; i < left.length; i++) {
-      clauses.push([-left[i], out[i]]);
-    }
-    for (let j = 0; j < right.length; j++) {
-      clauses.push([-right[j], out[j]]);
-    }
-    for (let i = 0; i < left.length; i++) {
-      for (let j = 0; j < right.length; j++) {
-        const idx = i + j + 1;
-        if (idx < out.length) {
-          clauses.push([-left[i], -right[j], out[idx]]);
-        }
-      }
+  function resolve(p, n, v) {
+    stamp++;
+    const out = [];
+    for (const lit of [...p, ...n]) {
+      if (lit === v || lit === -v) continue;
+      if (marks[litIndex(-lit)] === stamp) return null;
+      if (marks[litIndex(lit)] === stamp) continue;
+      marks[litIndex(lit)] = stamp;
+      out.push(lit);
     }
+    return out;
+  }
 
-    for (let i = 0; i < out.length; i++) {
-      const support = [];
-      if (i < left.length) support.push(left[i]);
-      if (i < right.length) support.push(right[i]);
+  // Replaces the clauses of v by their non-tautological resolvents, unless
+  // there would be more of them or any would be too long.
+  function eliminate(v) {
+    const pos = live(v);
+    const neg = live(-v);
+    if (pos.length + neg.length === 0) return false;
+    if (Math.min(pos.length, neg.length) > settings.maxOccurrences) {
+      return false;
+    }
+    const resolvents = [];
+    for (const p of pos) {
+      for (const n of neg) {
+        const resolvent = resolve(lits[p], lits[n], v);
+        if (!resolvent) continue;
+        if (resolvent.length > settings.maxResolventLength) return false;
+        resolvents.push(resolvent);
+        if (resolvents.length > pos.length + neg.length) return false;
+      }
+    }
+    eliminated.push({ v, clauses: [...pos, ...neg].map((id) => lits[id]) });
+    stats.eliminatedVars++;
+    for (const id of [...pos, ...neg]) lits[id] = null;
+    for (const resolvent of resolvents) addClause(resolvent);
+    return true;
+  }
 
-      for (let a = 0; a < left.length; a++) {
-        for (let b = 0; b < right.length; b++) {
-          if (a + b + 1 !== i) continue;
-          const comb = vp.get(`${prefix}_${id}_comb_${i}_${a}_${b}`);
-          clauses.push([-comb, left[a]]);
-          clauses.push([-comb, right[b]]);
-          clauses.push([comb, -left[a], -right[b]]);
-          support.push(comb);
-        }
+  for (const clause of clauses) addClause(clause);
+  simplify();
+  if (settings.eliminate) {
+    const isEliminated = new Uint8Array(numVars + 1);
+    let progress = true;
+    while (progress && !unsat) {
+      progress = false;
+      const cost = (v) => live(v).length * live(-v).length;
+      const order = [];
+      for (let v = 1; v <= numVars; v++) {
+        if (!frozen[v] && !isEliminated[v] && value[v] === 0) order.push(v);
       }
-
-      if (support.length === 0) {
-        clauses.push([-out[i]]);
-      } else {
-        clauses.push([-out[i], ...support]);
+      const costs = new Map(order.map((v) => [v, cost(v)]));
+      order.sort((a, b) => costs.get(a) - costs.get(b));
+      for (const v of order) {
+        if (unsat) break;
+        if (value[v] !== 0 || !eliminate(v)) continue;
+        isEliminated[v] = 1;
+        progress = true;
+        simplify();
       }
     }
-    return out;
   }
 
-  return helper(vars, prefix);
-}
-
-/* ===========================
-   Mermaid-ish Parser
-   =========================== */
-export function parseMermaid(txt) {
-  // Parse Mermaid-like graph: handle quoted and unquoted room names
-  const rooms = new Set();
-  const edges = [];
-  // Match: optional quote, capture content, optional quote, ---, repeat
-  const re = /"([^"]+)"|(\S+)/g;
-  const lines = txt.split(/\r?\n/);
-  for (let line of lines) {
-    line = line.trim();
-    if (!line || line.startsWith("graph")) continue;
-    if (!line.includes("---")) continue;
-
-    // Extract all quoted or unquoted tokens
-    re.lastIndex = 0;
-    const tokens = [];
-    let match;
-    while ((match = re.exec(line)) !== null) {
-      tokens.push(match[1] || match[2]); // quoted or unquoted
-    }
-
-    // Find --- separator position in original line
-    const parts = line.split("---");
-    if (parts.length === 2) {
-      // Re-parse each side
-      const leftTokens = [];
-      const rightTokens = [];
-      re.lastIndex = 0;
-      while ((match = re.exec(parts[0])) !== null) {
-        leftTokens.push(match[1] || match[2]);
-      }
-      re.lastIndex = 0;
-      while ((match = re.exec(parts[1])) !== null) {
-        rightTokens.push(match[1] || match[2]);
-      }
+  const simplified = lits.filter(Boolean);
+  for (let v = 1; v <= numVars; v++) {
+    if (frozen[v] && value[v] !== 0) simplified.push([value[v] * v]);
+  }
+  stats.clausesAfter = unsat ? 0 : simplified.length;
 
-      if (leftTokens.length > 0 && rightTokens.length > 0) {
-        const a = leftTokens[leftTokens.length - 1]; // last token on left
-        const b = rightTokens[0]; // first token on right
-        rooms.add(a);
-        rooms.add(b);
-        edges.push([a, b]);
+  function extend(model) {
+    const out = model.slice();
+    for (let v = 1; v <= numVars; v++) {
+      if (value[v] !== 0) out[v] = value[v] === 1;
+    }
+    const holds = (lit) => (lit > 0 ? out[lit] : !out[-lit]);
+    for (let i = eliminated.length - 1; i >= 0; i--) {
+      const { v, clauses: saved } = eliminated[i];
+      out[v] = false;
+      for (const clause of saved) {
+        if (!clause.includes(v)) continue;
+        if (!clause.some((lit) => lit !== v && holds(lit))) out[v] = true;
       }
     }
+    return out;
   }
-  return { rooms: Array.from(rooms), edges };
-}
 
-export function neighbors(rooms, edges, includeSelf) {
-  const idx = new Map();
-  rooms.forEach((r, i) => idx.set(r, i));
-  const nbr = Array.from({ length: rooms.length }, () => new Set());
-  for (const [a, b] of edges) {
-    if (!idx.has(a) || !idx.has(b)) continue;
-    const i = idx.get(a),
-      j = idx.get(b);
-    nbr[i].add(j);
-    nbr[j].add(i);
-  }
-  if (includeSelf) {
-    for (let i = 0; i < rooms.length; i++) nbr[i].add(i);
-  }
-  return { idx, nbr: nbr.map((s) => Array.from(s)) };
+  return { clauses: unsat ? [[]] : simplified, unsat, stats, extend };
 }
-
 /* ===========================
    Problem Encoding
    =========================== */
-export function buildCNF(config) {
+export function buildCNF(
+  config,
+  { separateSeeded = false, breakSymmetry = false, xorHash = null } = {},
+) {
   // Characters always move to an adjacent room. Scenario rules may create
   // narrowly scoped exceptions for characters who are forced to remain put.
+  // Every enabled scenario of the registry adds its rules in registration
+  // order (see scenario-registry.js). With separateSeeded the seeded choices
+  // of S8, S15, S16 and S19 are left out of the clauses and returned through
+  // chooseSeeded(seed) as assumption literals, so one encoding can serve a
+  // whole batch of seeds. With breakSymmetry, configurations whose characters
+  // are interchangeable admit fewer labelings of each solution (see
+  // relabelCharacters). xorHash ({ count, seed, density }) adds randomXorHash
+  // constraints over the schedule variables and returns the literals
+  // asserting them in xorLits.
   validateScenarioConfig(config);
+  const scenarios = enabledScenarios(config);
+  if (separateSeeded) {
+    const baked = scenarios.find((scenario) => scenario.bakesSeed);
+    if (baked) {
+      throw new Error(
+        `${baked.id.toUpperCase()} seeded choices cannot be separated from its encoding`,
+      );
+    }
+  }
   const resolvedSeed = resolveSeed(config.seed);
-  const shuffledRooms = Array.isArray(config.rooms)
-    ? shuffleWithSeed(config.rooms, resolvedSeed)
-    : [];
   const vp = varPool();
   const clauses = [];
 
-  const R = shuffledRooms,
+  // Rooms keep their map order whatever the seed, so the clauses differ
+  // between seeds only in the seeded choices (see createSampler); the seed
+  // varies the search instead.
+  const R = Array.isArray(config.rooms) ? [...config.rooms] : [],
     C = config.chars,
     T = config.T;
-  const hasForcedStayScenario = !!(
-    config.scenarios &&
-    (config.scenarios.s8 ||
-      config.scenarios.s9 ||
-      config.scenarios.s12 ||
-      config.scenarios.s13)
+  const { idx: Ridx, nbr } = neighbors(
+    R,
+    config.edges,
+    scenarios.some((scenario) => scenario.allowsStaying),
+  );
+  const relaxedMovement = scenarios.some(
+    (scenario) => scenario.relaxesMovement,
   );
-
-  let s16Setup = null;
-  if (config.scenarios && config.scenarios.s16) {
-    const rng = mulberry32(resolvedSeed);
-
-    const shuffled = [...C];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(rng() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-
-    const visitCountAssignments = {};
-    const visitCountTargets = Array.from(
-      { length: C.length },
-      (_, index) => C.length - index,
-    );
-
-    for (let i = 0; i < shuffled.length; i++) {
-      visitCountAssignments[shuffled[i]] = visitCountTargets[i];
-    }
-
-    const minVisitCount = 1;
-    const homebody = shuffled[visitCountTargets.indexOf(minVisitCount)];
-
-    s16Setup = {
-      visitCountAssignments,
-      visitCountTargets,
-      minVisitCount,
-      homebody,
-    };
-  }
-
-  const { idx: Ridx, nbr } = neighbors(R, config.edges, hasForcedStayScenario);
 
   // Helper to get variable IDs
   const X = (ci, t, ri) => vp.get(`X_${C[ci]}_${t}_${R[ri]}`);
 
+  // Clause groups tag each clause with the rule that produced it, so an
+  // unsatisfiable configuration can be explained in terms of rules instead of
+  // raw clauses. A group runs from its start up to where the next one begins.
+  const groups = [];
+  function closeGroup() {
+    if (groups.length) groups[groups.length - 1].end = clauses.length;
+  }
+  function group(id, description) {
+    closeGroup();
+    groups.push({
+      id,
+      description,
+      start: clauses.length,
+      end: clauses.length,
+    });
+  }
+
+  group("rooms", "Each character is in exactly one room at every timestep");
   // Exactly one room per (c,t)
   for (let ci = 0; ci < C.length; ci++) {
     for (let t = 0; t < T; t++) {
@@ -904,17 +1302,15 @@ export function buildCNF(config) {
     }
   }
 
+  group("movement", "Characters move to an adjacent room every turn");
   // Movement constraints
   for (let ci = 0; ci < C.length; ci++) {
     for (let t = 0; t < T - 1; t++) {
       for (let ri = 0; ri < R.length; ri++) {
         let allowed = nbr[ri];
-        const targetCount = s16Setup?.visitCountAssignments?.[C[ci]];
-        if (
-          s16Setup &&
-          targetCount === s16Setup.minVisitCount &&
-          !allowed.includes(ri)
-        ) {
+        // A scenario that relaxes movement (S16 lets the homebody stay put)
+        // adds its own must-move rule for everyone else.
+        if (relaxedMovement && !allowed.includes(ri)) {
           allowed = [...allowed, ri];
         }
         const rhs = allowed.map((r2) => X(ci, t + 1, r2));
@@ -923,2275 +1319,898 @@ export function buildCNF(config) {
     }
   }
 
-  // =========== Scenarios ===========
-  const privKeys = {};
-
-  if (config.scenarios && config.scenarios.s14) {
-    if (!R.length) throw new Error("S14 requires at least one room");
-    if (C.length < 2) throw new Error("S14 requires at least two characters");
-    if (T < 6) throw new Error("S14 requires at least six timesteps");
-    privKeys.S14 = true;
-  }
-
-  // S15: World Travelers — rank top 3 travelers by unique rooms visited
-  if (config.scenarios && config.scenarios.s15) {
-    const rng = mulberry32(resolvedSeed);
-
-    // Randomly assign top 3 travelers by shuffling chars
-    const shuffled = [...C];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(rng() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  // Rooms with a capacity below the cast size hold at most that many
+  // characters at every timestep.
+  const capacity = (ri) => config.roomInfo?.[R[ri]]?.capacity ?? Infinity;
+  if (R.some((_, ri) => capacity(ri) < C.length)) {
+    group("capacity", "No room holds more characters than its capacity");
+    for (let ri = 0; ri < R.length; ri++) {
+      if (capacity(ri) >= C.length) continue;
+      for (let t = 0; t < T; t++) {
+        encodeAtMostK(
+          C.map((_, ci) => X(ci, t, ri)),
+          capacity(ri),
+          vp,
+          clauses,
+          `CAP_${t}_${R[ri]}`,
+        );
+      }
     }
-    const first = shuffled[0]; // visits the most rooms
-    const second = shuffled[1];
-    const third = shuffled[2];
-
-    const podiumTargets = [R.length, R.length - 1, R.length - 2];
-
-    // Create "visited" helper variables: V_{char}_{room} = true if char visits room at any time
-    const S15V = (ci, ri) => vp.get(`S15_V_${C[ci]}_${R[ri]}`);
+  }
 
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        // V[ci][ri] = OR over all timesteps of X[ci][t][ri]
-        const anyTime = [];
-        for (let t = 0; t < T; t++) {
-          anyTime.push(X(ci, t, ri));
-        }
-        // V => at least one X is true: (-V OR X[0] OR X[1] OR ...)
-        clauses.push([-S15V(ci, ri), ...anyTime]);
-        // Each X => V: for each t, X[ci][t][ri] => V[ci][ri]
-        for (let t = 0; t < T; t++) {
-          clauses.push([-X(ci, t, ri), S15V(ci, ri)]);
+  // =========== Scenarios ===========
+  const privKeys = {};
+  // Seed-dependent choices (who is the freeze, the podium, ...) are kept out
+  // of the clauses above: each entry maps a seed to the unit literals that
+  // select its choice and the matching privKeys.
+  const seededChoices = [];
+  const context = {
+    config,
+    seed: resolvedSeed,
+    vp,
+    clauses,
+    X,
+    R,
+    C,
+    T,
+    Ridx,
+    nbr,
+    group,
+    privKeys,
+    seededChoices,
+  };
+  for (const scenario of scenarios) scenario.encode(context);
+
+  // Combined scenarios cast different characters: nobody holds roles from two
+  // scenarios (the phantom is never a lover). A role the seed handed out is
+  // true for its character and keeps the other scenarios' roles away from it;
+  // two such roles may still fall on one character, since no solution could
+  // separate them.
+  const cast = scenarios
+    .filter((scenario) => scenario.roles)
+    .map((scenario) => scenario.roles(context));
+  if (cast.length > 1) {
+    group("roles", "No character plays roles from two scenarios");
+    for (let a = 0; a < cast.length; a++) {
+      for (let b = a + 1; b < cast.length; b++) {
+        for (const roleA of cast[a]) {
+          for (const roleB of cast[b]) {
+            for (let ci = 0; ci < C.length; ci++) {
+              const held = [roleA[ci], roleB[ci]];
+              if (!held.every(Boolean)) continue;
+              const clause = held.filter((lit) => lit !== true);
+              if (clause.length) clauses.push(clause.map((lit) => -lit));
+            }
+          }
         }
       }
     }
+  }
 
-    // Helper to enforce exact visit counts using totalizer output
-    function enforceExactVisits(totalizer, targetCount) {
-      if (targetCount > 0 && totalizer.length >= targetCount) {
-        clauses.push([totalizer[targetCount - 1]]);
-      }
-      if (targetCount < totalizer.length) {
-        clauses.push([-totalizer[targetCount]]);
-      }
+  // Symmetry breaking: when every rule treats characters alike, permuting
+  // the characters of a solution gives another solution. The first role is
+  // pinned to the first characters and the other characters' starting rooms
+  // must be in lexicographic order. Ordering whole schedules would leave a
+  // single labeling but slows down finding a first solution, so only the
+  // starting rooms are ordered.
+  const pinned = breakSymmetry ? firstSymmetricRole(config, privKeys) : null;
+  if (pinned) {
+    group("symmetry", "Characters are labeled in a canonical order");
+    pinned.forEach((role, k) => clauses.push([role[k]]));
+    const start = (ci) => R.map((_, ri) => X(ci, 0, ri));
+    for (let ci = pinned.length; ci + 1 < C.length; ci++) {
+      encodeLexLeq(start(ci), start(ci + 1), vp, clauses, `SYM_${C[ci]}`);
     }
+  }
 
-    // 1st place visits every room.
-    const firstIdx = C.indexOf(first);
-    const firstVars = R.map((_, ri) => S15V(firstIdx, ri));
-    const firstTotalizer = buildTotalizer(
-      firstVars,
-      vp,
-      clauses,
-      `S15_1st_${C[firstIdx]}`,
+  // XOR hashing (see sampleUniform): the constraints are defined but not
+  // asserted, so a sampler can assume any prefix of xorLits.
+  const xorLits = [];
+  if (xorHash) {
+    group("xor-hash", "Random parity constraints over the schedules");
+    const vars = C.flatMap((c) =>
+      Array.from({ length: T }, (_, t) =>
+        config.rooms.map((room) => vp.get(`X_${c}_${t}_${room}`)),
+      ).flat(),
     );
-    enforceExactVisits(firstTotalizer, podiumTargets[0]);
+    const { count, seed, density } = xorHash;
+    randomXorHash(vars, count, seed, density).forEach(({ lits, parity }, i) => {
+      const odd = encodeXor(lits, vp, clauses, `XOR_${i}`);
+      xorLits.push(parity ? odd : -odd);
+    });
+  }
 
-    // 2nd place visits exactly one fewer room.
-    const secondIdx = C.indexOf(second);
-    const secondVars = R.map((_, ri) => S15V(secondIdx, ri));
-    const secondTotalizer = buildTotalizer(
-      secondVars,
-      vp,
-      clauses,
-      `S15_2nd_${C[secondIdx]}`,
-    );
-    enforceExactVisits(secondTotalizer, podiumTargets[1]);
+  function chooseSeeded(seed) {
+    const assumptions = [];
+    const seededKeys = { ...privKeys };
+    const choices = [];
+    for (const choose of seededChoices) {
+      const choice = choose(resolveSeed(seed));
+      assumptions.push(...choice.units);
+      Object.assign(seededKeys, choice.privKeys);
+      choices.push(choice);
+    }
+    return { assumptions, privKeys: seededKeys, choices };
+  }
 
-    // 3rd place visits exactly two fewer rooms.
-    const thirdIdx = C.indexOf(third);
-    const thirdVars = R.map((_, ri) => S15V(thirdIdx, ri));
-    const thirdTotalizer = buildTotalizer(
-      thirdVars,
+  const symmetric = !!pinned;
+  if (separateSeeded) {
+    closeGroup();
+    return {
       vp,
       clauses,
-      `S15_3rd_${C[thirdIdx]}`,
-    );
-    enforceExactVisits(thirdTotalizer, podiumTargets[2]);
-
-    // Others (4th+) must rank strictly below third place.
-    const othersMax = podiumTargets[2] - 1;
-    for (let ci = 0; ci < C.length; ci++) {
-      if (C[ci] === first || C[ci] === second || C[ci] === third) continue;
-      const otherVars = R.map((_, ri) => S15V(ci, ri));
-      const otherTotalizer = buildTotalizer(
-        otherVars,
-        vp,
-        clauses,
-        `S15_other_${C[ci]}`,
-      );
-      if (othersMax < otherTotalizer.length) {
-        clauses.push([-otherTotalizer[othersMax]]);
-      }
-    }
-
-    privKeys.S15 = {
-      first,
-      second,
-      third,
-      targets: {
-        first: podiumTargets[0],
-        second: podiumTargets[1],
-        third: podiumTargets[2],
-      },
+      groups,
+      privKeys,
+      symmetric,
+      xorLits,
+      chooseSeeded,
     };
   }
+  const seeded = chooseSeeded(resolvedSeed);
+  for (const choice of seeded.choices) {
+    group(choice.id, choice.description);
+    for (const lit of choice.units) clauses.push([lit]);
+  }
+  closeGroup();
+  return {
+    vp,
+    clauses,
+    groups,
+    privKeys: seeded.privKeys,
+    symmetric,
+    xorLits,
+  };
+}
 
-  // S16: Homebodies — each character visits a unique number of rooms (1, 2, 3, ...)
-  // Only the character visiting exactly 1 room may stay in place; all others must move
-  if (config.scenarios && config.scenarios.s16) {
-    const {
-      visitCountAssignments,
-      visitCountTargets,
-      minVisitCount,
-      homebody,
-    } = s16Setup || {};
-    if (!visitCountAssignments || !homebody || !visitCountTargets) {
-      throw new Error("S16 setup missing visit assignments");
-    }
+/* ===========================
+   Decode & Clues
+   =========================== */
 
-    // Create "visited" helper variables: V_{char}_{room} = true if char visits room at any time
-    const S16V = (ci, ri) => vp.get(`S16_V_${C[ci]}_${R[ri]}`);
+// Everything generated from a seed solves under the machine-independent
+// effort budget by default, so a shared seed reproduces the same scenario
+// (or the same give-up) everywhere. cfg.satOptions overrides it, e.g.
+// { budget: "time", timeoutMs } for a wall-clock limit.
+function seededSatOptions(cfg) {
+  return { budget: "effort", ...cfg.satOptions };
+}
 
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        const anyTime = [];
-        for (let t = 0; t < T; t++) {
-          anyTime.push(X(ci, t, ri));
-        }
-        // V => at least one X is true
-        clauses.push([-S16V(ci, ri), ...anyTime]);
-        // Each X => V
-        for (let t = 0; t < T; t++) {
-          clauses.push([-X(ci, t, ri), S16V(ci, ri)]);
-        }
-      }
-    }
+// The SAT seed for a configuration seeded with seed. Scenarios with
+// fixedSearchSeed (S19) already draw their choices from the seed, so they
+// search with a fixed branch order instead (see their definitions).
+function searchSeed(cfg, seed) {
+  return enabledScenarios(cfg).some((scenario) => scenario.fixedSearchSeed)
+    ? 0
+    : seed;
+}
 
-    // Enforce exact visit counts using totalizer
-    for (let ci = 0; ci < C.length; ci++) {
-      const ch = C[ci];
-      const targetCount = visitCountAssignments[ch];
-      const visitVars = R.map((_, ri) => S16V(ci, ri));
-      const totalizer = buildTotalizer(visitVars, vp, clauses, `S16_${ch}`);
-
-      // Exactly targetCount rooms: at least targetCount AND at most targetCount
-      if (targetCount > 0 && totalizer.length >= targetCount) {
-        clauses.push([totalizer[targetCount - 1]]); // At least targetCount (0-indexed)
-      }
-      if (targetCount < R.length && totalizer.length > targetCount) {
-        clauses.push([-totalizer[targetCount]]); // At most targetCount
-      }
-    }
+// Solves one configuration and decodes its schedule. The result always has a
+// status telling how the search ended:
+//   "sat"       the decoded scenario (schedule, byTime, visits, priv, ...)
+//   "unsat"     no schedule satisfies the configuration for this seed
+//   "timeout"   the search budget (see seededSatOptions) ran out first, so
+//               the seed may still be valid
+//   "rejected"  a schedule was found but is unsuitable as a puzzle (see S18)
+// Every outcome carries the search statistics in stats. Aborting signal
+// stops the search and throws the signal's reason instead. The search runs
+// synchronously, so an abort queued on the same thread (a Cancel click, say)
+// only fires once it returns; only a signal aborted elsewhere, or before the
+// call, stops it midway. With cfg.verify a "sat" scenario that fails
+// verifyScenario throws instead of returning.
+export function solveAndDecode(cfg, { signal } = {}) {
+  if (samplingMode(cfg) === "xor") return sampleUniform(cfg, { signal });
+  const seed = resolveSeed(cfg.seed);
+  cfg = { ...cfg, seed };
+  const encoding = buildCNF(cfg, { breakSymmetry: cfg.symmetryBreaking });
+  return solveEncoding(cfg, encoding, signal);
+}
 
-    // Movement constraints: characters at the minimum count can stay, others must move
-    for (let ci = 0; ci < C.length; ci++) {
-      const ch = C[ci];
-      const targetCount = visitCountAssignments[ch];
-      if (targetCount <= minVisitCount) {
-        // Minimum-count visitors may stay put to meet their quota
-        continue;
-      }
-      // Others must move: X[ci][t][ri] => NOT X[ci][t+1][ri] for all t, ri
-      for (let t = 0; t < T - 1; t++) {
-        for (let ri = 0; ri < R.length; ri++) {
-          clauses.push([-X(ci, t, ri), -X(ci, t + 1, ri)]);
-        }
-      }
-    }
+// Searches the clauses of a seeded encoding and decodes the outcome like
+// solveAndDecode, which is the same for a fresh buildCNF and for a shared
+// one whose seeded choices were added as unit clauses (see createSampler).
+function solveEncoding(cfg, { vp, clauses, privKeys, symmetric }, signal) {
+  const { seed } = cfg;
+  const numVars = vp.count();
+  const solveStartTime = Date.now();
+  const solverSeed = searchSeed(cfg, seed);
+  // The search runs on the preprocessed clauses (unless cfg.preprocess is
+  // false); extend() restores the variables preprocessing removed, so the
+  // decoder still sees every named variable.
+  const pre = cfg.preprocess === false ? null : preprocessCNF(clauses, numVars);
+  const searchClauses = pre ? pre.clauses : clauses;
+  const searchStats = {};
+  let sol =
+    solverKind(cfg) === "local"
+      ? localSearchThenCDCL(cfg, searchClauses, numVars, solverSeed, {
+          signal,
+          stats: searchStats,
+        })
+      : satSolve(searchClauses, numVars, solverSeed, {
+          ...seededSatOptions(cfg),
+          signal,
+          stats: searchStats,
+        });
+  if (sol && pre) sol = pre.extend(sol);
+  const solveTime = Date.now() - solveStartTime;
+  if (sol && symmetric) sol = relabelCharacters(cfg, sol, vp, privKeys, seed);
+  const stats = searchStatistics(clauses, numVars, solveTime, searchStats);
+  if (pre) stats.preprocessing = pre.stats;
+  return solveOutcome(cfg, sol, vp, privKeys, stats, searchStats.timedOut);
+}
 
-    privKeys.S16 = {
-      visitCountAssignments,
-      visitCountTargets,
-      minVisitCount,
-      homebody,
-    };
+// cfg.sampling "solve" (the default) returns whichever schedule the search
+// finds first; "xor" draws one near-uniformly instead (see sampleUniform).
+function samplingMode(cfg) {
+  const mode = cfg.sampling ?? "solve";
+  if (!["solve", "xor"].includes(mode)) {
+    throw new Error(`Unknown sampling mode: ${mode}`);
+  }
+  return mode;
+}
+
+// cfg.solver picks the search behind solveAndDecode: "cdcl" (the default)
+// or "local" for localSearchSolve, whose random restarts spread neighbouring
+// seeds over far more different schedules.
+function solverKind(cfg) {
+  const kind = cfg.solver ?? "cdcl";
+  if (!["cdcl", "local"].includes(kind)) {
+    throw new Error(`Unknown solver: ${kind}`);
   }
+  return kind;
+}
 
-  // S17: Triple Alibi — three specific characters must meet as a trio at least once,
-  // and no other trio of 3 characters may meet in the same room at the same time
-  if (config.scenarios && config.scenarios.s17) {
-    const rng = mulberry32(resolvedSeed);
+// Local search cannot prove a seed impossible, so anything it fails to solve
+// within cfg.localSearch's flip budget goes to satSolve, which settles it.
+// stats.solver records which search produced the answer.
+function localSearchThenCDCL(
+  cfg,
+  clauses,
+  numVars,
+  cdclSeed,
+  { signal, stats },
+) {
+  const sol = localSearchSolve(clauses, numVars, cfg.seed, {
+    ...cfg.localSearch,
+    signal,
+    stats,
+  });
+  if (sol) {
+    stats.solver = "local";
+    return sol;
+  }
+  stats.solver = "cdcl";
+  return satSolve(clauses, numVars, cdclSeed, {
+    ...seededSatOptions(cfg),
+    signal,
+    stats,
+  });
+}
 
-    // Randomly select 3 characters to form the alibi trio
-    const shuffled = [...C];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(rng() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    const trio = [shuffled[0], shuffled[1], shuffled[2]].sort();
-    const trioIndices = trio.map((ch) => C.indexOf(ch));
+function solveOutcome(cfg, sol, vp, privKeys, stats, timedOut) {
+  if (!sol) return { status: timedOut ? "timeout" : "unsat", stats };
+  const res = decodeSolution(cfg, sol, vp, privKeys);
+  if (!res) return { status: "rejected", stats };
+  if (cfg.verify) assertFollowsRules(res, cfg);
+  return { status: "sat", ...res, stats };
+}
 
-    // The special trio must meet alone at least once (no other characters present)
-    // Create helper variable M_t_r = trio meets alone in room r at time t
-    const M = (t, ri) => vp.get(`S17_M_${t}_${ri}`);
-    const [ti0, ti1, ti2] = trioIndices;
+// With cfg.verify, every decoded scenario is re-checked by verifyScenario
+// before it is returned. A violation means the encoding let through a
+// schedule that breaks the rules, so it throws rather than hand out a broken
+// puzzle.
+function assertFollowsRules(res, cfg) {
+  const violations = verifyScenario(res, cfg);
+  if (!violations.length) return;
+  const list = violations
+    .map(({ scenario, message }) => `${scenario}: ${message}`)
+    .join("; ");
+  throw new Error(`Decoded scenario breaks the rules (${list})`);
+}
 
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        const x0 = X(ti0, t, ri);
-        const x1 = X(ti1, t, ri);
-        const x2 = X(ti2, t, ri);
-
-        // M => X[0], M => X[1], M => X[2]
-        clauses.push([-M(t, ri), x0]);
-        clauses.push([-M(t, ri), x1]);
-        clauses.push([-M(t, ri), x2]);
-
-        // M => no non-trio characters in the room
-        for (let ci = 0; ci < C.length; ci++) {
-          if (trioIndices.includes(ci)) continue;
-          clauses.push([-M(t, ri), -X(ci, t, ri)]);
-        }
+// Draws solutions of one configuration for many seeds. When every enabled
+// scenario can separate its seeded choices, one encoding serves all samples:
+// each seed only adds the unit clauses of its choices, exactly the clauses
+// buildCNF would add for it, and searches from scratch. A sample therefore
+// equals solveAndDecode({ ...cfg, seed }) whatever was sampled before,
+// without rebuilding the encoding. Nothing is checked or built before the
+// first sample, so a configuration error surfaces there like it would in
+// solveAndDecode. Scenarios that bake their seed into the clauses, and
+// cfg.sampling "xor", fall back to solveAndDecode for every sample.
+export function createSampler(cfg) {
+  let shared = null;
+  return {
+    sample(seed, { signal } = {}) {
+      seed = resolveSeed(seed);
+      if (
+        samplingMode(cfg) === "xor" ||
+        enabledScenarios(cfg).some((scenario) => scenario.bakesSeed)
+      ) {
+        return solveAndDecode({ ...cfg, seed }, { signal });
       }
-    }
+      shared ??= buildCNF(
+        { ...cfg, seed },
+        { separateSeeded: true, breakSymmetry: cfg.symmetryBreaking },
+      );
+      const { assumptions, privKeys } = shared.chooseSeeded(seed);
+      const clauses = [...shared.clauses, ...assumptions.map((lit) => [lit])];
+      return solveEncoding(
+        { ...cfg, seed },
+        { ...shared, clauses, privKeys },
+        signal,
+      );
+    },
+  };
+}
 
-    // At least one M must be true (trio meets at least once)
-    const allMeetings = [];
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        allMeetings.push(M(t, ri));
-      }
-    }
-    clauses.push(allMeetings); // At least one is true
+function searchStatistics(clauses, numVars, solveTime, searchStats) {
+  return {
+    totalVars: numVars,
+    totalClauses: clauses.length,
+    avgClauseLength:
+      clauses.length > 0
+        ? clauses.reduce((sum, c) => sum + c.length, 0) / clauses.length
+        : 0,
+    solveTimeMs: solveTime,
+    solver: searchStats.solver ?? "cdcl",
+    flips: searchStats.flips ?? 0,
+    decisions: searchStats.decisions,
+    propagations: searchStats.propagations,
+    conflicts: searchStats.conflicts,
+    learnedClauses: searchStats.learnts,
+    restarts: searchStats.restarts,
+  };
+}
 
-    // The trio must also be visibly separated at least once; otherwise a trio
-    // that simply moves as one unit for the whole night is too trivial.
-    const apartTimes = [];
-    for (let t = 0; t < T; t++) {
-      const apart = vp.get(`S17_APART_${t}`);
-      apartTimes.push(apart);
-      for (let ri = 0; ri < R.length; ri++) {
-        clauses.push([-apart, -X(ti0, t, ri), -X(ti1, t, ri), -X(ti2, t, ri)]);
-      }
-    }
-    clauses.push(apartTimes);
+// Turns a satisfying assignment of buildCNF(cfg) into the schedule, public
+// tables and private facts. Returns null when the schedule is unsuitable as a
+// puzzle even though it satisfies the encoding (see S18).
+function decodeSolution(cfg, sol, vp, privKeys) {
+  // Names the encoding never created are false; looking them up must not
+  // add variables to an encoding that later samples share.
+  const val = (name) => vp.has(name) && sol[vp.get(name)] === true;
 
-    // Detect rooms with exactly three people: only the trio is allowed
+  const R = cfg.rooms,
+    C = cfg.chars,
+    T = cfg.T;
+  const schedule = {};
+  for (let ci = 0; ci < C.length; ci++) {
+    const row = [];
     for (let t = 0; t < T; t++) {
+      let found = "(none)";
       for (let ri = 0; ri < R.length; ri++) {
-        const occupants = C.map((_, ci) => X(ci, t, ri));
-        const occTotalizer = buildTotalizer(
-          occupants,
-          vp,
-          clauses,
-          `S17_OCC_${t}_${ri}`,
-        );
-        const eq3 = vp.get(`S17_EQ3_${t}_${ri}`);
-
-        // eq3 <-> exactly three occupants in the room
-        clauses.push([-eq3, occTotalizer[2]]);
-        if (occTotalizer.length > 3) {
-          clauses.push([-eq3, -occTotalizer[3]]);
-          clauses.push([-occTotalizer[2], occTotalizer[3], eq3]);
-        } else {
-          clauses.push([-occTotalizer[2], eq3]);
-        }
-
-        // If exactly three, they must be the trio and no one else
-        for (const ti of trioIndices) {
-          clauses.push([-eq3, X(ti, t, ri)]);
-        }
-        for (let ci = 0; ci < C.length; ci++) {
-          if (trioIndices.includes(ci)) continue;
-          clauses.push([-eq3, -X(ci, t, ri)]);
+        if (val(`X_${C[ci]}_${t}_${R[ri]}`)) {
+          found = R[ri];
+          break;
         }
       }
+      row.push(found);
     }
-
-    privKeys.S17 = { trio };
+    schedule[C[ci]] = row;
   }
 
-  // S11: The Vault — the key holder must be present whenever the Vault is occupied
-  if (config.scenarios && config.scenarios.s11) {
-    if (!R.length) throw new Error("S11 requires at least one room");
-
-    const vaultRoom = [...R].sort()[0];
-    const vr = Ridx.get(vaultRoom);
-    if (vr == null) throw new Error("S11 vault room missing from map");
-
-    const rng = mulberry32(resolvedSeed);
-    const keyHolderIdx = Math.floor(rng() * C.length);
-
-    const KH = C.map((_, ci) => vp.get(`S11_KH_${C[ci]}`));
-    clauses.push(...exactlyOne(KH));
-    clauses.push([KH[keyHolderIdx]]);
-
-    // Every other Vault occupant requires the key holder to be present.
+  const byTime = {};
+  for (let t = 0; t < T; t++) {
+    const counts = {};
+    R.forEach((r) => (counts[r] = 0));
     for (let ci = 0; ci < C.length; ci++) {
-      for (let cj = 0; cj < C.length; cj++) {
-        if (ci === cj) continue;
-        for (let t = 0; t < T; t++) {
-          clauses.push([-KH[ci], -X(cj, t, vr), X(ci, t, vr)]);
-        }
-      }
+      const r = schedule[C[ci]][t];
+      if (counts[r] != null) counts[r]++;
     }
+    byTime[t + 1] = counts;
+  }
 
-    // Track Vault co-visits so the holder is uniquely identifiable from a
-    // non-trivial pattern of accompanied visits.
-    const withOther = Array.from({ length: C.length }, () => []);
-    const khWithoutCompanion = Array.from({ length: C.length }, () =>
-      Array.from({ length: C.length }, () => []),
-    );
-    const compVars = Array.from({ length: C.length }, () =>
-      Array.from({ length: C.length }, () => null),
-    );
-    const compDetails = Array.from({ length: C.length }, () =>
-      Array.from({ length: C.length }, () => []),
-    );
-
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T; t++) {
-        const otherVars = [];
-        for (let cj = 0; cj < C.length; cj++) {
-          if (ci === cj) continue;
-          otherVars.push(X(cj, t, vr));
-        }
-
-        const someOther = vp.get(`S11_someOther_${C[ci]}_${t}`);
-        if (otherVars.length) {
-          clauses.push([-someOther, ...otherVars]);
-          for (const ov of otherVars) clauses.push([-ov, someOther]);
-        } else {
-          clauses.push([-someOther]);
-        }
-
-        // A solo Vault visit would reveal the holder immediately, so every
-        // holder visit must include at least one companion.
-        clauses.push([-KH[ci], -X(ci, t, vr), someOther]);
-
-        const withO = vp.get(`S11_withOther_${C[ci]}_${t}`);
-        withOther[ci].push(withO);
-        clauses.push([-withO, KH[ci]]);
-        clauses.push([-withO, X(ci, t, vr)]);
-        clauses.push([-withO, someOther]);
-        clauses.push([-KH[ci], -X(ci, t, vr), -someOther, withO]);
-
-        for (let cj = 0; cj < C.length; cj++) {
-          if (ci === cj) continue;
-          const pair = vp.get(`S11_pair_${C[ci]}_${C[cj]}_${t}`);
-          compDetails[ci][cj].push(pair);
-          clauses.push([-pair, KH[ci]]);
-          clauses.push([-pair, X(ci, t, vr)]);
-          clauses.push([-pair, X(cj, t, vr)]);
-          clauses.push([-KH[ci], -X(ci, t, vr), -X(cj, t, vr), pair]);
-
-          const khOnly = vp.get(`S11_without_${C[ci]}_${C[cj]}_${t}`);
-          khWithoutCompanion[ci][cj].push(khOnly);
-          clauses.push([-khOnly, KH[ci]]);
-          clauses.push([-khOnly, X(ci, t, vr)]);
-          clauses.push([-khOnly, -X(cj, t, vr)]);
-          clauses.push([-KH[ci], -X(ci, t, vr), X(cj, t, vr), khOnly]);
-        }
-      }
+  const visits = {};
+  for (let ci = 0; ci < C.length; ci++) {
+    const v = {};
+    R.forEach((r) => (v[r] = 0));
+    for (let t = 0; t < T; t++) {
+      v[schedule[C[ci]][t]]++;
     }
+    visits[C[ci]] = v;
+  }
 
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let cj = 0; cj < C.length; cj++) {
-        if (ci === cj) continue;
-        const comp = vp.get(`S11_comp_${C[ci]}_${C[cj]}`);
-        compVars[ci][cj] = comp;
-        const details = compDetails[ci][cj];
-        clauses.push([-comp, KH[ci]]);
-        if (details.length) {
-          clauses.push([-comp, ...details]);
-          for (const d of details) clauses.push([-d, comp]);
-        } else {
-          clauses.push([-comp]);
-        }
-      }
-
-      const accompaniedVisitCount = buildTotalizer(
-        withOther[ci],
-        vp,
-        clauses,
-        `S11_${C[ci]}_AccompaniedVisitTotal`,
-      );
-      if (accompaniedVisitCount.length >= 2) {
-        clauses.push([-KH[ci], accompaniedVisitCount[1]]);
-      } else {
-        clauses.push([-KH[ci]]);
-      }
+  // Each enabled scenario records its private facts in priv; a scenario
+  // returning null rejects the schedule.
+  const priv = {};
+  const context = {
+    cfg,
+    R,
+    C,
+    T,
+    val,
+    schedule,
+    byTime,
+    visits,
+    privKeys,
+    priv,
+  };
+  for (const scenario of enabledScenarios(cfg)) {
+    if (scenario.decode(context) === null) return null;
+  }
 
-      const companions = compVars[ci].filter(
-        (v, idx) => idx !== ci && v !== null,
-      );
-      const companionCount = buildTotalizer(
-        companions,
-        vp,
-        clauses,
-        `S11_${C[ci]}_CompanionTotal`,
-      );
-      if (companionCount.length >= 2) {
-        clauses.push([-KH[ci], companionCount[1]]);
-      } else {
-        clauses.push([-KH[ci]]);
-      }
+  return { schedule, byTime, visits, priv, meta: { vars: vp.count() } };
+}
 
-      for (let cj = 0; cj < C.length; cj++) {
-        if (ci === cj) continue;
-        const khOnlyGaps = khWithoutCompanion[ci][cj];
-        if (khOnlyGaps.length === 0) {
-          clauses.push([-KH[ci]]);
-        } else {
-          clauses.push([-KH[ci], ...khOnlyGaps]);
-        }
-      }
+/* ===========================
+   Solution Enumeration
+   =========================== */
+function projectionVariables(cfg, vp, privKeys, projectOn = "schedule") {
+  if (projectOn === "schedule") {
+    return [...vp.rev]
+      .filter(([, name]) => name.startsWith("X_"))
+      .map(([id]) => id);
+  }
+  if (projectOn === "culprit") {
+    const ids = enabledScenarios(cfg).flatMap(
+      (scenario) => scenario.culpritVariables?.(privKeys) ?? [],
+    );
+    if (!ids.length) {
+      throw new Error("No solver-chosen culprit variables to project on");
     }
+    return ids;
+  }
+  if (typeof projectOn === "function") {
+    return [...vp.rev].filter(([, name]) => projectOn(name)).map(([id]) => id);
+  }
+  if (Array.isArray(projectOn)) {
+    return projectOn.map((name) => vp.getExisting(name));
+  }
+  throw new Error(`Unknown solution projection: ${projectOn}`);
+}
 
-    privKeys.S11 = { KH, vaultRoom };
+// Yields raw models that differ on the projected variables. Each model is
+// excluded from later searches by a blocking clause over the projection.
+function* projectedModels(cfg, projectOn) {
+  const { vp, clauses, privKeys } = buildCNF(cfg);
+  const numVars = vp.count();
+  const projection = projectionVariables(cfg, vp, privKeys, projectOn);
+  const solverSeed = searchSeed(cfg, cfg.seed);
+
+  for (;;) {
+    const searchStats = {};
+    const solveStartTime = Date.now();
+    const sol = satSolve(clauses, numVars, solverSeed, {
+      ...seededSatOptions(cfg),
+      stats: searchStats,
+    });
+    if (!sol) return;
+    const stats = searchStatistics(
+      clauses,
+      numVars,
+      Date.now() - solveStartTime,
+      searchStats,
+    );
+    clauses.push(projection.map((v) => (sol[v] ? -v : v)));
+    yield { sol, vp, privKeys, stats };
   }
+}
 
-  // S10: Contagion — alphabetically first room infects entrants
-  let contagionRoom = null;
-  if (config.scenarios && config.scenarios.s10) {
-    if (!R.length) throw new Error("S10 requires at least one room");
-    contagionRoom = [...R].sort()[0];
-    const ri = Ridx.get(contagionRoom);
-    if (ri == null) throw new Error("S10 contagious room missing");
-    const mustVisitContagious = [];
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T; t++) {
-        mustVisitContagious.push(X(ci, t, ri));
-      }
-    }
-    clauses.push(mustVisitContagious);
-    privKeys.S10 = contagionRoom;
+// Enumerates distinct solutions of cfg, decoded in the same shape that
+// solveAndDecode returns. By default solutions differ in at least one
+// character's schedule; projectOn may instead be "culprit" (the solver-chosen
+// role variables), an array of variable names, or a predicate on names.
+export function* enumerateSolutions(cfg, { limit = Infinity, projectOn } = {}) {
+  cfg = { ...cfg, seed: resolveSeed(cfg.seed) };
+  if (limit <= 0) return;
+  let yielded = 0;
+  for (const { sol, vp, privKeys, stats } of projectedModels(cfg, projectOn)) {
+    const res = decodeSolution(cfg, sol, vp, privKeys);
+    if (!res) continue;
+    res.stats = stats;
+    yield res;
+    if (++yielded >= limit) return;
   }
+}
 
-  // S12: Glue Room — randomly chosen room forces entrants to stay one extra turn
-  if (config.scenarios && config.scenarios.s12) {
-    if (!R.length) throw new Error("S12 requires at least one room");
-    if (T < 2) throw new Error("S12 requires at least two timesteps");
+// Counts distinct projected solutions, stopping after `limit`. `exhausted`
+// is true when the count covers the whole solution space.
+export function countSolutions(cfg, { limit = Infinity, projectOn } = {}) {
+  cfg = { ...cfg, seed: resolveSeed(cfg.seed) };
+  const models = projectedModels(cfg, projectOn);
+  let count = 0;
+  while (count < limit) {
+    if (models.next().done) return { count, exhausted: true };
+    count++;
+  }
+  return { count, exhausted: false };
+}
 
-    const rng = mulberry32(resolvedSeed);
-    const glueRoom = R[Math.floor(rng() * R.length)];
-    const gr = Ridx.get(glueRoom);
-    if (gr == null) throw new Error("S12 glue room missing from map");
+/* ===========================
+   Near-Uniform Sampling
+   =========================== */
 
-    const entriesBeforeFinal = [];
-    const entryVars = Array.from({ length: C.length }, () =>
-      Array(T).fill(null),
-    );
-
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T; t++) {
-        const entry = vp.get(`S12Entry_${C[ci]}_${t}`);
-        entryVars[ci][t] = entry;
-
-        clauses.push([-entry, X(ci, t, gr)]);
-        if (t === 0) {
-          clauses.push([-X(ci, t, gr), entry]);
-        } else {
-          clauses.push([-entry, -X(ci, t - 1, gr)]);
-          clauses.push([-X(ci, t, gr), X(ci, t - 1, gr), entry]);
-        }
-
-        if (t < T - 1) {
-          clauses.push([-entry, X(ci, t + 1, gr)]);
-          entriesBeforeFinal.push(entry);
-        } else {
-          clauses.push([-entry]);
-        }
-        if (t < T - 2) {
-          clauses.push([-entry, -X(ci, t + 2, gr)]);
-        }
-      }
-    }
-
-    // Staying is legal only for the one transition forced by entering the
-    // glue room. Everyone otherwise follows the normal always-move rule.
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T - 1; t++) {
-        for (let ri = 0; ri < R.length; ri++) {
-          const clause = [-X(ci, t, ri), -X(ci, t + 1, ri)];
-          if (ri === gr) clause.push(entryVars[ci][t]);
-          clauses.push(clause);
-        }
-      }
-    }
-
-    if (entriesBeforeFinal.length === 0) {
-      throw new Error(
-        "S12 requires at least one possible glue entry before final timestep",
-      );
-    }
-    clauses.push(...atLeastOne(entriesBeforeFinal));
-
-    privKeys.S12 = { glueRoom };
-  }
-
-  // S13: Glue Shoes — one character causes others in the room to stay an extra turn
-  if (config.scenarios && config.scenarios.s13) {
-    if (T < 2) throw new Error("S13 requires at least two timesteps");
-    if (C.length < 2)
-      throw new Error("S13 requires at least two characters (glue + victim)");
-
-    const rng = mulberry32(resolvedSeed);
-    const glueIdx = Math.floor(rng() * C.length);
-
-    const GS = C.map((_, ci) => vp.get(`S13_GLUE_${C[ci]}`));
-    clauses.push(...exactlyOne(GS));
-    clauses.push([GS[glueIdx]]);
-
-    const meetVarsByGlue = Array.from({ length: C.length }, () => []);
-    const stuckSupports = Array.from({ length: C.length }, () =>
-      Array.from({ length: T }, () =>
-        Array.from({ length: R.length }, () => []),
-      ),
-    );
-
-    // Glue carrier must always move; they are immune to sticking effects.
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T - 1; t++) {
-        for (let ri = 0; ri < R.length; ri++) {
-          clauses.push([-GS[ci], -X(ci, t, ri), -X(ci, t + 1, ri)]);
-        }
-      }
-    }
-
-    for (let gp = 0; gp < C.length; gp++) {
-      for (let vi = 0; vi < C.length; vi++) {
-        if (vi === gp) continue;
-        for (let t = 0; t < T - 1; t++) {
-          for (let ri = 0; ri < R.length; ri++) {
-            const meet = vp.get(`S13Meet_${C[gp]}_${C[vi]}_${t}_${R[ri]}`);
-            meetVarsByGlue[gp].push(meet);
-            stuckSupports[vi][t + 1][ri].push(meet);
-
-            clauses.push([-meet, GS[gp]]);
-            clauses.push([-meet, X(gp, t, ri)]);
-            clauses.push([-meet, X(vi, t, ri)]);
-            clauses.push([-GS[gp], -X(gp, t, ri), -X(vi, t, ri), meet]);
-
-            clauses.push([-meet, X(vi, t + 1, ri)]);
-
-            if (t < T - 2) {
-              clauses.push([-meet, -X(vi, t + 2, ri)]);
-            }
-          }
-        }
-      }
-    }
-
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T - 1; t++) {
-        for (let ri = 0; ri < R.length; ri++) {
-          const clause = [-X(ci, t, ri), -X(ci, t + 1, ri)];
-          const support = stuckSupports[ci][t + 1][ri];
-          if (support.length) clause.push(...support);
-          clauses.push(clause);
-        }
-      }
-    }
-
-    for (let gp = 0; gp < C.length; gp++) {
-      const meets = meetVarsByGlue[gp];
-      if (!meets.length) {
-        clauses.push([-GS[gp]]);
-      } else {
-        clauses.push([-GS[gp], ...meets]);
-      }
-    }
-
-    privKeys.S13 = { GS };
-  }
-
-  // S3: Ensure alphabetically first room is visited at least once
-  if (config.scenarios.s3) {
-    if (!R.length) throw new Error("S3 requires at least one room");
-    const rng = mulberry32(resolvedSeed);
-    const pickupWindow = Math.min(3, T);
-    const pickupStart =
-      C.length === 1 ? 1 : 1 + Math.floor(rng() * pickupWindow);
-    const alphabeticRoom = [...R].sort()[0];
-    const ri = Ridx.get(alphabeticRoom);
-    if (ri == null) throw new Error("S3 alphabetic room missing");
-    const aloneAtPickup = [];
-    const firstRoomVar = [];
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T; t++) {
-        firstRoomVar.push(X(ci, t, ri));
-      }
-    }
-
-    // At least one visit
-    clauses.push(firstRoomVar);
-
-    // Ensure someone visits the room alone at the pickup time (well-defined first thief)
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T; t++) {
-        const alone = vp.get(`S3Alone_${C[ci]}_${t}`);
-
-        if (t + 1 === pickupStart) {
-          aloneAtPickup.push(alone);
-        } else if (t + 1 < pickupStart) {
-          // No solo visits to the jewel room before the pickup window
-          clauses.push([-alone]);
-
-          if (C.length > 1) {
-            const withCompanion = [-X(ci, t, ri)];
-            for (let cj = 0; cj < C.length; cj++) {
-              if (cj === ci) continue;
-              withCompanion.push(X(cj, t, ri));
-            }
-            clauses.push(withCompanion);
-          }
-        }
-
-        // If alone is true, ci is in the alphabetic room and nobody else is
-        clauses.push([-alone, X(ci, t, ri)]);
-        for (let cj = 0; cj < C.length; cj++) {
-          if (cj === ci) continue;
-          clauses.push([-alone, -X(cj, t, ri)]);
-        }
-      }
-    }
-
-    clauses.push(aloneAtPickup);
-
-    privKeys.S3 = { pickupStart };
-  }
-
-  // S2: Phantom alone at every time
-  let PH = null;
-  if (config.scenarios.s2) {
-    PH = C.map((_, ci) => vp.get(`PH_${C[ci]}`));
-    clauses.push(...exactlyOne(PH));
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        for (let ci = 0; ci < C.length; ci++) {
-          for (let cj = 0; cj < C.length; cj++) {
-            if (ci === cj) continue;
-            clauses.push([-PH[ci], -X(ci, t, ri), -X(cj, t, ri)]);
-          }
-        }
-      }
-    }
-    for (let ci = 0; ci < C.length; ci++) {
-      const atLeastOnceNotAlone = [];
-      for (let t = 0; t < T; t++) {
-        for (let ri = 0; ri < R.length; ri++) {
-          for (let cj = 0; cj < C.length; cj++) {
-            if (ci === cj) continue;
-            const bothThere = vp.get(`notAlone_${ci}_${t}_${ri}_${cj}`);
-            clauses.push([-bothThere, X(ci, t, ri)]);
-            clauses.push([-bothThere, X(cj, t, ri)]);
-            clauses.push([-X(ci, t, ri), -X(cj, t, ri), bothThere]);
-            atLeastOnceNotAlone.push(bothThere);
-          }
-        }
-      }
-      clauses.push([PH[ci], ...atLeastOnceNotAlone]);
-    }
-    privKeys.PH = PH;
-  }
-
-  // S5: Lovers never meet
-  let L1 = null,
-    L2 = null;
-  if (config.scenarios.s5) {
-    L1 = C.map((_, ci) => vp.get(`L1_${C[ci]}`));
-    L2 = C.map((_, ci) => vp.get(`L2_${C[ci]}`));
-    clauses.push(...exactlyOne(L1));
-    clauses.push(...exactlyOne(L2));
-    for (let ci = 0; ci < C.length; ci++) {
-      clauses.push([-L1[ci], -L2[ci]]);
-    }
-
-    // If both S2 and S5 are enabled (S6), phantom must NOT be a lover
-    // The phantom is in their own category - neither lover nor non-lover
-    if (PH) {
-      for (let ci = 0; ci < C.length; ci++) {
-        // PH[ci] => NOT L1[ci] AND NOT L2[ci]
-        // CNF: -PH[ci] OR -L1[ci]  AND  -PH[ci] OR -L2[ci]
-        clauses.push([-PH[ci], -L1[ci]]);
-        clauses.push([-PH[ci], -L2[ci]]);
-      }
-    }
-
-    // Lovers never meet
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        for (let c1 = 0; c1 < C.length; c1++) {
-          for (let c2 = 0; c2 < C.length; c2++) {
-            if (c1 === c2) continue;
-            clauses.push([-L1[c1], -L2[c2], -X(c1, t, ri), -X(c2, t, ri)]);
-          }
-        }
-      }
-    }
-
-    // Every pair except the lover pair must meet at least once.
-    // In S6, pairs containing the phantom are excluded.
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let cj = ci + 1; cj < C.length; cj++) {
-        // Create variable: ci and cj meet at least once
-        const pairMeets = [];
-        for (let t = 0; t < T; t++) {
-          for (let ri = 0; ri < R.length; ri++) {
-            const bothThere = vp.get(`loverPairMeet_${ci}_${cj}_${t}_${ri}`);
-            // bothThere ⇔ (X(ci,t,ri) ∧ X(cj,t,ri))
-            clauses.push([-bothThere, X(ci, t, ri)]);
-            clauses.push([-bothThere, X(cj, t, ri)]);
-            clauses.push([-X(ci, t, ri), -X(cj, t, ri), bothThere]);
-            pairMeets.push(bothThere);
-          }
-        }
-
-        // Require regular pairs to meet; lover/regular requirements are below.
-        const meetLits = [...pairMeets];
-        if (config.scenarios.s2 && PH) {
-          meetLits.push(PH[ci], PH[cj]);
-          // S6: exclude pairs containing the phantom.
-          clauses.push([L1[ci], L2[ci], L1[cj], L2[cj], ...meetLits]);
-        } else {
-          // S5: every regular pair must meet.
-          clauses.push([L1[ci], L2[ci], L1[cj], L2[cj], ...meetLits]);
-        }
-
-        // Each lover must also meet every regular character.
-        clauses.push([-L1[ci], L2[cj], ...meetLits]);
-        clauses.push([-L2[ci], L1[cj], ...meetLits]);
-        clauses.push([-L1[cj], L2[ci], ...meetLits]);
-        clauses.push([-L2[cj], L1[ci], ...meetLits]);
-      }
-    }
-
-    privKeys.L1 = L1;
-    privKeys.L2 = L2;
-  }
-
-  // S1: Poison — assassin (first character) alone with exactly one victim
-  let V = null,
-    PT = null,
-    PR = null;
-  if (config.scenarios.s1) {
-    const assassinIdx = 0;
-
-    V = C.map((_, ci) => vp.get(`V_${C[ci]}`));
-    PT = Array.from({ length: T }, (_, t) => vp.get(`PT_${t}`));
-    PR = R.map((_, ri) => vp.get(`PR_${R[ri]}`));
-
-    clauses.push(...exactlyOne(V));
-    clauses.push(...exactlyOne(PT));
-    clauses.push(...exactlyOne(PR));
-
-    clauses.push([-V[assassinIdx]]);
-
-    if (hasConfiguredValue(config.scenarios.s1_room)) {
-      const ri = Ridx.get(config.scenarios.s1_room);
-      clauses.push([PR[ri]]);
-    }
-    if (hasConfiguredValue(config.scenarios.s1_time)) {
-      const requestedTime = Number(config.scenarios.s1_time);
-      clauses.push([PT[requestedTime - 1]]);
-    }
-
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        for (let vi = 0; vi < C.length; vi++) {
-          if (vi === assassinIdx) continue;
-
-          clauses.push([-PT[t], -PR[ri], -V[vi], X(assassinIdx, t, ri)]);
-          clauses.push([-PT[t], -PR[ri], -V[vi], X(vi, t, ri)]);
-
-          for (let ci = 0; ci < C.length; ci++) {
-            if (ci === assassinIdx || ci === vi) continue;
-            clauses.push([-PT[t], -PR[ri], -V[vi], -X(ci, t, ri)]);
-          }
-        }
-      }
-    }
-
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        const isPoisonMoment = vp.get(`isPoisonMoment_${t}_${ri}`);
-
-        const poisonClauses = [];
-        for (let vi = 0; vi < C.length; vi++) {
-          if (vi === assassinIdx) continue;
-          const thisPoison = vp.get(`thisPoison_${t}_${ri}_${vi}`);
-          clauses.push([-thisPoison, PT[t]]);
-          clauses.push([-thisPoison, PR[ri]]);
-          clauses.push([-thisPoison, V[vi]]);
-          clauses.push([-PT[t], -PR[ri], -V[vi], thisPoison]);
-          poisonClauses.push(thisPoison);
-        }
-        clauses.push([-isPoisonMoment, ...poisonClauses]);
-        for (const tp of poisonClauses) {
-          clauses.push([-tp, isPoisonMoment]);
-        }
-
-        for (let ci = 0; ci < C.length; ci++) {
-          if (ci === assassinIdx) continue;
-
-          const exactlyOne = vp.get(`exactlyOne_${t}_${ri}_${ci}`);
-
-          clauses.push([-exactlyOne, X(assassinIdx, t, ri)]);
-          clauses.push([-exactlyOne, X(ci, t, ri)]);
-          for (let ck = 0; ck < C.length; ck++) {
-            if (ck === assassinIdx || ck === ci) continue;
-            clauses.push([-exactlyOne, -X(ck, t, ri)]);
-          }
-
-          const others = [];
-          for (let ck = 0; ck < C.length; ck++) {
-            if (ck === assassinIdx || ck === ci) continue;
-            others.push(X(ck, t, ri));
-          }
-          clauses.push([
-            exactlyOne,
-            -X(assassinIdx, t, ri),
-            -X(ci, t, ri),
-            ...others,
-          ]);
-
-          clauses.push([-exactlyOne, isPoisonMoment]);
-        }
-      }
-    }
-    privKeys.V = V;
-    privKeys.PT = PT;
-    privKeys.PR = PR;
-  }
-
-  // S7: Aggrosassin
-  let AGG = null;
-  if (config.scenarios.s7) {
-    if (T < 2) throw new Error("S7 requires at least two timesteps");
-    if (C.length < 2) throw new Error("S7 requires at least two characters");
+const XOR_SAMPLING_DEFAULTS = { pivot: 16, density: 1 / 16, attempts: 3 };
+
+// UniGen-style sampling: the first m constraints of a random XOR hash split
+// the schedules into 2^m cells of roughly equal size. The sampler finds the
+// smallest m whose cell (the one the hash's parities select) holds at most
+// pivot schedules, enumerates that cell and returns one of its schedules
+// uniformly at random, so every schedule is about equally likely however
+// the solver would order them. A cell with fewer than pivot / 4 schedules
+// is too small to be representative and is retried with a fresh hash, up
+// to attempts hashes. Options come from cfg.xorSampling: pivot, density
+// (see randomXorHash) and attempts. Returns an outcome like solveAndDecode's
+// whose stats also give the number of XOR constraints used and the size of
+// the chosen cell.
+export function sampleUniform(cfg, { signal } = {}) {
+  const seed = resolveSeed(cfg.seed);
+  cfg = { ...cfg, seed };
+  const { pivot, density, attempts } = {
+    ...XOR_SAMPLING_DEFAULTS,
+    ...cfg.xorSampling,
+  };
+  const rng = mulberry32(seed);
+  // No configuration has more schedules than rooms^(chars * T), so this
+  // many constraints are enough to get down to cells of single schedules.
+  const count = Math.ceil(
+    cfg.chars.length * cfg.T * Math.log2(Math.max(2, cfg.rooms.length)),
+  );
+  const solveStartTime = Date.now();
+  const searchStats = {};
+  let picked = null;
 
-    const requiredKills = Math.max(2, Math.ceil(T / 2));
-    if (C.length - 1 < requiredKills) {
-      throw new Error(
-        "S7 requires at least as many potential victims as required kills",
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const encoding = buildCNF(cfg, {
+      breakSymmetry: cfg.symmetryBreaking,
+      xorHash: { count, seed: Math.floor(rng() * 0xffffffff), density },
+    });
+    const { vp, clauses, privKeys, xorLits } = encoding;
+    const runStats = {};
+    const solverSeed = searchSeed(cfg, seed);
+    const solver = createSatSolver(clauses, vp.count(), solverSeed, {
+      ...seededSatOptions(cfg),
+      signal,
+      stats: runStats,
+    });
+    const projection = projectionVariables(cfg, vp, privKeys);
+    const found = new Map();
+
+    // Up to pivot + 1 schedules of cell m, or null when the budget ran out.
+    // A schedule found in cell m is blocked only while the first m parities
+    // are assumed, so it stays countable in the larger cells.
+    const cell = (m) => {
+      const assumptions = xorLits.slice(0, m);
+      const holds = (sol) => (lit) => (lit > 0 ? sol[lit] : !sol[-lit]);
+      const members = [...found.values()].filter((sol) =>
+        assumptions.every(holds(sol)),
       );
-    }
-
-    AGG = C.map((_, ci) => vp.get(`AGG_${C[ci]}`));
-    clauses.push(...exactlyOne(AGG));
-
-    const killTimeVars = Array.from({ length: C.length }, () =>
-      Array(T).fill(null),
-    );
-    const killVictimVars = Array.from({ length: C.length }, () =>
-      Array.from({ length: C.length }, () => Array(T).fill(null)),
-    );
-
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T; t++) {
-        const kt = vp.get(`AGGKillTime_${C[ci]}_${t}`);
-        killTimeVars[ci][t] = kt;
-        clauses.push([-kt, AGG[ci]]);
-      }
-
-      for (let vj = 0; vj < C.length; vj++) {
-        if (ci === vj) continue;
-        const victimsAtTimes = [];
-        for (let t = 0; t < T; t++) {
-          const kv = vp.get(`AGGKillVictim_${C[ci]}_${C[vj]}_${t}`);
-          killVictimVars[ci][vj][t] = kv;
-          victimsAtTimes.push(kv);
-          clauses.push([-kv, AGG[ci]]);
-          clauses.push([-kv, killTimeVars[ci][t]]);
-        }
-      }
-    }
-
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T; t++) {
-        const choices = [];
-        for (let vj = 0; vj < C.length; vj++) {
-          if (ci === vj) continue;
-          const kv = killVictimVars[ci][vj][t];
-          if (kv) choices.push(kv);
-        }
-        if (choices.length) {
-          clauses.push([-killTimeVars[ci][t], ...choices]);
-        } else {
-          clauses.push([-killTimeVars[ci][t]]);
-        }
-      }
-    }
-
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let vj = 0; vj < C.length; vj++) {
-        if (ci === vj) continue;
-        for (let t = 0; t < T; t++) {
-          const kv = killVictimVars[ci][vj][t];
-          if (!kv) continue;
-          const detailVars = [];
-          for (let ri = 0; ri < R.length; ri++) {
-            const detail = vp.get(
-              `AGGKillDetail_${C[ci]}_${C[vj]}_${t}_${R[ri]}`,
-            );
-            detailVars.push(detail);
-            clauses.push([-detail, AGG[ci]]);
-            clauses.push([-detail, kv]);
-            clauses.push([-detail, X(ci, t, ri)]);
-            clauses.push([-detail, X(vj, t, ri)]);
-            for (let ck = 0; ck < C.length; ck++) {
-              if (ck === ci || ck === vj) continue;
-              clauses.push([-detail, -X(ck, t, ri)]);
-            }
-
-            const reverse = [-AGG[ci], -X(ci, t, ri), -X(vj, t, ri)];
-            for (let ck = 0; ck < C.length; ck++) {
-              if (ck === ci || ck === vj) continue;
-              reverse.push(X(ck, t, ri));
-            }
-            reverse.push(detail);
-            clauses.push(reverse);
-          }
-          if (detailVars.length) {
-            clauses.push([-kv, ...detailVars]);
-          } else {
-            clauses.push([-kv]);
-          }
-        }
-      }
-    }
-
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let vj = 0; vj < C.length; vj++) {
-        if (ci === vj) continue;
-        const victimOccurrences = killVictimVars[ci][vj].filter(Boolean);
-        if (victimOccurrences.length > 1) {
-          const uniqueVictimClauses = atMostOne(victimOccurrences);
-          for (const clause of uniqueVictimClauses) {
-            clauses.push([-AGG[ci], ...clause]);
-          }
-        }
-      }
-    }
-
-    for (let ak = 0; ak < C.length; ak++) {
-      for (let ci = 0; ci < C.length; ci++) {
-        if (ci === ak) continue;
-        for (let cj = ci + 1; cj < C.length; cj++) {
-          if (cj === ak) continue;
-          for (let t = 0; t < T; t++) {
-            for (let ri = 0; ri < R.length; ri++) {
-              const clause = [
-                -AGG[ak],
-                -X(ci, t, ri),
-                -X(cj, t, ri),
-                X(ak, t, ri),
-              ];
-              for (let ck = 0; ck < C.length; ck++) {
-                if (ck === ak || ck === ci || ck === cj) continue;
-                clause.push(X(ck, t, ri));
-              }
-              clauses.push(clause);
-            }
-          }
-        }
-      }
-    }
-
-    for (let ci = 0; ci < C.length; ci++) {
-      const killTimes = killTimeVars[ci];
-      if (requiredKills > killTimes.length) {
-        clauses.push([-AGG[ci]]);
-      } else if (requiredKills > 0) {
-        const combos = atLeastK(killTimes, requiredKills);
-        for (const combo of combos) {
-          clauses.push([-AGG[ci], ...combo]);
-        }
-      }
-    }
-
-    privKeys.AGG = AGG;
-  }
-
-  // S8: Freeze
-  let FRZ = null;
-  if (config.scenarios && config.scenarios.s8) {
-    if (T < 2) throw new Error("S8 requires at least two timesteps");
-    if (C.length < 2) throw new Error("S8 requires at least two characters");
-
-    // Randomly choose which character is the freeze based on seed
-    const rng = mulberry32(resolvedSeed);
-    const freezeIdx = Math.floor(rng() * C.length);
-
-    FRZ = C.map((_, ci) => vp.get(`FRZ_${C[ci]}`));
-    clauses.push(...exactlyOne(FRZ));
-
-    // Force the randomly chosen character to be the freeze
-    clauses.push([FRZ[freezeIdx]]);
-
-    const freezeDetailByVictim = Array.from({ length: C.length }, () =>
-      Array.from({ length: T }, () =>
-        Array.from({ length: R.length }, () => []),
-      ),
-    );
-
-    // Randomize required first-time freezes based on seed. Extra freezes may
-    // still occur outside this required set.
-    const maxRequiredKills = Math.min(3, C.length - 1, T - 1);
-    const numRequiredKills = Math.floor(rng() * maxRequiredKills) + 1;
-
-    // Randomly choose which timesteps must have kills (excluding final timestep)
-    const availableTimesteps = Array.from({ length: T - 1 }, (_, i) => i);
-    const requiredKillTimesteps = [];
-    for (
-      let i = 0;
-      i < Math.min(numRequiredKills, availableTimesteps.length);
-      i++
-    ) {
-      const idx = Math.floor(rng() * availableTimesteps.length);
-      requiredKillTimesteps.push(availableTimesteps[idx]);
-      availableTimesteps.splice(idx, 1);
-    }
-
-    const ci = freezeIdx;
-    for (let vj = 0; vj < C.length; vj++) {
-      if (ci === vj) continue;
-      for (let t = 0; t < T; t++) {
-        for (let ri = 0; ri < R.length; ri++) {
-          const detail = vp.get(`FRZKill_${C[ci]}_${C[vj]}_${t}_${R[ri]}`);
-          freezeDetailByVictim[vj][t][ri].push(detail);
-
-          clauses.push([-detail, X(ci, t, ri)]);
-          clauses.push([-detail, X(vj, t, ri)]);
-          for (let ck = 0; ck < C.length; ck++) {
-            if (ck === ci || ck === vj) continue;
-            clauses.push([-detail, -X(ck, t, ri)]);
-          }
-
-          const reverse = [-X(ci, t, ri), -X(vj, t, ri)];
-          for (let ck = 0; ck < C.length; ck++) {
-            if (ck === ci || ck === vj) continue;
-            reverse.push(X(ck, t, ri));
-          }
-          reverse.push(detail);
-          clauses.push(reverse);
-
-          for (let u = t; u < T; u++) {
-            clauses.push([-detail, X(vj, u, ri)]);
-          }
-        }
-      }
-    }
-
-    // Each selected timestep must introduce a distinct, newly frozen victim.
-    for (const t of requiredKillTimesteps) {
-      const requiredFirstFreezes = [];
-      for (let vj = 0; vj < C.length; vj++) {
-        if (vj === freezeIdx) continue;
-        const requiredFirstFreeze = vp.get(`FRZRequiredFirst_${C[vj]}_${t}`);
-        const detailsAtTime = freezeDetailByVictim[vj][t].flat();
-        requiredFirstFreezes.push(requiredFirstFreeze);
-        clauses.push([-requiredFirstFreeze, ...detailsAtTime]);
-
-        for (let earlier = 0; earlier < t; earlier++) {
-          for (const detail of freezeDetailByVictim[vj][earlier].flat()) {
-            clauses.push([-requiredFirstFreeze, -detail]);
-          }
-        }
-      }
-
-      if (requiredFirstFreezes.length === 0) {
-        throw new Error(`S8 requires a kill opportunity at timestep ${t + 1}`);
-      }
-      clauses.push(requiredFirstFreezes);
-    }
-
-    const freezeSupports = Array.from({ length: C.length }, () =>
-      Array.from({ length: T }, () =>
-        Array.from({ length: R.length }, () => []),
-      ),
-    );
-
-    for (let vi = 0; vi < C.length; vi++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        const seen = new Set();
-        for (let t = 0; t < T; t++) {
-          for (const detail of freezeDetailByVictim[vi][t][ri]) {
-            seen.add(detail);
-          }
-          freezeSupports[vi][t][ri] = Array.from(seen);
-        }
-      }
-    }
-
-    for (let vi = 0; vi < C.length; vi++) {
-      for (let t = 0; t < T - 1; t++) {
-        for (let ri = 0; ri < R.length; ri++) {
-          const clause = [-X(vi, t, ri), -X(vi, t + 1, ri)];
-          const support = freezeSupports[vi][t][ri];
-          if (support.length) {
-            clause.push(...support);
-          }
-          clauses.push(clause);
-        }
-      }
-    }
-
-    privKeys.FRZ = FRZ;
-    privKeys.S8 = {
-      requiredKillCount: requiredKillTimesteps.length,
-      requiredKillTimes: requiredKillTimesteps.map((t) => t + 1),
-    };
-  }
-
-  // S9: Doctor heals frozen characters
-  if (config.scenarios && config.scenarios.s9) {
-    if (T < 3) throw new Error("S9 requires at least three timesteps");
-    if (C.length < 2) throw new Error("S9 requires at least two characters");
-    if (R.length < 2) throw new Error("S9 requires at least two rooms");
-
-    const targetFrozenRatio = Math.max(
-      0.2,
-      Math.min(0.8, Number(config.scenarios.s9FrozenRatio ?? 0.3) || 0.3),
-    );
-    const targetFrozen = Math.max(1, Math.round(C.length * targetFrozenRatio));
-    const slack = Math.max(1, Math.round(C.length * 0.15));
-    const minFrozen = Math.max(1, targetFrozen - slack);
-    const maxFrozen = Math.min(C.length - 1, targetFrozen + slack);
-    const frozenMin = Math.min(minFrozen, maxFrozen);
-    const frozenMax = Math.max(minFrozen, maxFrozen);
-
-    const DOC = C.map((_, ci) => vp.get(`S9Doctor_${C[ci]}`));
-    const FROZ = C.map((_, ci) => vp.get(`S9Frozen_${C[ci]}`));
-    const Heal = Array.from({ length: C.length }, () => Array(T).fill(null));
-    const StillFrozen = Array.from({ length: C.length }, () =>
-      Array(T).fill(null),
-    );
-    const DocAt = Array.from({ length: T }, () => Array(R.length).fill(null));
-    clauses.push(...exactlyOne(DOC));
-
-    for (let ci = 0; ci < C.length; ci++) {
-      clauses.push([-DOC[ci], -FROZ[ci]]);
-    }
-
-    clauses.push(...atLeastK(FROZ, frozenMin));
-    clauses.push(...atMostK(FROZ, frozenMax));
-
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        const docAtVar = vp.get(`S9DocAt_${t}_${R[ri]}`);
-        DocAt[t][ri] = docAtVar;
-        for (let ci = 0; ci < C.length; ci++) {
-          clauses.push([-DOC[ci], -X(ci, t, ri), docAtVar]);
-          clauses.push([-docAtVar, -DOC[ci], X(ci, t, ri)]);
-        }
-      }
-    }
-
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let t = 0; t < T; t++) {
-        const healName = `S9Heal_${C[ci]}_${t}`;
-        const frozenName = `S9StillFrozen_${C[ci]}_${t}`;
-        const healVar = vp.get(healName);
-        const frozenVar = vp.get(frozenName);
-        const nextFrozenVar =
-          t < T - 1
-            ? (StillFrozen[ci][t + 1] ??
-              (StillFrozen[ci][t + 1] = vp.get(
-                `S9StillFrozen_${C[ci]}_${t + 1}`,
-              )))
-            : null;
-        Heal[ci][t] = healVar;
-        StillFrozen[ci][t] = frozenVar;
-
-        clauses.push([-frozenVar, FROZ[ci]]);
-        if (t === 0) {
-          clauses.push([-FROZ[ci], frozenVar]);
-        } else {
-          clauses.push([-frozenVar, StillFrozen[ci][t - 1]]);
-          clauses.push([-frozenVar, -Heal[ci][t - 1]]);
-          clauses.push([-StillFrozen[ci][t - 1], Heal[ci][t - 1], frozenVar]);
-        }
-
-        clauses.push([-healVar, FROZ[ci]]);
-        clauses.push([-healVar, frozenVar]);
-        if (nextFrozenVar) clauses.push([-healVar, -nextFrozenVar]);
-
-        if (t === 0 || t === T - 1) clauses.push([-healVar]);
-
-        for (let ri = 0; ri < R.length; ri++) {
-          clauses.push([-healVar, -X(ci, t, ri), DocAt[t][ri]]);
-        }
-
-        if (t < T - 1) {
-          for (let ri = 0; ri < R.length; ri++) {
-            clauses.push([
-              -frozenVar,
-              healVar,
-              -X(ci, t, ri),
-              X(ci, t + 1, ri),
-            ]);
-            clauses.push([-healVar, -X(ci, t, ri), -X(ci, t + 1, ri)]);
-
-            clauses.push([-X(ci, t, ri), -X(ci, t + 1, ri), frozenVar]);
-          }
-        }
-      }
-
-      clauses.push([-FROZ[ci], ...Heal[ci].slice(1, T - 1)]);
-    }
-
-    privKeys.S9 = true;
-  }
-
-  // S4: Bomb duo
-  // Constraint: A1 and A2 are the ONLY pair ever alone together (exactly 2 people in a room)
-  let A1 = null,
-    A2 = null;
-  if (config.scenarios.s4) {
-    A1 = C.map((_, ci) => vp.get(`A1_${C[ci]}`));
-    A2 = C.map((_, ci) => vp.get(`A2_${C[ci]}`));
-    clauses.push(...exactlyOne(A1));
-    clauses.push(...exactlyOne(A2));
-    for (let ci = 0; ci < C.length; ci++) {
-      clauses.push([-A1[ci], -A2[ci]]);
-    }
-
-    // Bombers are the ONLY pair ever alone together
-    const bomberAloneChoices = Array.from({ length: C.length }, () =>
-      Array.from({ length: C.length }, () => []),
-    );
-    const bomberPairs = [];
-
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let cj = ci + 1; cj < C.length; cj++) {
-        const pair1 = vp.get(`pair1_${ci}_${cj}`);
-        const pair2 = vp.get(`pair2_${ci}_${cj}`);
-
-        clauses.push([-pair1, A1[ci]]);
-        clauses.push([-pair1, A2[cj]]);
-        clauses.push([-A1[ci], -A2[cj], pair1]);
-
-        clauses.push([-pair2, A1[cj]]);
-        clauses.push([-pair2, A2[ci]]);
-        clauses.push([-A1[cj], -A2[ci], pair2]);
-
-        bomberPairs.push({ ci, cj, pair1, pair2 });
-      }
-    }
-
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        for (const { ci, cj, pair1, pair2 } of bomberPairs) {
-          const exactlyTwo = vp.get(`exactlyTwo_${t}_${ri}_${ci}_${cj}`);
-
-          bomberAloneChoices[ci][cj].push(exactlyTwo);
-          bomberAloneChoices[cj][ci].push(exactlyTwo);
-
-          clauses.push([-exactlyTwo, X(ci, t, ri)]);
-          clauses.push([-exactlyTwo, X(cj, t, ri)]);
-
-          for (let ck = 0; ck < C.length; ck++) {
-            if (ck === ci || ck === cj) continue;
-            clauses.push([-exactlyTwo, -X(ck, t, ri)]);
-          }
-
-          const someoneElse = [];
-          for (let ck = 0; ck < C.length; ck++) {
-            if (ck === ci || ck === cj) continue;
-            someoneElse.push(X(ck, t, ri));
-          }
-          clauses.push([
-            exactlyTwo,
-            -X(ci, t, ri),
-            -X(cj, t, ri),
-            ...someoneElse,
-          ]);
-
-          clauses.push([-exactlyTwo, pair1, pair2]);
-        }
-      }
-    }
-
-    for (let ci = 0; ci < C.length; ci++) {
-      for (let cj = ci + 1; cj < C.length; cj++) {
-        const choices = bomberAloneChoices[ci][cj];
-        if (!choices.length) continue;
-        clauses.push([-A1[ci], -A2[cj], ...choices]);
-        clauses.push([-A1[cj], -A2[ci], ...choices]);
-      }
-    }
-
-    privKeys.A1 = A1;
-    privKeys.A2 = A2;
-  }
-
-  // S18: Heavy Sofa — two carriers must move sofa from start room to alphabetically first room
-  if (config.scenarios && config.scenarios.s18) {
-    const rng = mulberry32(resolvedSeed);
-
-    // Destination is alphabetically first room
-    const destRoom = [...R].sort()[0];
-    const destIdx = Ridx.get(destRoom);
-
-    // Pick only from starts that can reach the destination before the timeline
-    // ends. This prevents a seeded but impossible story on disconnected maps.
-    const validStartRooms = reachableStartRooms(
-      R,
-      config.edges,
-      destRoom,
-      T - 1,
-    );
-    const startRoom =
-      validStartRooms[Math.floor(rng() * validStartRooms.length)];
-    const startIdx = Ridx.get(startRoom);
-
-    // Pick two random carriers
-    const shuffled = [...C];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(rng() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    const carrier1 = shuffled[0];
-    const carrier2 = shuffled[1];
-    const c1Idx = C.indexOf(carrier1);
-    const c2Idx = C.indexOf(carrier2);
-
-    // SOFA(t, ri): sofa is in room R[ri] at time t
-    const SOFA = (t, ri) => vp.get(`S18_SOFA_${t}_${R[ri]}`);
-
-    // CARRYING(t): sofa is being carried at time t
-    const CARRYING = (t) => vp.get(`S18_CARRYING_${t}`);
-
-    // Sofa is in exactly one room at each timestep
-    for (let t = 0; t < T; t++) {
-      const sofaVars = R.map((_, ri) => SOFA(t, ri));
-      clauses.push(...exactlyOne(sofaVars));
-    }
-
-    // Sofa starts in startRoom at t=0
-    clauses.push([SOFA(0, startIdx)]);
-
-    // Sofa ends in destRoom at t=T-1
-    clauses.push([SOFA(T - 1, destIdx)]);
-
-    // CARRYING state: once true, stays true (monotonic)
-    // CARRYING(t) => CARRYING(t+1)
-    for (let t = 0; t < T - 1; t++) {
-      clauses.push([-CARRYING(t), CARRYING(t + 1)]);
-    }
-
-    // Must be carrying at final timestep (to have delivered)
-    clauses.push([CARRYING(T - 1)]);
-
-    // When CARRYING: both carriers must be with sofa
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        // CARRYING(t) AND SOFA(t, ri) => X(c1, t, ri)
-        clauses.push([-CARRYING(t), -SOFA(t, ri), X(c1Idx, t, ri)]);
-        // CARRYING(t) AND SOFA(t, ri) => X(c2, t, ri)
-        clauses.push([-CARRYING(t), -SOFA(t, ri), X(c2Idx, t, ri)]);
-      }
-    }
-
-    // When CARRYING: carriers must be together (same room)
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        // CARRYING(t) AND X(c1, t, ri) => X(c2, t, ri)
-        clauses.push([-CARRYING(t), -X(c1Idx, t, ri), X(c2Idx, t, ri)]);
-        // CARRYING(t) AND X(c2, t, ri) => X(c1, t, ri)
-        clauses.push([-CARRYING(t), -X(c2Idx, t, ri), X(c1Idx, t, ri)]);
-      }
-    }
-
-    // When CARRYING: sofa MUST move to adjacent room (cannot stay)
-    for (let t = 0; t < T - 1; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        // CARRYING(t) AND SOFA(t, ri) => NOT SOFA(t+1, ri)
-        clauses.push([-CARRYING(t), -SOFA(t, ri), -SOFA(t + 1, ri)]);
-
-        // CARRYING(t) AND SOFA(t, ri) => SOFA(t+1, adjacent)
-        const adjacentRooms = nbr[ri];
-        if (adjacentRooms.length > 0) {
-          const nextOptions = adjacentRooms.map((rj) => SOFA(t + 1, rj));
-          clauses.push([-CARRYING(t), -SOFA(t, ri), ...nextOptions]);
-        }
-      }
-    }
-
-    // When NOT CARRYING: sofa stays in place
-    for (let t = 0; t < T - 1; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        // NOT CARRYING(t) AND SOFA(t, ri) => SOFA(t+1, ri)
-        clauses.push([CARRYING(t), -SOFA(t, ri), SOFA(t + 1, ri)]);
-      }
-    }
-
-    // Once carrying, the sofa must never revisit a room it already visited
-    for (let ri = 0; ri < R.length; ri++) {
-      for (let t1 = 0; t1 < T; t1++) {
-        for (let t2 = t1 + 1; t2 < T; t2++) {
-          // CARRYING(t1) AND SOFA(t1, ri) => NOT SOFA(t2, ri)
-          clauses.push([-CARRYING(t1), -SOFA(t1, ri), -SOFA(t2, ri)]);
-        }
-      }
-    }
-
-    // Pickup condition: CARRYING starts when both carriers are alone with sofa
-    // At pickup: exactly carriers in sofa's room (no one else)
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        // If pickup at t in room ri: no other characters present
-        for (let ci = 0; ci < C.length; ci++) {
-          if (ci === c1Idx || ci === c2Idx) continue;
-          // Pickup at t means: NOT CARRYING(t-1) AND CARRYING(t)
-          // When this happens and SOFA(t, ri), other chars can't be there
-          if (t === 0) {
-            // Special case: if carrying at t=0, pickup is at t=0
-            clauses.push([-CARRYING(0), -SOFA(0, ri), -X(ci, 0, ri)]);
-          } else {
-            // CARRYING(t-1) OR NOT CARRYING(t) OR NOT SOFA(t, ri) OR NOT X(ci, t, ri)
-            clauses.push([
-              CARRYING(t - 1),
-              -CARRYING(t),
-              -SOFA(t, ri),
-              -X(ci, t, ri),
-            ]);
-          }
-        }
-      }
-    }
-
-    // Pickup marks the start of the carriers' uninterrupted journey together.
-    // Unless they pick up at Time 1, they must be in different rooms one turn
-    // earlier. This makes later points on the same journey ineligible as a
-    // second apparent pickup time.
-    for (let t = 1; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        clauses.push([
-          CARRYING(t - 1),
-          -CARRYING(t),
-          -X(c1Idx, t - 1, ri),
-          -X(c2Idx, t - 1, ri),
-        ]);
-      }
-    }
-
-    privKeys.S18 = { carrier1, carrier2, startRoom, destRoom };
-  }
-
-  // S19: Crowded Alibi — one celebrity is in a max-sized group every timestep
-  if (config.scenarios && config.scenarios.s19) {
-    const rng = mulberry32(resolvedSeed);
-    const celeb = C[Math.floor(rng() * C.length)];
-    const celebIdx = C.indexOf(celeb);
-    // The first unique maximum cannot be the final timestep in the minimum
-    // configuration: at least one later turn is needed to eliminate whichever
-    // non-celebrity shares the reveal crowd with the celebrity.
-    const revealTime = Math.floor(rng() * (T - 1));
-
-    // Build occupancy counters for each (t, room)
-    const occ = Array.from({ length: T }, () => Array(R.length).fill(null));
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        const vars = C.map((_, ci) => X(ci, t, ri));
-        occ[t][ri] = buildTotalizer(vars, vp, clauses, `S19_OCC_${t}_${R[ri]}`);
-      }
-    }
-
-    // Cache for strict greater-than comparisons between rooms
-    const gtCache = new Map();
-    function roomGreaterThan(t, ri, rj) {
-      const key = `${t}_${ri}_${rj}`;
-      if (gtCache.has(key)) return gtCache.get(key);
-
-      const base = vp.get(`S19_GT_${t}_${R[ri]}_${R[rj]}`);
-      const witnesses = [];
-      const limit = Math.min(occ[t][ri].length, occ[t][rj].length);
-      for (let k = 0; k < limit; k++) {
-        const w = vp.get(`S19_GT_${t}_${R[ri]}_${R[rj]}_${k + 1}`);
-        witnesses.push(w);
-        clauses.push([-w, occ[t][ri][k]]);
-        clauses.push([-w, -occ[t][rj][k]]);
-        clauses.push([-w, base]);
-      }
-      clauses.push([-base, ...witnesses]);
-
-      gtCache.set(key, base);
-      return base;
-    }
-
-    // Celebrity must be in a largest group each timestep (ties allowed)
-    for (let t = 0; t < T; t++) {
-      for (let ri = 0; ri < R.length; ri++) {
-        for (let rj = 0; rj < R.length; rj++) {
-          for (let k = 0; k < occ[t][rj].length; k++) {
-            clauses.push([-X(celebIdx, t, ri), -occ[t][rj][k], occ[t][ri][k]]);
-          }
-        }
-      }
-    }
-
-    // Before the designated reveal, the celebrity's maximum-sized room must be
-    // tied with at least one other room. These helpers are implications because
-    // the containing disjunction forces one valid tied-room witness per turn.
-    for (let t = 0; t < revealTime; t++) {
-      const tieChoices = [];
-      for (let ri = 0; ri < R.length; ri++) {
-        for (let rj = 0; rj < R.length; rj++) {
-          if (ri === rj) continue;
-          const tie = vp.get(`S19_TIE_${t}_${R[ri]}_${R[rj]}`);
-          tieChoices.push(tie);
-          clauses.push([-tie, X(celebIdx, t, ri)]);
-          for (let k = 0; k < C.length; k++) {
-            clauses.push([-tie, -occ[t][ri][k], occ[t][rj][k]]);
-            clauses.push([-tie, -occ[t][rj][k], occ[t][ri][k]]);
-          }
-        }
-      }
-      clauses.push(tieChoices);
-    }
-
-    // At the chosen reveal timestep, the celebrity's room is the unique maximum.
-    const uniqueMaxChoices = [];
-    for (let ri = 0; ri < R.length; ri++) {
-      const uniq = vp.get(`S19_UNIQUE_${revealTime}_${R[ri]}`);
-      uniqueMaxChoices.push(uniq);
-      clauses.push([-uniq, X(celebIdx, revealTime, ri)]);
-      for (let rj = 0; rj < R.length; rj++) {
-        if (rj === ri) continue;
-        const gt = roomGreaterThan(revealTime, ri, rj);
-        clauses.push([-uniq, gt]);
-      }
-    }
-    clauses.push(uniqueMaxChoices);
-
-    // No other character can be in a max-sized room every timestep
-    for (let ci = 0; ci < C.length; ci++) {
-      if (ci === celebIdx) continue;
-      const escapeMoments = [];
-      for (let t = 0; t < T; t++) {
-        const notMax = vp.get(`S19_NOTMAX_${C[ci]}_${t}`);
-        escapeMoments.push(notMax);
-
-        const witnesses = [];
-        for (let ri = 0; ri < R.length; ri++) {
-          for (let rj = 0; rj < R.length; rj++) {
-            if (ri === rj) continue;
-            const w = vp.get(`S19_DIFF_${C[ci]}_${t}_${R[ri]}_${R[rj]}`);
-            witnesses.push(w);
-            clauses.push([-w, X(celebIdx, t, ri)]);
-            clauses.push([-w, X(ci, t, rj)]);
-            const gt = roomGreaterThan(t, ri, rj);
-            clauses.push([-w, gt]);
-            clauses.push([-w, notMax]);
-          }
-        }
-        if (witnesses.length) clauses.push([-notMax, ...witnesses]);
-      }
-      if (escapeMoments.length) clauses.push(escapeMoments);
-    }
+      while (members.length <= pivot) {
+        const sol = solver.solve(assumptions);
+        if (!sol) return runStats.timedOut ? null : members;
+        const block = projection.map((v) => (sol[v] ? -v : v));
+        solver.addClause([...assumptions.map((lit) => -lit), ...block]);
+        const key = block.join(",");
+        if (!found.has(key)) {
+          found.set(key, sol);
+          members.push(sol);
+        }
+      }
+      return members;
+    };
 
-    privKeys.S19 = { celebrity: celeb, revealTime };
+    let chosen = cell(0);
+    let above = null;
+    let m = 0;
+    if (chosen && chosen.length > pivot) {
+      // Binary search keeping cell(lo) above the pivot and cell(hi) within.
+      let lo = 0;
+      let hi = xorLits.length;
+      above = chosen;
+      chosen = cell(hi);
+      while (chosen && hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        const members = cell(mid);
+        if (!members) chosen = null;
+        else if (members.length > pivot) [lo, above] = [mid, members];
+        else [hi, chosen] = [mid, members];
+      }
+      m = hi;
+    }
+    for (const key of Object.keys(solver.stats)) {
+      searchStats[key] = (searchStats[key] ?? 0) + solver.stats[key];
+    }
+    const solveTime = Date.now() - solveStartTime;
+    const stats = {
+      ...searchStatistics(clauses, vp.count(), solveTime, searchStats),
+      xorConstraints: m,
+      cellSize: chosen?.length ?? 0,
+    };
+    if (!chosen) return solveOutcome(cfg, null, vp, privKeys, stats, true);
+    if (m === 0 && !chosen.length) {
+      return solveOutcome(cfg, null, vp, privKeys, stats, false);
+    }
+    // With m = 0 every schedule is in the cell: an exact uniform draw.
+    if (m === 0 || chosen.length >= pivot / 4) {
+      picked = { chosen, encoding, stats };
+      break;
+    }
+    // The hash split unevenly. Keep a fallback in case every hash does:
+    // the small cell, or else part of the cell above it.
+    picked = { chosen: chosen.length ? chosen : above, encoding, stats };
   }
 
-  return { vp, clauses, privKeys };
+  const { chosen, encoding, stats } = picked;
+  const { vp, privKeys, symmetric } = encoding;
+  let sol = chosen[Math.floor(rng() * chosen.length)];
+  if (symmetric) sol = relabelCharacters(cfg, sol, vp, privKeys, seed);
+  return solveOutcome(cfg, sol, vp, privKeys, stats, false);
 }
 
 /* ===========================
-   Decode & Clues
+   Puzzle Uniqueness
    =========================== */
 
-export function solveAndDecode(cfg) {
-  const seed = resolveSeed(cfg.seed);
-  cfg = { ...cfg, seed };
+// Each answer fact lists alternative sets of variables; the fact holds when
+// every variable of one alternative is true. Only roles the solver chooses
+// freely can be ambiguous here; seeded roles (S8 freeze, S11 key holder, S13
+// glue shoes) are pinned by buildCNF, so their scenarios list no answerFacts.
+function answerFacts(cfg, priv) {
+  return enabledScenarios(cfg).flatMap(
+    (scenario) => scenario.answerFacts?.(priv) ?? [],
+  );
+}
 
-  const { vp, clauses, privKeys } = buildCNF(cfg);
-  const numVars = vp.count();
-  const solveStartTime = Date.now();
-  // S19 already uses the scenario seed to choose the celebrity, reveal time,
-  // and shuffled room order. A fixed SAT branch order avoids coupling those
-  // choices to a particularly expensive symmetric search while preserving the
-  // scenario's seeded variety and determinism.
-  const solverSeed = cfg.scenarios?.s19 ? 0 : seed;
-  const sol = satSolve(clauses, numVars, solverSeed);
-  const solveTime = Date.now() - solveStartTime;
-  if (!sol) return null;
+function requireCount(vars, count, vp, clauses, prefix) {
+  encodeAtLeastK(vars, count, vp, clauses, `${prefix}_MIN`);
+  encodeAtMostK(vars, count, vp, clauses, `${prefix}_MAX`);
+}
 
-  const val = (name) => sol[vp.get(name)] === true;
+// Checks whether the public tables of res (byTime and visits) also fit a
+// different answer. cfg must carry the seed res was generated with. Returns
+// { unique, timedOut, alternative }, where alternative is a decoded solution
+// with another answer when one exists.
+export function checkUniqueness(res, cfg) {
+  cfg = { ...cfg, seed: resolveSeed(cfg.seed) };
+  const { vp, clauses, privKeys } = buildCNF(cfg);
+  const facts = answerFacts(cfg, res.priv);
+  if (!facts.length)
+    return { unique: true, timedOut: false, alternative: null };
 
   const R = cfg.rooms,
     C = cfg.chars,
     T = cfg.T;
-  const schedule = {};
-  for (let ci = 0; ci < C.length; ci++) {
-    const row = [];
-    for (let t = 0; t < T; t++) {
-      let found = "(none)";
-      for (let ri = 0; ri < R.length; ri++) {
-        if (val(`X_${C[ci]}_${t}_${R[ri]}`)) {
-          found = R[ri];
-          break;
-        }
-      }
-      row.push(found);
-    }
-    schedule[C[ci]] = row;
-  }
-
-  const byTime = {};
+  const X = (c, t, r) => vp.getExisting(`X_${c}_${t}_${r}`);
   for (let t = 0; t < T; t++) {
-    const counts = {};
-    R.forEach((r) => (counts[r] = 0));
-    for (let ci = 0; ci < C.length; ci++) {
-      const r = schedule[C[ci]][t];
-      if (counts[r] != null) counts[r]++;
-    }
-    byTime[t + 1] = counts;
-  }
-
-  const visits = {};
-  for (let ci = 0; ci < C.length; ci++) {
-    const v = {};
-    R.forEach((r) => (v[r] = 0));
-    for (let t = 0; t < T; t++) {
-      v[schedule[C[ci]][t]]++;
-    }
-    visits[C[ci]] = v;
-  }
-
-  const priv = {};
-  if (privKeys.PH) {
-    for (let ci = 0; ci < C.length; ci++) {
-      if (val(`PH_${C[ci]}`)) {
-        priv.phantom = C[ci];
-        break;
-      }
-    }
-  }
-  if (privKeys.L1 && privKeys.L2) {
-    let l1 = null,
-      l2 = null;
-    for (let ci = 0; ci < C.length; ci++) {
-      if (val(`L1_${C[ci]}`)) l1 = C[ci];
-      if (val(`L2_${C[ci]}`)) l2 = C[ci];
-    }
-    if (l1 && l2) priv.lovers = [l1, l2];
-  }
-  if (privKeys.V && privKeys.PT && privKeys.PR) {
-    let victim = null,
-      pTime = null,
-      pRoom = null;
-    const assassin = C[0];
-    for (let ci = 0; ci < C.length; ci++) if (val(`V_${C[ci]}`)) victim = C[ci];
-    for (let t = 0; t < T; t++) if (val(`PT_${t}`)) pTime = t + 1;
-    for (let ri = 0; ri < R.length; ri++) if (val(`PR_${R[ri]}`)) pRoom = R[ri];
-    priv.assassin = assassin;
-    priv.victim = victim;
-    priv.poison_time = pTime;
-    priv.poison_room = pRoom;
-  }
-  if (privKeys.A1 && privKeys.A2) {
-    let a1 = null,
-      a2 = null;
-    for (let ci = 0; ci < C.length; ci++) {
-      if (val(`A1_${C[ci]}`)) a1 = C[ci];
-      if (val(`A2_${C[ci]}`)) a2 = C[ci];
-    }
-    priv.bomb_duo = [a1, a2];
-  }
-  if (privKeys.AGG) {
-    let agg = null;
-    for (let ci = 0; ci < C.length; ci++) if (val(`AGG_${C[ci]}`)) agg = C[ci];
-
-    // Calculate victims (characters alone with aggrosassin)
-    const victims = new Set();
-    for (let t = 0; t < T; t++) {
-      for (const room of R) {
-        const charsInRoom = C.filter((c) => schedule[c][t] === room);
-        if (charsInRoom.length === 2 && charsInRoom.includes(agg)) {
-          const victim = charsInRoom.find((c) => c !== agg);
-          victims.add(victim);
-        }
-      }
-    }
-
-    priv.aggrosassin = agg;
-    priv.victims = Array.from(victims);
-  }
-  if (privKeys.FRZ) {
-    let freezeChar = null;
-    for (let ci = 0; ci < C.length; ci++) {
-      if (val(`FRZ_${C[ci]}`)) {
-        freezeChar = C[ci];
-        break;
-      }
-    }
-    if (freezeChar) {
-      const victims = new Set();
-      const seenVictims = new Set();
-      const killRecords = [];
-      for (let t = 0; t < T; t++) {
-        const room = schedule[freezeChar][t];
-        const charsInRoom = C.filter((c) => schedule[c][t] === room);
-        if (charsInRoom.length === 2) {
-          const victim = charsInRoom.find((c) => c !== freezeChar);
-          if (victim) {
-            victims.add(victim);
-            if (!seenVictims.has(victim)) {
-              seenVictims.add(victim);
-              killRecords.push({ victim, time: t + 1, room });
-            }
-          }
-        }
-      }
-      priv.freeze = freezeChar;
-      priv.freeze_victims = Array.from(victims);
-      priv.freeze_kills = killRecords;
-      if (privKeys.S8) {
-        priv.freeze_required_kills = privKeys.S8.requiredKillCount;
-        priv.freeze_required_times = privKeys.S8.requiredKillTimes;
-      }
-    }
-  }
-  if (privKeys.S9) {
-    let doctor = null;
-    const frozen = [];
-    const heals = [];
-    for (let ci = 0; ci < C.length; ci++) {
-      const ch = C[ci];
-      if (val(`S9Doctor_${ch}`)) doctor = ch;
-      if (val(`S9Frozen_${ch}`)) frozen.push(ch);
-      for (let t = 0; t < T; t++) {
-        if (val(`S9Heal_${ch}_${t}`)) {
-          heals.push({ character: ch, time: t + 1, room: schedule[ch][t] });
-        }
-      }
-    }
-    if (doctor) priv.doctor = doctor;
-    if (frozen.length) priv.frozen = frozen;
-    if (heals.length) priv.heals = heals;
-  }
-
-  if (privKeys.S10) {
-    const contagiousRoom =
-      typeof privKeys.S10 === "string" ? privKeys.S10 : [...R].sort()[0];
-    const infectionTimes = {};
-    const infectionTimeline = [];
-    const infected = new Set();
-
-    const markInfected = (ch, time) => {
-      if (infectionTimes[ch] != null) return false;
-      infectionTimes[ch] = time;
-      infected.add(ch);
-      return true;
-    };
-
-    for (const ch of C) {
-      infectionTimes[ch] = null;
-    }
-
-    for (let t = 0; t < T; t++) {
-      const newly = [];
-
-      for (const ch of C) {
-        if (schedule[ch][t] === contagiousRoom) {
-          if (markInfected(ch, t + 1)) newly.push(ch);
-        }
-      }
-
-      const occupantsByRoom = new Map();
-      for (const room of R) {
-        occupantsByRoom.set(room, []);
-      }
-      for (const ch of C) {
-        const room = schedule[ch][t];
-        occupantsByRoom.get(room).push(ch);
-      }
-
-      for (const room of R) {
-        const occupants = occupantsByRoom.get(room) || [];
-        const hasInfected = occupants.some((ch) => infected.has(ch));
-        if (hasInfected) {
-          for (const ch of occupants) {
-            if (markInfected(ch, t + 1)) newly.push(ch);
-          }
-        }
-      }
-
-      if (newly.length) {
-        infectionTimeline.push({ time: t + 1, characters: newly.sort() });
-      }
-    }
-
-    const infectionOrder = Object.entries(infectionTimes)
-      .filter(([, time]) => time !== null)
-      .sort((a, b) => (a[1] === b[1] ? a[0].localeCompare(b[0]) : a[1] - b[1]))
-      .map(([ch]) => ch);
-
-    const neverInfected = C.filter((ch) => infectionTimes[ch] === null);
-
-    priv.contagion = {
-      contagious_room: contagiousRoom,
-      infection_times: infectionTimes,
-      infection_order: infectionOrder,
-      infection_timeline: infectionTimeline,
-      infected_count: infected.size,
-      never_infected: neverInfected,
-    };
-  }
-
-  if (privKeys.S11) {
-    let keyHolder = null;
-    if (privKeys.S11.KH) {
-      for (let ci = 0; ci < C.length; ci++) {
-        if (val(`S11_KH_${C[ci]}`)) {
-          keyHolder = C[ci];
-          break;
-        }
-      }
-    }
-    const vaultRoom = privKeys.S11.vaultRoom || [...R].sort()[0];
-    const visitors = new Set();
-    for (const ch of C) {
-      for (let t = 0; t < T; t++) {
-        if (schedule[ch][t] === vaultRoom) visitors.add(ch);
-      }
-    }
-
-    priv.vault = {
-      key_holder: keyHolder,
-      vault_room: vaultRoom,
-      vault_visitors: Array.from(visitors).sort(),
-    };
-  }
-
-  if (privKeys.S12) {
-    const glueRoom = privKeys.S12.glueRoom;
-    const firstEntries = {};
-
-    for (const ch of C) {
-      let entryTime = null;
-      for (let t = 0; t < T; t++) {
-        const here = schedule[ch][t] === glueRoom;
-        const cameFromOther = t === 0 || schedule[ch][t - 1] !== glueRoom;
-        if (here && cameFromOther) {
-          entryTime = t + 1;
-          break;
-        }
-      }
-      firstEntries[ch] = entryTime;
+    for (const r of R) {
+      const vars = C.map((c) => X(c, t, r));
+      requireCount(vars, res.byTime[t + 1][r], vp, clauses, `UQ_T${t}_${r}`);
     }
-
-    priv.glue_room = { glue_room: glueRoom, first_entries: firstEntries };
   }
-
-  if (privKeys.S13) {
-    let gluePerson = null;
-    if (privKeys.S13.GS) {
-      for (let ci = 0; ci < C.length; ci++) {
-        if (val(`S13_GLUE_${C[ci]}`)) {
-          gluePerson = C[ci];
-          break;
-        }
-      }
-    }
-
-    const stuckRecords = [];
-    if (gluePerson) {
-      const firstStuck = new Map();
-      for (let t = 0; t < T - 1; t++) {
-        const room = schedule[gluePerson][t];
-        for (const ch of C) {
-          if (ch === gluePerson) continue;
-          if (schedule[ch][t] === room && !firstStuck.has(ch)) {
-            firstStuck.set(ch, { character: ch, time: t + 1, room });
-          }
-        }
-      }
-      stuckRecords.push(
-        ...Array.from(firstStuck.values()).sort((a, b) => a.time - b.time),
-      );
+  for (const c of C) {
+    for (const r of R) {
+      const vars = Array.from({ length: T }, (_, t) => X(c, t, r));
+      requireCount(vars, res.visits[c][r], vp, clauses, `UQ_V${c}_${r}`);
     }
-
-    priv.glue_shoes = { glue_person: gluePerson, stuck: stuckRecords };
   }
 
-  if (privKeys.S14) {
-    const simulateCurse = (origin) => {
-      let carriers = new Set([origin]);
-      const timeline = [];
-
-      for (let t = 0; t < T; t++) {
-        const byRoom = new Map();
-        for (const room of R) byRoom.set(room, []);
-        for (const ch of C) {
-          const room = schedule[ch][t];
-          byRoom.get(room).push(ch);
-        }
-
-        const updatedCarriers = new Set(carriers);
-
-        for (const room of R) {
-          const occupants = byRoom.get(room);
-          if (!occupants.length) continue;
-          const cursedHere = occupants.filter((ch) => carriers.has(ch));
-          const uncursedHere = occupants.filter((ch) => !carriers.has(ch));
-
-          if (!cursedHere.length || !uncursedHere.length) continue;
-
-          cursedHere.forEach((ch) => updatedCarriers.delete(ch));
-          uncursedHere.forEach((ch) => updatedCarriers.add(ch));
-        }
-
-        timeline.push({
-          time: t + 1,
-          cursed: Array.from(updatedCarriers).sort(),
-        });
-        carriers = updatedCarriers;
-      }
-
-      const finalCursed = timeline[timeline.length - 1]?.cursed || [];
-      return { timeline, cursedAtSix: timeline[5]?.cursed || finalCursed };
-    };
-
-    const outcomes = [];
-    const cursedAtTime6ByOrigin = {};
-    const rng = cfg.seed == null ? Math.random : mulberry32(cfg.seed);
-
-    for (const ch of C) {
-      const sim = simulateCurse(ch);
-      cursedAtTime6ByOrigin[ch] = sim.cursedAtSix;
-      outcomes.push({
-        origin: ch,
-        finalKey: sim.cursedAtSix.join("|") || "-",
-        sim,
-      });
-    }
-
-    const finalKeyCounts = outcomes.reduce((acc, outcome) => {
-      acc[outcome.finalKey] = (acc[outcome.finalKey] || 0) + 1;
-      return acc;
-    }, {});
-
-    const uniqueOutcomes = outcomes.filter(
-      (outcome) => finalKeyCounts[outcome.finalKey] === 1,
+  // Block the found answer: at least one fact must differ.
+  const blocking = [];
+  facts.forEach((alternatives, i) => {
+    const ids = alternatives.map((names) =>
+      names.map((name) => vp.getExisting(name)),
     );
-    if (uniqueOutcomes.length !== outcomes.length) {
-      throw new Error("S14 final clue does not identify a unique origin");
-    }
-    const chosen = outcomes[Math.floor(rng() * outcomes.length)];
-
-    const possibleOrigins = outcomes
-      .filter((o) => o.finalKey === chosen.finalKey)
-      .map((o) => o.origin)
-      .sort();
-
-    priv.curse_of_amarinta = {
-      origin: chosen.origin,
-      final_cursed: chosen.sim.cursedAtSix,
-      possible_origins: possibleOrigins,
-      cursed_at_time6_by_origin: cursedAtTime6ByOrigin,
-      timeline: chosen.sim.timeline,
-    };
-  }
-
-  // S15: World Travelers decoding
-  if (privKeys.S15) {
-    // Count unique rooms visited by each character
-    const visitCounts = {};
-    const roomsVisitedByChar = {};
-    for (const ch of C) {
-      const roomsVisited = new Set();
-      for (let t = 0; t < T; t++) {
-        roomsVisited.add(schedule[ch][t]);
-      }
-      visitCounts[ch] = roomsVisited.size;
-      roomsVisitedByChar[ch] = Array.from(roomsVisited).sort();
+    if (ids.length === 1) {
+      blocking.push(...ids[0].map((v) => -v));
+      return;
     }
-
-    // Calculate rooms missed by podium finishers relative to map
-    const secondMissed = R.filter(
-      (room) => !roomsVisitedByChar[privKeys.S15.second].includes(room),
-    );
-    const thirdMissed = R.filter(
-      (room) => !roomsVisitedByChar[privKeys.S15.third].includes(room),
-    );
-
-    priv.world_travelers = {
-      first: privKeys.S15.first,
-      second: privKeys.S15.second,
-      third: privKeys.S15.third,
-      targets: privKeys.S15.targets,
-      visit_counts: visitCounts,
-      rooms_visited: roomsVisitedByChar,
-      rooms_missed: {
-        first: R.filter(
-          (room) => !roomsVisitedByChar[privKeys.S15.first].includes(room),
-        ),
-        second: secondMissed,
-        third: thirdMissed,
-      },
+    const differs = vp.get(`UQ_DIFF_${i}`);
+    for (const alt of ids) clauses.push([-differs, ...alt.map((v) => -v)]);
+    blocking.push(differs);
+  });
+  clauses.push(blocking);
+
+  const solverSeed = searchSeed(cfg, cfg.seed);
+  const searchStats = {};
+  const sol = satSolve(clauses, vp.count(), solverSeed, {
+    ...seededSatOptions(cfg),
+    stats: searchStats,
+  });
+  if (!sol) {
+    return {
+      unique: !searchStats.timedOut,
+      timedOut: searchStats.timedOut,
+      alternative: null,
     };
   }
+  return {
+    unique: false,
+    timedOut: false,
+    alternative: decodeSolution(cfg, sol, vp, privKeys),
+  };
+}
 
-  // S16: Homebodies decoding
-  if (privKeys.S16) {
-    const visitCounts = {};
-    const roomsVisitedByChar = {};
-    for (const ch of C) {
-      const roomsVisited = new Set();
-      for (let t = 0; t < T; t++) {
-        roomsVisited.add(schedule[ch][t]);
-      }
-      visitCounts[ch] = roomsVisited.size;
-      roomsVisitedByChar[ch] = Array.from(roomsVisited).sort();
-    }
-
-    // Sort characters by visit count to create ranking
-    const ranking = [...C].sort((a, b) => visitCounts[a] - visitCounts[b]);
+/* ===========================
+   Unsatisfiability Explanation
+   =========================== */
 
-    priv.homebodies = {
-      homebody: privKeys.S16.homebody,
-      visit_count_assignments: privKeys.S16.visitCountAssignments,
-      visit_count_targets: privKeys.S16.visitCountTargets,
-      min_visit_count: privKeys.S16.minVisitCount,
-      actual_visit_counts: visitCounts,
-      rooms_visited: roomsVisitedByChar,
-      ranking, // sorted from fewest to most rooms visited
+// Shrinks the clause groups of an unsatisfiable configuration to a minimal
+// subset that is still contradictory. Every group gets a selector variable
+// that switches its clauses on, so each candidate subset is one solve under
+// assumptions on a single incremental solver. A group is dropped when the
+// rest stays unsatisfiable without it; groups whose check times out are kept
+// and the result is marked as not proven minimal.
+//
+// Returns { status, groups, minimal, explanation } where status is "sat",
+// "unsat" or "timeout" and groups lists the { id, description } of the rules
+// that cannot hold together.
+export function explainUnsat(cfg) {
+  cfg = { ...cfg, seed: resolveSeed(cfg.seed) };
+  const { vp, clauses, groups } = buildCNF(cfg);
+  const selectors = groups.map((g) => vp.get(`GROUP_${g.id}`));
+  const relaxed = clauses.slice();
+  groups.forEach((g, i) => {
+    for (let k = g.start; k < g.end; k++) {
+      relaxed[k] = [...clauses[k], -selectors[i]];
+    }
+  });
+
+  const solverSeed = searchSeed(cfg, cfg.seed);
+  const searchStats = {};
+  const solver = createSatSolver(relaxed, vp.count(), solverSeed, {
+    ...seededSatOptions(cfg),
+    stats: searchStats,
+  });
+  const enabled = groups.map(() => true);
+  const check = () =>
+    solver.solve(selectors.map((s, i) => (enabled[i] ? s : -s)))
+      ? "sat"
+      : searchStats.timedOut
+        ? "timeout"
+        : "unsat";
+
+  const status = check();
+  if (status !== "unsat") {
+    return {
+      status,
+      groups: [],
+      minimal: false,
+      explanation:
+        status === "sat"
+          ? "This configuration has a solution."
+          : "The solver ran out of time before finding a solution or a contradiction.",
     };
   }
 
-  // S17: Triple Alibi decoding
-  if (privKeys.S17) {
-    const trio = privKeys.S17.trio;
-
-    // Find all meetings of the trio (only when they're alone together)
-    const meetings = [];
-    const threePersonRooms = [];
-    for (let t = 0; t < T; t++) {
-      for (const room of R) {
-        const inRoom = C.filter((ch) => schedule[ch][t] === room);
-        if (inRoom.length === 3) {
-          const attendees = [...inRoom].sort();
-          threePersonRooms.push({ time: t + 1, room, attendees });
-          if (trio.every((ch) => attendees.includes(ch))) {
-            meetings.push({ time: t + 1, room, attendees });
-          }
-        }
-      }
-    }
-
-    const exclusiveTrioMeetings = [...meetings];
-
-    priv.triple_alibi = {
-      trio: trio,
-      meetings: meetings,
-      total_meetings: meetings.length,
-      three_person_rooms: threePersonRooms,
-      exclusive_trio_meetings: exclusiveTrioMeetings,
-      exclusive_trio_count: exclusiveTrioMeetings.length,
-    };
+  let minimal = true;
+  for (let i = 0; i < groups.length; i++) {
+    enabled[i] = false;
+    const result = check();
+    if (result === "unsat") continue;
+    if (result === "timeout") minimal = false;
+    enabled[i] = true;
   }
 
-  // S18: Heavy Sofa decoding
-  if (privKeys.S18) {
-    const { carrier1, carrier2, startRoom, destRoom } = privKeys.S18;
+  const core = groups
+    .filter((_, i) => enabled[i])
+    .map(({ id, description }) => ({ id, description }));
+  const lines = core.map((g) => `- ${g.description}`);
+  return {
+    status,
+    groups: core,
+    minimal,
+    explanation: [
+      minimal
+        ? "No schedule satisfies these rules together:"
+        : "No schedule satisfies these rules together (some checks timed out, so the list may not be minimal):",
+      ...lines,
+    ].join("\n"),
+  };
+}
 
-    // Decode sofa position at each timestep from SAT solution
-    const sofaPositions = [];
-    for (let t = 0; t < T; t++) {
-      for (const room of R) {
-        if (val(`S18_SOFA_${t}_${room}`)) {
-          sofaPositions.push(room);
-          break;
-        }
-      }
-    }
+/* ===========================
+   DIMACS Interchange
+   =========================== */
 
-    // Decode carrying state at each timestep
-    const carryingStates = [];
-    for (let t = 0; t < T; t++) {
-      carryingStates.push(val(`S18_CARRYING_${t}`));
-    }
+// Serializes a buildCNF result as DIMACS CNF. Comment lines of the form
+// "c var <id> <name>" map every variable back to its varPool name.
+export function toDIMACS({ vp, clauses }) {
+  const lines = ["c Kronologic scenario CNF"];
+  for (const [id, name] of vp.rev) lines.push(`c var ${id} ${name}`);
+  lines.push(`p cnf ${vp.count()} ${clauses.length}`);
+  for (const clause of clauses) lines.push(`${clause.join(" ")} 0`);
+  return lines.join("\n") + "\n";
+}
 
-    // Find pickup time (first timestep where CARRYING is true)
-    let pickupTime = null;
-    for (let t = 0; t < T; t++) {
-      if (carryingStates[t]) {
-        pickupTime = t + 1; // 1-indexed
-        break;
+// Parses DIMACS CNF text. Returns { numVars, clauses, names }, where names
+// maps variable ids to the names recorded by toDIMACS (empty for other
+// sources). A line starting with "%" ends the input, like the trailer of
+// SATLIB benchmark files ("%" and then "0").
+export function fromDIMACS(text) {
+  const names = new Map();
+  const clauses = [];
+  let numVars = null;
+  let declaredClauses = null;
+  let current = [];
+
+  for (const [index, raw] of text.split(/\r?\n/).entries()) {
+    const line = raw.trim();
+    if (line.startsWith("%")) break;
+    if (!line) continue;
+    if (line.startsWith("c")) {
+      const match = /^c var (\d+) (.+)$/.exec(line);
+      if (match) names.set(Number(match[1]), match[2]);
+      continue;
+    }
+    if (line.startsWith("p")) {
+      const header = /^p cnf (\d+) (\d+)$/.exec(line.replace(/\s+/g, " "));
+      if (!header) {
+        throw new Error(`Invalid DIMACS header on line ${index + 1}: ${line}`);
+      }
+      numVars = Number(header[1]);
+      declaredClauses = Number(header[2]);
+      continue;
+    }
+    if (numVars === null) {
+      throw new Error(`DIMACS clause before header on line ${index + 1}`);
+    }
+    for (const token of line.split(/\s+/)) {
+      const lit = Number(token);
+      if (!Number.isInteger(lit) || Math.abs(lit) > numVars) {
+        throw new Error(
+          `Invalid DIMACS literal on line ${index + 1}: ${token}`,
+        );
       }
-    }
-
-    // Build journey from sofa positions (only during carrying)
-    const journey = [];
-    let lastRoom = null;
-    for (let t = 0; t < T; t++) {
-      const room = sofaPositions[t];
-      if (room !== lastRoom) {
-        journey.push({ time: t + 1, room: room });
-        lastRoom = room;
+      if (lit === 0) {
+        clauses.push(current);
+        current = [];
+      } else {
+        current.push(lit);
       }
     }
-
-    const explanations = findHeavySofaExplanations(schedule, R, cfg.edges, C);
-    const expectedCarriers = [carrier1, carrier2].sort();
-    const expectedPath = journey.map((entry) => entry.room);
-    const explanation = explanations[0];
-    const selectedStoryIsUnique =
-      explanations.length === 1 &&
-      explanation.pickup_time === pickupTime &&
-      explanation.start_room === startRoom &&
-      explanation.carriers.every(
-        (carrier, index) => carrier === expectedCarriers[index],
-      ) &&
-      explanation.path.length === expectedPath.length &&
-      explanation.path.every((room, index) => room === expectedPath[index]);
-
-    // Ambiguous schedules are unsuitable as deduction puzzles. The generator
-    // samples multiple seeded schedules, so returning null here makes it skip
-    // this candidate and retain only stories with one complete explanation.
-    if (!selectedStoryIsUnique) return null;
-
-    priv.heavy_sofa = {
-      carriers: expectedCarriers,
-      start_room: startRoom,
-      destination: destRoom,
-      pickup_time: pickupTime,
-      journey: journey,
-      path: expectedPath,
-      sofa_positions: sofaPositions,
-      carrying_timeline: carryingStates,
-      explanation_count: explanations.length,
-    };
   }
 
-  // S19: Crowded Alibi decoding
-  if (privKeys.S19) {
-    const { celebrity, revealTime } = privKeys.S19;
-
-    const maxTimeline = [];
-    const missedMax = {};
-    for (const ch of C) {
-      if (ch !== celebrity) missedMax[ch] = [];
-    }
-
-    const uniqueReveals = [];
-
-    for (let t = 0; t < T; t++) {
-      const counts = {};
-      for (const room of R) counts[room] = 0;
-      for (const ch of C) {
-        const room = schedule[ch][t];
-        counts[room] = (counts[room] ?? 0) + 1;
-      }
-
-      const maxSize = Math.max(...Object.values(counts));
-      const maxRooms = Object.keys(counts).filter((r) => counts[r] === maxSize);
-      const celebRoom = schedule[celebrity][t];
-      const celebInMax = maxRooms.includes(celebRoom);
-
-      for (const ch of C) {
-        if (ch === celebrity) continue;
-        if (!maxRooms.includes(schedule[ch][t])) missedMax[ch].push(t + 1);
-      }
-
-      if (maxRooms.length === 1 && celebRoom === maxRooms[0]) {
-        uniqueReveals.push({ time: t + 1, room: maxRooms[0], size: maxSize });
-      }
-
-      maxTimeline.push({
-        time: t + 1,
-        size: maxSize,
-        rooms: maxRooms,
-        celebrity_room: celebRoom,
-        celebrity_in_max: celebInMax,
-      });
-    }
-
-    const uniqueReveal = uniqueReveals.find(
-      (reveal) => reveal.time === revealTime + 1,
+  if (numVars === null) throw new Error("Missing DIMACS header");
+  if (current.length) clauses.push(current);
+  if (clauses.length !== declaredClauses) {
+    throw new Error(
+      `DIMACS header declares ${declaredClauses} clauses but found ${clauses.length}`,
     );
-
-    priv.crowded_alibi = {
-      celebrity,
-      max_timeline: maxTimeline,
-      unique_reveal: uniqueReveal,
-      unique_reveals: uniqueReveals,
-      designated_reveal_time: revealTime + 1,
-      missed_max: missedMax,
-    };
   }
+  return { numVars, clauses, names };
+}
 
-  // S3: Singer's Jewels decoding - compute jewel passing chain
-  if (cfg.scenarios && cfg.scenarios.s3) {
-    const jewelRoom = [...R].sort()[0];
-    const pickupStart = privKeys.S3?.pickupStart ?? 1;
-
-    // Find who visits the jewel room alone first (earliest timestep)
-    let firstThief = null;
-    let firstThiefTime = null;
-    for (let t = 0; t < T; t++) {
-      const visitorsAtT = C.filter((ch) => schedule[ch][t] === jewelRoom);
-      if (visitorsAtT.length === 1) {
-        firstThief = visitorsAtT[0];
-        firstThiefTime = t + 1;
-        break;
-      }
-    }
-
-    // Simulate jewel passing: jewels pass when holder meets exactly one other person
-    const passingChain = [];
-    let currentHolder = firstThief;
-
-    if (currentHolder) {
-      passingChain.push({
-        holder: currentHolder,
-        time: firstThiefTime,
-        room: jewelRoom,
-        event: "pickup",
-      });
-
-      for (let t = firstThiefTime - 1; t < T; t++) {
-        if (!currentHolder) break;
-        const holderRoom = schedule[currentHolder][t];
-        const occupants = C.filter((ch) => schedule[ch][t] === holderRoom);
-
-        // Jewels pass when holder meets exactly one other person (2 people total in room)
-        if (occupants.length === 2) {
-          const otherPerson = occupants.find((ch) => ch !== currentHolder);
-          if (otherPerson && otherPerson !== currentHolder) {
-            passingChain.push({
-              from: currentHolder,
-              to: otherPerson,
-              time: t + 1,
-              room: holderRoom,
-              event: "pass",
-            });
-            currentHolder = otherPerson;
-          }
-        }
-      }
-    }
-
-    // Who has the jewels at the end?
-    const finalHolder = currentHolder;
+// Reads the model printed by an external solver: "v" lines (or bare literal
+// lists) terminated by 0. Returns an assignment array shaped like satSolve's
+// result, or null when the solver reported UNSATISFIABLE. Variables the
+// solver left out are false.
+export function parseDIMACSModel(text, numVars) {
+  const out = new Array(numVars + 1).fill(false);
+  out[0] = undefined;
+  let sawLiteral = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (/^s\s+UNSAT/i.test(line)) return null;
+    if (!line || line.startsWith("c") || line.startsWith("s")) continue;
+    const body = line.startsWith("v") ? line.slice(1) : line;
+    for (const token of body.trim().split(/\s+/)) {
+      const lit = Number(token);
+      if (!Number.isInteger(lit) || Math.abs(lit) > numVars) {
+        throw new Error(`Invalid model literal: ${token}`);
+      }
+      if (lit !== 0) {
+        out[Math.abs(lit)] = lit > 0;
+        sawLiteral = true;
+      }
+    }
+  }
+  if (!sawLiteral) throw new Error("No model literals found");
+  return out;
+}
 
-    priv.singers_jewels = {
-      jewel_room: jewelRoom,
-      first_thief: firstThief,
-      first_thief_time: firstThiefTime,
-      pickup_start: pickupStart,
-      passing_chain: passingChain,
-      final_holder: finalHolder,
-      total_passes: passingChain.filter((p) => p.event === "pass").length,
-    };
+// Decodes an externally found model of buildCNF(cfg) through the same path
+// solveAndDecode uses. cfg must carry the seed the CNF was exported with.
+// Throws when the model does not satisfy the encoding.
+export function decodeModel(cfg, model) {
+  cfg = { ...cfg, seed: resolveSeed(cfg.seed) };
+  const { vp, clauses, privKeys } = buildCNF(cfg);
+  if (model.length !== vp.count() + 1) {
+    throw new Error(
+      `Model covers ${model.length - 1} variables but the encoding has ${vp.count()}`,
+    );
   }
-
-  const stats = {
-    totalVars: numVars,
-    totalClauses: clauses.length,
-    avgClauseLength:
-      clauses.length > 0
-        ? clauses.reduce((sum, c) => sum + c.length, 0) / clauses.length
-        : 0,
-    solveTimeMs: solveTime,
-  };
-
-  return { schedule, byTime, visits, priv, meta: { vars: numVars }, stats };
+  const holds = (lit) => (lit > 0 ? model[lit] : !model[-lit]);
+  const violated = clauses.findIndex((clause) => !clause.some(holds));
+  if (violated !== -1) {
+    throw new Error(`Model violates clause ${violated + 1}`);
+  }
+  return decodeSolution(cfg, model, vp, privKeys);
 }
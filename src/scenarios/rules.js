@@ -0,0 +1,12 @@
+/* House Rules: the rule program in config.scenarios.rules (see rules.js), so
+   a game master can add their own rules from the generator without defining
+   a scenario. Setting the text enables the scenario. */
+
+import { ruleScenario } from "../rules.js";
+
+export const houseRules = ruleScenario({
+  id: "rules",
+  name: "House Rules",
+  summary: "Your own rules, written in the rule language.",
+  rules: (config) => config.scenarios.rules,
+});
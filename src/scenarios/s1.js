@@ -0,0 +1,252 @@
+/* S1: Poison — the assassin (first character) is alone with exactly one
+   victim at the poisoning. scenarios.s1_room and scenarios.s1_time may fix
+   where and when it happens. */
+
+import { exactlyOne } from "../cnf.js";
+import { companions, occupants } from "../schedule.js";
+
+function hasConfiguredValue(value) {
+  return value !== null && value !== undefined && value !== "";
+}
+
+export const s1 = {
+  id: "s1",
+  name: "Poison Mystery",
+  summary: "Someone did something. Who is the assassin?",
+  scoreKey: "poison",
+  validate(config) {
+    const requestedRoom = config.scenarios.s1_room;
+    if (
+      hasConfiguredValue(requestedRoom) &&
+      !config.rooms?.includes(requestedRoom)
+    ) {
+      throw new Error(
+        `S1 poison room must match a configured room: ${requestedRoom}`,
+      );
+    }
+
+    const requestedTimeValue = config.scenarios.s1_time;
+    if (hasConfiguredValue(requestedTimeValue)) {
+      const requestedTime = Number(requestedTimeValue);
+      if (
+        !Number.isInteger(requestedTime) ||
+        requestedTime < 1 ||
+        requestedTime > config.T
+      ) {
+        throw new Error(
+          `S1 poison time must be an integer from 1 to ${config.T}`,
+        );
+      }
+    }
+  },
+  encode({ config, vp, clauses, X, R, C, T, Ridx, group, privKeys }) {
+    group(
+      "s1-poison",
+      "S1: the assassin is alone with exactly one victim at the poisoning",
+    );
+    const assassinIdx = 0;
+
+    const V = C.map((_, ci) => vp.get(`V_${C[ci]}`));
+    const PT = Array.from({ length: T }, (_, t) => vp.get(`PT_${t}`));
+    const PR = R.map((_, ri) => vp.get(`PR_${R[ri]}`));
+
+    clauses.push(...exactlyOne(V));
+    clauses.push(...exactlyOne(PT));
+    clauses.push(...exactlyOne(PR));
+
+    clauses.push([-V[assassinIdx]]);
+
+    if (hasConfiguredValue(config.scenarios.s1_room)) {
+      const ri = Ridx.get(config.scenarios.s1_room);
+      clauses.push([PR[ri]]);
+    }
+    if (hasConfiguredValue(config.scenarios.s1_time)) {
+      const requestedTime = Number(config.scenarios.s1_time);
+      clauses.push([PT[requestedTime - 1]]);
+    }
+
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        for (let vi = 0; vi < C.length; vi++) {
+          if (vi === assassinIdx) continue;
+
+          clauses.push([-PT[t], -PR[ri], -V[vi], X(assassinIdx, t, ri)]);
+          clauses.push([-PT[t], -PR[ri], -V[vi], X(vi, t, ri)]);
+
+          for (let ci = 0; ci < C.length; ci++) {
+            if (ci === assassinIdx || ci === vi) continue;
+            clauses.push([-PT[t], -PR[ri], -V[vi], -X(ci, t, ri)]);
+          }
+        }
+      }
+    }
+
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        const isPoisonMoment = vp.get(`isPoisonMoment_${t}_${ri}`);
+
+        const poisonClauses = [];
+        for (let vi = 0; vi < C.length; vi++) {
+          if (vi === assassinIdx) continue;
+          const thisPoison = vp.get(`thisPoison_${t}_${ri}_${vi}`);
+          clauses.push([-thisPoison, PT[t]]);
+          clauses.push([-thisPoison, PR[ri]]);
+          clauses.push([-thisPoison, V[vi]]);
+          clauses.push([-PT[t], -PR[ri], -V[vi], thisPoison]);
+          poisonClauses.push(thisPoison);
+        }
+        clauses.push([-isPoisonMoment, ...poisonClauses]);
+        for (const tp of poisonClauses) {
+          clauses.push([-tp, isPoisonMoment]);
+        }
+
+        for (let ci = 0; ci < C.length; ci++) {
+          if (ci === assassinIdx) continue;
+
+          const exactlyOne = vp.get(`exactlyOne_${t}_${ri}_${ci}`);
+
+          clauses.push([-exactlyOne, X(assassinIdx, t, ri)]);
+          clauses.push([-exactlyOne, X(ci, t, ri)]);
+          for (let ck = 0; ck < C.length; ck++) {
+            if (ck === assassinIdx || ck === ci) continue;
+            clauses.push([-exactlyOne, -X(ck, t, ri)]);
+          }
+
+          const others = [];
+          for (let ck = 0; ck < C.length; ck++) {
+            if (ck === assassinIdx || ck === ci) continue;
+            others.push(X(ck, t, ri));
+          }
+          clauses.push([
+            exactlyOne,
+            -X(assassinIdx, t, ri),
+            -X(ci, t, ri),
+            ...others,
+          ]);
+
+          clauses.push([-exactlyOne, isPoisonMoment]);
+        }
+      }
+    }
+    privKeys.V = V;
+    privKeys.PT = PT;
+    privKeys.PR = PR;
+  },
+  decode({ R, C, T, val, priv }) {
+    let victim = null,
+      pTime = null,
+      pRoom = null;
+    const assassin = C[0];
+    for (let ci = 0; ci < C.length; ci++) if (val(`V_${C[ci]}`)) victim = C[ci];
+    for (let t = 0; t < T; t++) if (val(`PT_${t}`)) pTime = t + 1;
+    for (let ri = 0; ri < R.length; ri++) if (val(`PR_${R[ri]}`)) pRoom = R[ri];
+    priv.assassin = assassin;
+    priv.victim = victim;
+    priv.poison_time = pTime;
+    priv.poison_room = pRoom;
+  },
+  // The assassin is always the first character.
+  roles: ({ C }) => [C.map((_, ci) => ci === 0)],
+  culpritVariables: (privKeys) => [
+    ...privKeys.V,
+    ...privKeys.PT,
+    ...privKeys.PR,
+  ],
+  answerFacts: (priv) => [
+    [
+      [
+        `V_${priv.victim}`,
+        `PT_${priv.poison_time - 1}`,
+        `PR_${priv.poison_room}`,
+      ],
+    ],
+  ],
+  score(res, cfg) {
+    if (!res.priv.assassin) return null;
+    const assassin = res.priv.assassin;
+    const victim = res.priv.victim;
+    const T = cfg.T;
+    const chars = cfg.chars;
+    let score = 0;
+    for (let i = 0; i < chars.length; i++) {
+      for (let j = i + 1; j < chars.length; j++) {
+        const c1 = chars[i],
+          c2 = chars[j];
+        if (
+          (c1 === assassin && c2 === victim) ||
+          (c1 === victim && c2 === assassin)
+        )
+          continue;
+        for (let t = 0; t < T; t++) {
+          const room1 = res.schedule[c1][t];
+          const room2 = res.schedule[c2][t];
+          if (room1 === room2) {
+            const othersInRoom = chars.filter(
+              (c) => c !== c1 && c !== c2 && res.schedule[c][t] === room1,
+            ).length;
+            if (othersInRoom === 0) score += 60;
+          }
+        }
+      }
+    }
+    return score;
+  },
+  describe(res) {
+    const { assassin, victim, poison_time, poison_room } = res.priv;
+    return [
+      {
+        type: "assassin",
+        char: assassin,
+        text: `Poisoned ${victim} @ t=${poison_time}, ${poison_room}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { rooms, chars, T, scenarios }) {
+    const assassin = chars[0];
+    const { victim, poison_time: time, poison_room: room } = priv;
+    const violations = [];
+    if (priv.assassin !== assassin) {
+      violations.push(`the assassin must be the first character, ${assassin}`);
+    }
+    if (!chars.includes(victim) || victim === assassin) {
+      violations.push(`the victim must be another character: ${victim}`);
+    }
+    if (!Number.isInteger(time) || time < 1 || time > T) {
+      violations.push(`the poison time is not a timestep: ${time}`);
+    }
+    if (!rooms.includes(room)) {
+      violations.push(`the poison room is not a room: ${room}`);
+    }
+    if (violations.length) return violations;
+
+    if (hasConfiguredValue(scenarios.s1_room) && room !== scenarios.s1_room) {
+      violations.push(`the poisoning must happen in ${scenarios.s1_room}`);
+    }
+    if (
+      hasConfiguredValue(scenarios.s1_time) &&
+      time !== Number(scenarios.s1_time)
+    ) {
+      violations.push(`the poisoning must happen at t=${scenarios.s1_time}`);
+    }
+    const present = occupants(schedule, chars, time - 1, room);
+    if (
+      present.length !== 2 ||
+      !present.includes(assassin) ||
+      !present.includes(victim)
+    ) {
+      violations.push(
+        `only ${assassin} and ${victim} may be in ${room} at the poisoning, t=${time}`,
+      );
+    }
+    for (let t = 0; t < T; t++) {
+      if (t === time - 1) continue;
+      const others = companions(schedule, chars, t, assassin);
+      if (others.length === 1) {
+        violations.push(
+          `${assassin} is alone with ${others[0]} at t=${t + 1}, outside the poisoning`,
+        );
+      }
+    }
+    return violations;
+  },
+};
@@ -0,0 +1,164 @@
+/* S10: Contagion — the alphabetically first room infects everyone who enters
+   it, and the infected spread it to everyone they share a room with. */
+
+import { roomsAt } from "../schedule.js";
+
+export const s10 = {
+  id: "s10",
+  name: "Contagion",
+  summary: "First room infects entrants; track infection order.",
+  scoreKey: "contagion",
+  encode({ clauses, X, R, C, T, Ridx, group, privKeys }) {
+    if (!R.length) throw new Error("S10 requires at least one room");
+    const contagionRoom = [...R].sort()[0];
+    const ri = Ridx.get(contagionRoom);
+    if (ri == null) throw new Error("S10 contagious room missing");
+    group("s10-contagion", "S10: someone enters the contagious room");
+    const mustVisitContagious = [];
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T; t++) {
+        mustVisitContagious.push(X(ci, t, ri));
+      }
+    }
+    clauses.push(mustVisitContagious);
+    privKeys.S10 = contagionRoom;
+  },
+  decode({ R, C, T, schedule, privKeys, priv }) {
+    const contagiousRoom =
+      typeof privKeys.S10 === "string" ? privKeys.S10 : [...R].sort()[0];
+    const infectionTimes = {};
+    const infectionTimeline = [];
+    const infected = new Set();
+
+    const markInfected = (ch, time) => {
+      if (infectionTimes[ch] != null) return false;
+      infectionTimes[ch] = time;
+      infected.add(ch);
+      return true;
+    };
+
+    for (const ch of C) {
+      infectionTimes[ch] = null;
+    }
+
+    for (let t = 0; t < T; t++) {
+      const newly = [];
+
+      for (const ch of C) {
+        if (schedule[ch][t] === contagiousRoom) {
+          if (markInfected(ch, t + 1)) newly.push(ch);
+        }
+      }
+
+      const occupantsByRoom = new Map();
+      for (const room of R) {
+        occupantsByRoom.set(room, []);
+      }
+      for (const ch of C) {
+        const room = schedule[ch][t];
+        occupantsByRoom.get(room).push(ch);
+      }
+
+      for (const room of R) {
+        const occupants = occupantsByRoom.get(room) || [];
+        const hasInfected = occupants.some((ch) => infected.has(ch));
+        if (hasInfected) {
+          for (const ch of occupants) {
+            if (markInfected(ch, t + 1)) newly.push(ch);
+          }
+        }
+      }
+
+      if (newly.length) {
+        infectionTimeline.push({ time: t + 1, characters: newly.sort() });
+      }
+    }
+
+    const infectionOrder = Object.entries(infectionTimes)
+      .filter(([, time]) => time !== null)
+      .sort((a, b) => (a[1] === b[1] ? a[0].localeCompare(b[0]) : a[1] - b[1]))
+      .map(([ch]) => ch);
+
+    const neverInfected = C.filter((ch) => infectionTimes[ch] === null);
+
+    priv.contagion = {
+      contagious_room: contagiousRoom,
+      infection_times: infectionTimes,
+      infection_order: infectionOrder,
+      infection_timeline: infectionTimeline,
+      infected_count: infected.size,
+      never_infected: neverInfected,
+    };
+  },
+  score(res, cfg) {
+    const contagion = res.priv.contagion;
+    if (!contagion) return null;
+    const infectedCount = contagion.infected_count || 0;
+    const totalChars = cfg.chars.length || 1;
+    const infectionTimes = contagion.infection_times || {};
+    const timeline = contagion.infection_timeline || [];
+    let score = (infectedCount / totalChars) * 180;
+    const uniqueTimes = new Set(Object.values(infectionTimes).filter(Boolean))
+      .size;
+    score += uniqueTimes * 20;
+    for (const step of timeline) {
+      const newCount = step.characters?.length || 0;
+      if (newCount === 0) continue;
+      score += newCount === 1 ? 25 : Math.max(8, 18 - newCount * 2);
+    }
+    if (timeline.length) {
+      const avgNewPerStep = infectedCount / timeline.length;
+      if (avgNewPerStep <= 1.25) score += 35;
+      else if (avgNewPerStep <= 2.5) score += 18;
+      else score += 8;
+    }
+    return score;
+  },
+  describe(res) {
+    const info = res.priv.contagion;
+    if (!info) return [];
+    return [
+      {
+        type: "contagion",
+        text: `Contagious room: ${info.contagious_room}; Infected: ${info.infection_order?.join(", ") || "none"}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { rooms, chars, T }) {
+    const contagion = priv.contagion;
+    const room = [...rooms].sort()[0];
+    const violations = [];
+    if (contagion.contagious_room !== room) {
+      violations.push(
+        `the contagious room must be the alphabetically first room, ${room}`,
+      );
+    }
+    if (!chars.some((ch) => schedule[ch].includes(room))) {
+      violations.push(`nobody enters the contagious room ${room}`);
+    }
+
+    // Replay the infection: the contagious room infects everyone in it, then
+    // every room with an infected character infects all of its occupants.
+    const infectedAt = new Map();
+    for (let t = 0; t < T; t++) {
+      for (const [here, present] of roomsAt(schedule, chars, t)) {
+        const infected =
+          here === room || present.some((ch) => infectedAt.has(ch));
+        if (!infected) continue;
+        for (const ch of present)
+          if (!infectedAt.has(ch)) infectedAt.set(ch, t + 1);
+      }
+    }
+    for (const ch of chars) {
+      const time = infectedAt.get(ch) ?? null;
+      if (contagion.infection_times[ch] !== time) {
+        violations.push(
+          time == null
+            ? `${ch} is never infected`
+            : `${ch} is first infected at t=${time}`,
+        );
+      }
+    }
+    return violations;
+  },
+};
@@ -0,0 +1,297 @@
+/* S11: The Vault — the alphabetically first room may only be occupied while
+   the seeded key holder is inside. */
+
+import { encodeAtLeastK, exactlyOne } from "../cnf.js";
+import { mulberry32 } from "../random.js";
+import { occupants } from "../schedule.js";
+
+export const s11 = {
+  id: "s11",
+  name: "The Vault",
+  summary: "The Vault opens only when its key holder is present.",
+  bakesSeed: true,
+  scoreKey: "vault",
+  validate(config) {
+    if ((config.chars?.length ?? 0) < 3) {
+      throw new Error("S11 requires at least three characters");
+    }
+    if ((config.rooms?.length ?? 0) < 3) {
+      throw new Error("S11 requires at least three rooms");
+    }
+    if (!Number.isInteger(config.T) || config.T < 3) {
+      throw new Error("S11 requires at least three timesteps");
+    }
+    // The key holder never visits the Vault alone.
+    const vaultRoom = [...config.rooms].sort()[0];
+    if ((config.roomInfo?.[vaultRoom]?.capacity ?? Infinity) < 2) {
+      throw new Error(
+        `S11 requires the Vault (${vaultRoom}) to hold the key holder and a companion`,
+      );
+    }
+  },
+  encode({ seed, vp, clauses, X, R, C, T, Ridx, group, privKeys }) {
+    if (!R.length) throw new Error("S11 requires at least one room");
+
+    const vaultRoom = [...R].sort()[0];
+    const vr = Ridx.get(vaultRoom);
+    if (vr == null) throw new Error("S11 vault room missing from map");
+
+    const rng = mulberry32(seed);
+    const keyHolderIdx = Math.floor(rng() * C.length);
+
+    group(
+      "s11-vault-entry",
+      "S11: nobody is in the Vault without the key holder",
+    );
+    const KH = C.map((_, ci) => vp.get(`S11_KH_${C[ci]}`));
+    clauses.push(...exactlyOne(KH));
+    clauses.push([KH[keyHolderIdx]]);
+
+    // Every other Vault occupant requires the key holder to be present.
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let cj = 0; cj < C.length; cj++) {
+        if (ci === cj) continue;
+        for (let t = 0; t < T; t++) {
+          clauses.push([-KH[ci], -X(cj, t, vr), X(ci, t, vr)]);
+        }
+      }
+    }
+
+    group(
+      "s11-vault-visits",
+      "S11: the key holder's Vault visits follow an identifiable pattern",
+    );
+    // Track Vault co-visits so the holder is uniquely identifiable from a
+    // non-trivial pattern of accompanied visits.
+    const withOther = Array.from({ length: C.length }, () => []);
+    const khWithoutCompanion = Array.from({ length: C.length }, () =>
+      Array.from({ length: C.length }, () => []),
+    );
+    const compVars = Array.from({ length: C.length }, () =>
+      Array.from({ length: C.length }, () => null),
+    );
+    const compDetails = Array.from({ length: C.length }, () =>
+      Array.from({ length: C.length }, () => []),
+    );
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T; t++) {
+        const otherVars = [];
+        for (let cj = 0; cj < C.length; cj++) {
+          if (ci === cj) continue;
+          otherVars.push(X(cj, t, vr));
+        }
+
+        const someOther = vp.get(`S11_someOther_${C[ci]}_${t}`);
+        if (otherVars.length) {
+          clauses.push([-someOther, ...otherVars]);
+          for (const ov of otherVars) clauses.push([-ov, someOther]);
+        } else {
+          clauses.push([-someOther]);
+        }
+
+        // A solo Vault visit would reveal the holder immediately, so every
+        // holder visit must include at least one companion.
+        clauses.push([-KH[ci], -X(ci, t, vr), someOther]);
+
+        const withO = vp.get(`S11_withOther_${C[ci]}_${t}`);
+        withOther[ci].push(withO);
+        clauses.push([-withO, KH[ci]]);
+        clauses.push([-withO, X(ci, t, vr)]);
+        clauses.push([-withO, someOther]);
+        clauses.push([-KH[ci], -X(ci, t, vr), -someOther, withO]);
+
+        for (let cj = 0; cj < C.length; cj++) {
+          if (ci === cj) continue;
+          const pair = vp.get(`S11_pair_${C[ci]}_${C[cj]}_${t}`);
+          compDetails[ci][cj].push(pair);
+          clauses.push([-pair, KH[ci]]);
+          clauses.push([-pair, X(ci, t, vr)]);
+          clauses.push([-pair, X(cj, t, vr)]);
+          clauses.push([-KH[ci], -X(ci, t, vr), -X(cj, t, vr), pair]);
+
+          const khOnly = vp.get(`S11_without_${C[ci]}_${C[cj]}_${t}`);
+          khWithoutCompanion[ci][cj].push(khOnly);
+          clauses.push([-khOnly, KH[ci]]);
+          clauses.push([-khOnly, X(ci, t, vr)]);
+          clauses.push([-khOnly, -X(cj, t, vr)]);
+          clauses.push([-KH[ci], -X(ci, t, vr), X(cj, t, vr), khOnly]);
+        }
+      }
+    }
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let cj = 0; cj < C.length; cj++) {
+        if (ci === cj) continue;
+        const comp = vp.get(`S11_comp_${C[ci]}_${C[cj]}`);
+        compVars[ci][cj] = comp;
+        const details = compDetails[ci][cj];
+        clauses.push([-comp, KH[ci]]);
+        if (details.length) {
+          clauses.push([-comp, ...details]);
+          for (const d of details) clauses.push([-d, comp]);
+        } else {
+          clauses.push([-comp]);
+        }
+      }
+
+      encodeAtLeastK(
+        withOther[ci],
+        2,
+        vp,
+        clauses,
+        `S11_${C[ci]}_AccompaniedVisitTotal`,
+        KH[ci],
+      );
+
+      const companions = compVars[ci].filter(
+        (v, idx) => idx !== ci && v !== null,
+      );
+      encodeAtLeastK(
+        companions,
+        2,
+        vp,
+        clauses,
+        `S11_${C[ci]}_CompanionTotal`,
+        KH[ci],
+      );
+
+      for (let cj = 0; cj < C.length; cj++) {
+        if (ci === cj) continue;
+        const khOnlyGaps = khWithoutCompanion[ci][cj];
+        if (khOnlyGaps.length === 0) {
+          clauses.push([-KH[ci]]);
+        } else {
+          clauses.push([-KH[ci], ...khOnlyGaps]);
+        }
+      }
+    }
+
+    privKeys.S11 = { KH, vaultRoom };
+  },
+  decode({ R, C, T, val, schedule, privKeys, priv }) {
+    let keyHolder = null;
+    if (privKeys.S11.KH) {
+      for (let ci = 0; ci < C.length; ci++) {
+        if (val(`S11_KH_${C[ci]}`)) {
+          keyHolder = C[ci];
+          break;
+        }
+      }
+    }
+    const vaultRoom = privKeys.S11.vaultRoom || [...R].sort()[0];
+    const visitors = new Set();
+    for (const ch of C) {
+      for (let t = 0; t < T; t++) {
+        if (schedule[ch][t] === vaultRoom) visitors.add(ch);
+      }
+    }
+
+    priv.vault = {
+      key_holder: keyHolder,
+      vault_room: vaultRoom,
+      vault_visitors: Array.from(visitors).sort(),
+    };
+  },
+  roles: ({ privKeys }) => [privKeys.S11.KH],
+  culpritVariables: (privKeys) => privKeys.S11.KH,
+  score(res, cfg) {
+    const vault = res.priv.vault;
+    if (!vault) return null;
+    const vaultRoom = vault.vault_room || [...cfg.rooms].sort()[0];
+    const keyHolder = vault.key_holder;
+    const chars = cfg.chars;
+    const T = cfg.T;
+    let withOthers = 0;
+    let maxGroup = 0;
+    let khVisits = 0;
+    let totalVisits = 0;
+    const companions = new Set();
+    const groupPatterns = new Set();
+    for (let t = 0; t < T; t++) {
+      const occupants = chars.filter((c) => res.schedule[c][t] === vaultRoom);
+      if (occupants.length) {
+        totalVisits++;
+        groupPatterns.add(occupants.slice().sort().join(","));
+      }
+      if (occupants.includes(keyHolder)) {
+        khVisits++;
+        if (occupants.length > 1) {
+          withOthers++;
+          occupants
+            .filter((c) => c !== keyHolder)
+            .forEach((c) => companions.add(c));
+        }
+      }
+      if (occupants.length > maxGroup) maxGroup = occupants.length;
+    }
+    let score = 30;
+    score += companions.size * 12;
+    score += withOthers * 8;
+    score += Math.max(0, khVisits - withOthers) * 4;
+    score += Math.max(0, maxGroup - 2) * 6;
+    score += Math.min(groupPatterns.size, 6) * 3;
+    return score;
+  },
+  describe(res) {
+    const info = res.priv.vault;
+    if (!info) return [];
+    return [
+      {
+        type: "vault",
+        char: info.key_holder,
+        text: `Vault room: ${info.vault_room}; Entrants: ${info.vault_visitors?.join(", ") || "none"}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { rooms, chars, T }) {
+    const { key_holder: holder, vault_room: vaultRoom } = priv.vault;
+    const vault = [...rooms].sort()[0];
+    if (!chars.includes(holder)) {
+      return [`the key holder must be a character: ${holder}`];
+    }
+    const violations = [];
+    if (vaultRoom !== vault) {
+      violations.push(
+        `the Vault must be the alphabetically first room, ${vault}`,
+      );
+    }
+    const openings = [];
+    const companionsSeen = new Set();
+    for (let t = 0; t < T; t++) {
+      const present = occupants(schedule, chars, t, vault);
+      if (!present.length) continue;
+      if (!present.includes(holder)) {
+        violations.push(
+          `${present.join(", ")} in the Vault at t=${t + 1} without the key holder ${holder}`,
+        );
+        continue;
+      }
+      if (present.length === 1) {
+        violations.push(
+          `the key holder ${holder} is alone in the Vault at t=${t + 1}`,
+        );
+      }
+      openings.push(present);
+      for (const ch of present) if (ch !== holder) companionsSeen.add(ch);
+    }
+    const accompanied = openings.filter((present) => present.length > 1).length;
+    if (accompanied < 2) {
+      violations.push(
+        `the key holder ${holder} enters the Vault with company on ${accompanied} timestep(s), fewer than two`,
+      );
+    }
+    if (companionsSeen.size < 2) {
+      violations.push(
+        `the key holder ${holder} has ${companionsSeen.size} distinct Vault companion(s), fewer than two`,
+      );
+    }
+    for (const ch of chars) {
+      if (ch === holder) continue;
+      if (openings.every((present) => present.includes(ch))) {
+        violations.push(`${ch} is at every Vault opening, like the key holder`);
+      }
+    }
+    return violations;
+  },
+};
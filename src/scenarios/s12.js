@@ -0,0 +1,215 @@
+/* S12: Glue Room — entering the seeded glue room holds a character there for
+   exactly one extra turn. */
+
+import { atLeastOne } from "../cnf.js";
+import { mulberry32 } from "../random.js";
+import { unexplainedStays } from "../schedule.js";
+
+export const s12 = {
+  id: "s12",
+  name: "Glue Room",
+  summary: "Sticky room forces two-turn visits.",
+  allowsStaying: true,
+  bakesSeed: true,
+  scoreKey: "glueRoom",
+  encode({ seed, vp, clauses, X, R, C, T, Ridx, group, privKeys }) {
+    group(
+      "s12-glue-room",
+      "S12: entering the glue room holds a character for one extra turn",
+    );
+    if (!R.length) throw new Error("S12 requires at least one room");
+    if (T < 2) throw new Error("S12 requires at least two timesteps");
+
+    const rng = mulberry32(seed);
+    const glueRoom = R[Math.floor(rng() * R.length)];
+    const gr = Ridx.get(glueRoom);
+    if (gr == null) throw new Error("S12 glue room missing from map");
+
+    const entriesBeforeFinal = [];
+    const entryVars = Array.from({ length: C.length }, () =>
+      Array(T).fill(null),
+    );
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T; t++) {
+        const entry = vp.get(`S12Entry_${C[ci]}_${t}`);
+        entryVars[ci][t] = entry;
+
+        clauses.push([-entry, X(ci, t, gr)]);
+        if (t === 0) {
+          clauses.push([-X(ci, t, gr), entry]);
+        } else {
+          clauses.push([-entry, -X(ci, t - 1, gr)]);
+          clauses.push([-X(ci, t, gr), X(ci, t - 1, gr), entry]);
+        }
+
+        if (t < T - 1) {
+          clauses.push([-entry, X(ci, t + 1, gr)]);
+          entriesBeforeFinal.push(entry);
+        } else {
+          clauses.push([-entry]);
+        }
+        if (t < T - 2) {
+          clauses.push([-entry, -X(ci, t + 2, gr)]);
+        }
+      }
+    }
+
+    // Staying is legal only for the one transition forced by entering the
+    // glue room. Everyone otherwise follows the normal always-move rule.
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T - 1; t++) {
+        for (let ri = 0; ri < R.length; ri++) {
+          const clause = [-X(ci, t, ri), -X(ci, t + 1, ri)];
+          if (ri === gr) clause.push(entryVars[ci][t]);
+          clauses.push(clause);
+        }
+      }
+    }
+
+    if (entriesBeforeFinal.length === 0) {
+      throw new Error(
+        "S12 requires at least one possible glue entry before final timestep",
+      );
+    }
+    group(
+      "s12-entry",
+      "S12: someone enters the glue room before the final timestep",
+    );
+    clauses.push(...atLeastOne(entriesBeforeFinal));
+
+    privKeys.S12 = { glueRoom };
+  },
+  decode({ C, T, schedule, privKeys, priv }) {
+    const glueRoom = privKeys.S12.glueRoom;
+    const firstEntries = {};
+
+    for (const ch of C) {
+      let entryTime = null;
+      for (let t = 0; t < T; t++) {
+        const here = schedule[ch][t] === glueRoom;
+        const cameFromOther = t === 0 || schedule[ch][t - 1] !== glueRoom;
+        if (here && cameFromOther) {
+          entryTime = t + 1;
+          break;
+        }
+      }
+      firstEntries[ch] = entryTime;
+    }
+
+    priv.glue_room = { glue_room: glueRoom, first_entries: firstEntries };
+  },
+  score(res, cfg) {
+    const info = res.priv.glue_room;
+    if (!info) return null;
+    const glueRoom = info.glue_room;
+    const chars = cfg.chars;
+    const T = cfg.T;
+    let entryCount = 0;
+    const distinctVisitors = new Set();
+    for (const ch of chars) {
+      for (let t = 0; t < T; t++) {
+        const here = res.schedule[ch][t] === glueRoom;
+        const cameFromOther = t === 0 || res.schedule[ch][t - 1] !== glueRoom;
+        if (here && cameFromOther) {
+          entryCount++;
+          distinctVisitors.add(ch);
+        }
+      }
+    }
+    let score = entryCount * 12;
+    score += distinctVisitors.size * 10;
+    score += Math.max(0, T - 2) * 2;
+    return score;
+  },
+  describe(res, cfg) {
+    const info = deriveGlueRoomFacts(res, cfg);
+    if (!info) return [];
+    const entries = Object.entries(info.first_entries || {})
+      .filter(([, t]) => t !== null)
+      .map(([ch, t]) => `${ch} @ t=${t}`);
+    return [
+      {
+        type: "glueRoom",
+        text: `Glue room: ${info.glue_room}; First entries: ${entries.join(", ") || "none"}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { rooms, chars, T }) {
+    const glueRoom = priv.glue_room?.glue_room;
+    if (!rooms.includes(glueRoom)) {
+      return [`the glue room must be a room: ${glueRoom}`];
+    }
+    const violations = [];
+    const entered = (ch, t) =>
+      schedule[ch][t] === glueRoom &&
+      (t === 0 || schedule[ch][t - 1] !== glueRoom);
+    let entryBeforeFinal = false;
+    for (const ch of chars) {
+      for (let t = 0; t < T; t++) {
+        if (!entered(ch, t)) continue;
+        if (t === T - 1) {
+          violations.push(
+            `${ch} enters the glue room ${glueRoom} at the final timestep`,
+          );
+        } else if (schedule[ch][t + 1] !== glueRoom) {
+          violations.push(
+            `${ch} enters the glue room ${glueRoom} at t=${t + 1} but leaves at t=${t + 2}`,
+          );
+        } else {
+          entryBeforeFinal = true;
+        }
+      }
+    }
+    if (!entryBeforeFinal) {
+      violations.push(
+        `nobody enters the glue room ${glueRoom} before the final timestep`,
+      );
+    }
+    violations.push(
+      ...unexplainedStays(
+        schedule,
+        chars,
+        entered,
+        "only a character who just entered the glue room stays, for one extra turn",
+      ),
+    );
+    return violations;
+  },
+};
+
+// Recovers the glue room facts of a schedule without private facts (such as
+// one loaded from a shared URL): the first room whose every entry lasts
+// exactly two turns.
+export function deriveGlueRoomFacts(res, cfg) {
+  if (res.priv.glue_room) return res.priv.glue_room;
+  for (const room of cfg.rooms) {
+    const firstEntries = {};
+    let validRoom = false;
+    let violated = false;
+    for (const ch of cfg.chars) {
+      let entryTime = null;
+      for (let t = 0; t < cfg.T; t++) {
+        const here = res.schedule[ch][t] === room;
+        const cameFromOther = t === 0 || res.schedule[ch][t - 1] !== room;
+        if (here && cameFromOther) {
+          if (t === cfg.T - 1 || res.schedule[ch][t + 1] !== room) {
+            violated = true;
+            break;
+          }
+          if (t + 2 < cfg.T && res.schedule[ch][t + 2] === room) {
+            violated = true;
+            break;
+          }
+          entryTime ??= t + 1;
+          validRoom = true;
+        }
+      }
+      if (violated) break;
+      firstEntries[ch] = entryTime;
+    }
+    if (!violated && validRoom)
+      return { glue_room: room, first_entries: firstEntries };
+  }
+  return null;
+}
@@ -0,0 +1,237 @@
+/* S13: Glue Shoes — everyone who shares a room with the seeded glue carrier
+   is held there for one extra turn. */
+
+import { exactlyOne } from "../cnf.js";
+import { mulberry32 } from "../random.js";
+import { companions, unexplainedStays } from "../schedule.js";
+
+export const s13 = {
+  id: "s13",
+  name: "Glue Shoes",
+  summary: "Glue carrier makes co-occupants stay an extra turn.",
+  allowsStaying: true,
+  bakesSeed: true,
+  scoreKey: "glueShoes",
+  encode({ seed, vp, clauses, X, R, C, T, group, privKeys }) {
+    group(
+      "s13-glue-shoes",
+      "S13: the glue carrier holds co-occupants for an extra turn",
+    );
+    if (T < 2) throw new Error("S13 requires at least two timesteps");
+    if (C.length < 2)
+      throw new Error("S13 requires at least two characters (glue + victim)");
+
+    const rng = mulberry32(seed);
+    const glueIdx = Math.floor(rng() * C.length);
+
+    const GS = C.map((_, ci) => vp.get(`S13_GLUE_${C[ci]}`));
+    clauses.push(...exactlyOne(GS));
+    clauses.push([GS[glueIdx]]);
+
+    const meetVarsByGlue = Array.from({ length: C.length }, () => []);
+    const stuckSupports = Array.from({ length: C.length }, () =>
+      Array.from({ length: T }, () =>
+        Array.from({ length: R.length }, () => []),
+      ),
+    );
+
+    // Glue carrier must always move; they are immune to sticking effects.
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T - 1; t++) {
+        for (let ri = 0; ri < R.length; ri++) {
+          clauses.push([-GS[ci], -X(ci, t, ri), -X(ci, t + 1, ri)]);
+        }
+      }
+    }
+
+    for (let gp = 0; gp < C.length; gp++) {
+      for (let vi = 0; vi < C.length; vi++) {
+        if (vi === gp) continue;
+        for (let t = 0; t < T - 1; t++) {
+          for (let ri = 0; ri < R.length; ri++) {
+            const meet = vp.get(`S13Meet_${C[gp]}_${C[vi]}_${t}_${R[ri]}`);
+            meetVarsByGlue[gp].push(meet);
+            stuckSupports[vi][t + 1][ri].push(meet);
+
+            clauses.push([-meet, GS[gp]]);
+            clauses.push([-meet, X(gp, t, ri)]);
+            clauses.push([-meet, X(vi, t, ri)]);
+            clauses.push([-GS[gp], -X(gp, t, ri), -X(vi, t, ri), meet]);
+
+            clauses.push([-meet, X(vi, t + 1, ri)]);
+
+            if (t < T - 2) {
+              clauses.push([-meet, -X(vi, t + 2, ri)]);
+            }
+          }
+        }
+      }
+    }
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T - 1; t++) {
+        for (let ri = 0; ri < R.length; ri++) {
+          const clause = [-X(ci, t, ri), -X(ci, t + 1, ri)];
+          const support = stuckSupports[ci][t + 1][ri];
+          if (support.length) clause.push(...support);
+          clauses.push(clause);
+        }
+      }
+    }
+
+    for (let gp = 0; gp < C.length; gp++) {
+      const meets = meetVarsByGlue[gp];
+      if (!meets.length) {
+        clauses.push([-GS[gp]]);
+      } else {
+        clauses.push([-GS[gp], ...meets]);
+      }
+    }
+
+    privKeys.S13 = { GS };
+  },
+  decode({ C, T, val, schedule, privKeys, priv }) {
+    let gluePerson = null;
+    if (privKeys.S13.GS) {
+      for (let ci = 0; ci < C.length; ci++) {
+        if (val(`S13_GLUE_${C[ci]}`)) {
+          gluePerson = C[ci];
+          break;
+        }
+      }
+    }
+
+    const stuckRecords = [];
+    if (gluePerson) {
+      const firstStuck = new Map();
+      for (let t = 0; t < T - 1; t++) {
+        const room = schedule[gluePerson][t];
+        for (const ch of C) {
+          if (ch === gluePerson) continue;
+          if (schedule[ch][t] === room && !firstStuck.has(ch)) {
+            firstStuck.set(ch, { character: ch, time: t + 1, room });
+          }
+        }
+      }
+      stuckRecords.push(
+        ...Array.from(firstStuck.values()).sort((a, b) => a.time - b.time),
+      );
+    }
+
+    priv.glue_shoes = { glue_person: gluePerson, stuck: stuckRecords };
+  },
+  roles: ({ privKeys }) => [privKeys.S13.GS],
+  culpritVariables: (privKeys) => privKeys.S13.GS,
+  score(res, cfg) {
+    const info = res.priv.glue_shoes;
+    if (!info) return null;
+    const gluePerson = info.glue_person;
+    const victims = info.stuck || [];
+    const T = cfg.T;
+    let totalStickEvents = 0;
+    if (gluePerson) {
+      for (let t = 0; t < T - 1; t++) {
+        const room = res.schedule[gluePerson][t];
+        const others = cfg.chars.filter(
+          (ch) => ch !== gluePerson && res.schedule[ch][t] === room,
+        );
+        if (others.length) totalStickEvents += others.length;
+      }
+    }
+    let score = victims.length * 22;
+    score += totalStickEvents * 6;
+    score += Math.max(0, T - 3) * 4;
+    return score;
+  },
+  describe(res, cfg) {
+    const info = deriveGlueShoesFacts(res, cfg);
+    if (!info) return [];
+    const stuck = info.stuck || [];
+    const stuckText = stuck
+      .map((s) => `${s.character} @ t=${s.time}`)
+      .join("; ");
+    return [
+      {
+        type: "glueShoes",
+        char: info.glue_person,
+        text: `Stuck: ${stuckText || "none"}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { chars, T }) {
+    const carrier = priv.glue_shoes?.glue_person;
+    if (!chars.includes(carrier)) {
+      return [`the glue carrier must be a character: ${carrier}`];
+    }
+    const violations = [];
+    const stuck = new Set();
+    for (let t = 0; t < T - 1; t++) {
+      const room = schedule[carrier][t];
+      for (const ch of companions(schedule, chars, t, carrier)) {
+        stuck.add(`${ch}@${t}`);
+        if (schedule[ch][t + 1] !== room) {
+          violations.push(
+            `${ch} meets the glue carrier ${carrier} in ${room} at t=${t + 1} but leaves at t=${t + 2}`,
+          );
+        } else if (t + 2 < T && schedule[ch][t + 2] === room) {
+          violations.push(
+            `${ch} stays in ${room} past the extra turn after meeting the glue carrier at t=${t + 1}`,
+          );
+        }
+      }
+    }
+    if (!stuck.size) {
+      violations.push(
+        `nobody meets the glue carrier ${carrier} before the final timestep`,
+      );
+    }
+    violations.push(
+      ...unexplainedStays(
+        schedule,
+        chars,
+        (ch, t) => stuck.has(`${ch}@${t}`),
+        "only characters who just met the glue carrier stay in place",
+      ),
+    );
+    return violations;
+  },
+};
+
+// Recovers the glue shoes facts of a schedule without private facts (such
+// as one loaded from a shared URL): the first character whose co-occupants
+// all stay exactly one extra turn.
+export function deriveGlueShoesFacts(res, cfg) {
+  if (res.priv.glue_shoes) return res.priv.glue_shoes;
+  for (const glueCandidate of cfg.chars) {
+    const firstStuck = new Map();
+    let violated = false;
+    let sawVictim = false;
+    for (let t = 0; t < cfg.T - 1; t++) {
+      const room = res.schedule[glueCandidate][t];
+      const victims = cfg.chars.filter(
+        (ch) => ch !== glueCandidate && res.schedule[ch][t] === room,
+      );
+      for (const v of victims) {
+        if (res.schedule[v][t + 1] !== room) {
+          violated = true;
+          break;
+        }
+        if (t + 2 < cfg.T && res.schedule[v][t + 2] === room) {
+          violated = true;
+          break;
+        }
+        if (!firstStuck.has(v))
+          firstStuck.set(v, { character: v, time: t + 1, room });
+        sawVictim = true;
+      }
+      if (violated) break;
+    }
+    if (!violated && sawVictim) {
+      return {
+        glue_person: glueCandidate,
+        stuck: Array.from(firstStuck.values()).sort((a, b) => a.time - b.time),
+      };
+    }
+  }
+  return null;
+}
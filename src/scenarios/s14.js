@@ -0,0 +1,184 @@
+/* S14: The Curse of Amarinta — at the end of every turn the curse swaps
+   between the cursed and uncursed characters of each room. The cursed set
+   after time 6 must identify the original carrier. The rule adds no clauses;
+   decoding throws when that clue is ambiguous. */
+
+import { mulberry32 } from "../random.js";
+import { roomsAt } from "../schedule.js";
+
+export const s14 = {
+  id: "s14",
+  name: "Curse of Amarinta",
+  summary: "Reverse end-of-turn curse swaps to find the original carrier.",
+  scoreKey: "curse",
+  encode({ R, C, T, privKeys }) {
+    if (!R.length) throw new Error("S14 requires at least one room");
+    if (C.length < 2) throw new Error("S14 requires at least two characters");
+    if (T < 6) throw new Error("S14 requires at least six timesteps");
+    privKeys.S14 = true;
+  },
+  decode({ cfg, R, C, T, schedule, priv }) {
+    const simulateCurse = (origin) => {
+      let carriers = new Set([origin]);
+      const timeline = [];
+
+      for (let t = 0; t < T; t++) {
+        const byRoom = new Map();
+        for (const room of R) byRoom.set(room, []);
+        for (const ch of C) {
+          const room = schedule[ch][t];
+          byRoom.get(room).push(ch);
+        }
+
+        const updatedCarriers = new Set(carriers);
+
+        for (const room of R) {
+          const occupants = byRoom.get(room);
+          if (!occupants.length) continue;
+          const cursedHere = occupants.filter((ch) => carriers.has(ch));
+          const uncursedHere = occupants.filter((ch) => !carriers.has(ch));
+
+          if (!cursedHere.length || !uncursedHere.length) continue;
+
+          cursedHere.forEach((ch) => updatedCarriers.delete(ch));
+          uncursedHere.forEach((ch) => updatedCarriers.add(ch));
+        }
+
+        timeline.push({
+          time: t + 1,
+          cursed: Array.from(updatedCarriers).sort(),
+        });
+        carriers = updatedCarriers;
+      }
+
+      const finalCursed = timeline[timeline.length - 1]?.cursed || [];
+      return { timeline, cursedAtSix: timeline[5]?.cursed || finalCursed };
+    };
+
+    const outcomes = [];
+    const cursedAtTime6ByOrigin = {};
+    const rng = cfg.seed == null ? Math.random : mulberry32(cfg.seed);
+
+    for (const ch of C) {
+      const sim = simulateCurse(ch);
+      cursedAtTime6ByOrigin[ch] = sim.cursedAtSix;
+      outcomes.push({
+        origin: ch,
+        finalKey: sim.cursedAtSix.join("|") || "-",
+        sim,
+      });
+    }
+
+    const finalKeyCounts = outcomes.reduce((acc, outcome) => {
+      acc[outcome.finalKey] = (acc[outcome.finalKey] || 0) + 1;
+      return acc;
+    }, {});
+
+    const uniqueOutcomes = outcomes.filter(
+      (outcome) => finalKeyCounts[outcome.finalKey] === 1,
+    );
+    if (uniqueOutcomes.length !== outcomes.length) {
+      throw new Error("S14 final clue does not identify a unique origin");
+    }
+    const chosen = outcomes[Math.floor(rng() * outcomes.length)];
+
+    const possibleOrigins = outcomes
+      .filter((o) => o.finalKey === chosen.finalKey)
+      .map((o) => o.origin)
+      .sort();
+
+    priv.curse_of_amarinta = {
+      origin: chosen.origin,
+      final_cursed: chosen.sim.cursedAtSix,
+      possible_origins: possibleOrigins,
+      cursed_at_time6_by_origin: cursedAtTime6ByOrigin,
+      timeline: chosen.sim.timeline,
+    };
+  },
+  score(res) {
+    const info = res.priv.curse_of_amarinta;
+    if (!info) return null;
+    const timeline = info?.timeline || [];
+    if (!timeline.length) return 0;
+    let handoffs = 0;
+    let totalCursed = 0;
+    const symmetricDiffCount = (a, b) => {
+      let count = 0;
+      for (const item of a) {
+        if (!b.has(item)) count++;
+      }
+      for (const item of b) {
+        if (!a.has(item)) count++;
+      }
+      return count;
+    };
+    let prevSet = new Set(info.origin ? [info.origin] : []);
+    for (let i = 0; i < timeline.length; i++) {
+      const currentSet = new Set(timeline[i].cursed || []);
+      totalCursed += currentSet.size;
+      handoffs += symmetricDiffCount(prevSet, currentSet);
+      prevSet = currentSet;
+    }
+    const cursedAtSix = info.final_cursed?.length
+      ? info.final_cursed
+      : timeline[5]?.cursed || [];
+    let score = 0;
+    score += handoffs * 6;
+    score += cursedAtSix.length * 14;
+    score += totalCursed * 3;
+    return score;
+  },
+  describe(res) {
+    const info = res.priv.curse_of_amarinta;
+    if (!info) return [];
+    return [
+      {
+        type: "curse",
+        char: info.origin,
+        text: `Origin; Cursed after t=6: ${info.final_cursed?.join(", ") || "none"}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { chars, T }) {
+    const { origin, final_cursed: finalCursed } = priv.curse_of_amarinta;
+    if (!chars.includes(origin)) {
+      return [`the curse must start with a character: ${origin}`];
+    }
+    if (T < 6) return ["the curse needs at least six timesteps"];
+
+    // Replay the end-of-turn swaps up to the Time 6 clue.
+    const cursedAfterSix = (start) => {
+      let cursed = new Set([start]);
+      for (let t = 0; t < 6; t++) {
+        const next = new Set(cursed);
+        for (const present of roomsAt(schedule, chars, t).values()) {
+          const mixed =
+            present.some((ch) => cursed.has(ch)) &&
+            present.some((ch) => !cursed.has(ch));
+          if (!mixed) continue;
+          for (const ch of present) {
+            if (cursed.has(ch)) next.delete(ch);
+            else next.add(ch);
+          }
+        }
+        cursed = next;
+      }
+      return [...cursed].sort().join(", ");
+    };
+    const clue = cursedAfterSix(origin);
+    const violations = [];
+    if ([...finalCursed].sort().join(", ") !== clue) {
+      violations.push(
+        `after the Time 6 handoffs the cursed must be ${clue || "nobody"}`,
+      );
+    }
+    for (const ch of chars) {
+      if (ch !== origin && cursedAfterSix(ch) === clue) {
+        violations.push(
+          `a curse starting with ${ch} leaves the same cursed set after Time 6 as one starting with ${origin}`,
+        );
+      }
+    }
+    return violations;
+  },
+};
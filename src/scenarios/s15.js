@@ -0,0 +1,232 @@
+/* S15: World Travelers — the seeded podium visits R, R - 1 and R - 2
+   distinct rooms, strictly more than anyone else. */
+
+import { atMostOne, buildTotalizer, exactlyOne } from "../cnf.js";
+import { canVisitDistinctRoomsWithin } from "../map.js";
+import { shuffleWithSeed } from "../random.js";
+import { roomsVisited } from "../schedule.js";
+
+export const s15 = {
+  id: "s15",
+  name: "World Travelers",
+  summary: "Strictly rank the top 3 travelers by unique rooms visited.",
+  scoreKey: "worldTravelers",
+  validate(config) {
+    const roomCount = config.rooms?.length ?? 0;
+    const characterCount = config.chars?.length ?? 0;
+
+    if (roomCount < 4) {
+      throw new Error("S15 requires at least 4 rooms");
+    }
+    if (characterCount < 3) {
+      throw new Error("S15 requires at least 3 characters");
+    }
+    if (characterCount > 3 && roomCount < 5) {
+      throw new Error(
+        "S15 requires at least 5 rooms when there are non-podium characters",
+      );
+    }
+    if (!Number.isInteger(config.T) || config.T < roomCount) {
+      throw new Error(
+        `S15 requires at least ${roomCount} timesteps so first place can visit every room`,
+      );
+    }
+    if (
+      !canVisitDistinctRoomsWithin(
+        config.rooms,
+        config.edges,
+        config.T,
+        roomCount,
+      )
+    ) {
+      throw new Error(
+        `S15 map must allow a route through every room within ${config.T} timesteps`,
+      );
+    }
+  },
+  encode({ vp, clauses, X, R, C, T, group, seededChoices }) {
+    const podiumTargets = [R.length, R.length - 1, R.length - 2];
+
+    group(
+      "s15-podium",
+      "S15: the podium travelers visit the most distinct rooms",
+    );
+    // Create "visited" helper variables: V_{char}_{room} = true if char visits room at any time
+    const S15V = (ci, ri) => vp.get(`S15_V_${C[ci]}_${R[ri]}`);
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        // V[ci][ri] = OR over all timesteps of X[ci][t][ri]
+        const anyTime = [];
+        for (let t = 0; t < T; t++) {
+          anyTime.push(X(ci, t, ri));
+        }
+        // V => at least one X is true: (-V OR X[0] OR X[1] OR ...)
+        clauses.push([-S15V(ci, ri), ...anyTime]);
+        // Each X => V: for each t, X[ci][t][ri] => V[ci][ri]
+        for (let t = 0; t < T; t++) {
+          clauses.push([-X(ci, t, ri), S15V(ci, ri)]);
+        }
+      }
+    }
+
+    // RANK[ci][k] places a character on podium step k (0 = first). Each step
+    // holds exactly one character and nobody holds two steps.
+    const RANK = C.map((_, ci) =>
+      podiumTargets.map((_, k) => vp.get(`S15_RANK_${C[ci]}_${k + 1}`)),
+    );
+    for (let k = 0; k < podiumTargets.length; k++) {
+      clauses.push(...exactlyOne(RANK.map((steps) => steps[k])));
+    }
+    for (const steps of RANK) clauses.push(...atMostOne(steps));
+
+    // Podium steps visit exactly their target; others (4th+) must rank
+    // strictly below third place.
+    const othersMax = podiumTargets[2] - 1;
+    // One totalizer per character serves all three podium targets and the
+    // cap for everyone else, where separate encodeAtLeastK/encodeAtMostK
+    // calls would each build their own counter.
+    for (let ci = 0; ci < C.length; ci++) {
+      const visitVars = R.map((_, ri) => S15V(ci, ri));
+      const totalizer = buildTotalizer(visitVars, vp, clauses, `S15_${C[ci]}`);
+      podiumTargets.forEach((targetCount, k) => {
+        if (targetCount > totalizer.length) {
+          clauses.push([-RANK[ci][k]]);
+          return;
+        }
+        if (targetCount > 0) {
+          clauses.push([-RANK[ci][k], totalizer[targetCount - 1]]);
+        }
+        if (targetCount < totalizer.length) {
+          clauses.push([-RANK[ci][k], -totalizer[targetCount]]);
+        }
+      });
+      if (othersMax < totalizer.length) {
+        clauses.push([...RANK[ci], -totalizer[othersMax]]);
+      }
+    }
+
+    // Randomly assign top 3 travelers by shuffling chars
+    seededChoices.push((seed) => {
+      const [first, second, third] = shuffleWithSeed(C, seed);
+      return {
+        id: "s15-seeded-podium",
+        description: `S15: ${first}, ${second} and ${third} take the podium`,
+        units: [first, second, third].map((ch, k) => RANK[C.indexOf(ch)][k]),
+        privKeys: {
+          S15: {
+            first,
+            second,
+            third,
+            targets: {
+              first: podiumTargets[0],
+              second: podiumTargets[1],
+              third: podiumTargets[2],
+            },
+          },
+        },
+      };
+    });
+  },
+  decode({ R, C, T, schedule, privKeys, priv }) {
+    // Count unique rooms visited by each character
+    const visitCounts = {};
+    const roomsVisitedByChar = {};
+    for (const ch of C) {
+      const roomsVisited = new Set();
+      for (let t = 0; t < T; t++) {
+        roomsVisited.add(schedule[ch][t]);
+      }
+      visitCounts[ch] = roomsVisited.size;
+      roomsVisitedByChar[ch] = Array.from(roomsVisited).sort();
+    }
+
+    // Calculate rooms missed by podium finishers relative to map
+    const secondMissed = R.filter(
+      (room) => !roomsVisitedByChar[privKeys.S15.second].includes(room),
+    );
+    const thirdMissed = R.filter(
+      (room) => !roomsVisitedByChar[privKeys.S15.third].includes(room),
+    );
+
+    priv.world_travelers = {
+      first: privKeys.S15.first,
+      second: privKeys.S15.second,
+      third: privKeys.S15.third,
+      targets: privKeys.S15.targets,
+      visit_counts: visitCounts,
+      rooms_visited: roomsVisitedByChar,
+      rooms_missed: {
+        first: R.filter(
+          (room) => !roomsVisitedByChar[privKeys.S15.first].includes(room),
+        ),
+        second: secondMissed,
+        third: thirdMissed,
+      },
+    };
+  },
+  score(res, cfg) {
+    const info = res.priv.world_travelers;
+    if (!info) return null;
+
+    let score = 0;
+    const chars = cfg.chars;
+    const R = cfg.rooms.length;
+
+    // Score based on red herrings - characters with similar visit counts to top 3
+    for (const ch of chars) {
+      const count = info.visit_counts[ch];
+      // Characters who happen to have high visit counts but aren't top 3 are red herrings
+      if (ch !== info.first && count === R) score += 100; // very unlikely but defensive
+      if (ch !== info.second && count === R - 1) score += 80;
+      if (ch !== info.third && count === R - 2) score += 60;
+      if (count === R - 3) score += 30; // close to 3rd place
+    }
+
+    // Bonus for more characters (more suspects to consider)
+    score += (chars.length - 3) * 20;
+
+    return score;
+  },
+  describe(res) {
+    const info = res.priv.world_travelers;
+    if (!info) return [];
+    return ["first", "second", "third"].map((place, i) => ({
+      type: "worldTravelers",
+      char: info[place],
+      text: `${["1st", "2nd", "3rd"][i]} place (${info.visit_counts[info[place]]} rooms)`,
+    }));
+  },
+  verify({ schedule, priv }, { rooms, chars }) {
+    const { first, second, third } = priv.world_travelers;
+    const podium = [first, second, third];
+    if (
+      new Set(podium).size !== 3 ||
+      !podium.every((ch) => chars.includes(ch))
+    ) {
+      return [
+        `the podium must be three distinct characters: ${podium.join(", ")}`,
+      ];
+    }
+    const violations = [];
+    podium.forEach((ch, k) => {
+      const target = rooms.length - k;
+      const count = roomsVisited(schedule, ch).size;
+      if (count !== target) {
+        violations.push(
+          `${ch} visits ${count} rooms, but place ${k + 1} visits exactly ${target}`,
+        );
+      }
+    });
+    for (const ch of chars) {
+      if (podium.includes(ch)) continue;
+      const count = roomsVisited(schedule, ch).size;
+      if (count > rooms.length - 3) {
+        violations.push(
+          `${ch} visits ${count} rooms, but only the podium visits more than ${rooms.length - 3}`,
+        );
+      }
+    }
+    return violations;
+  },
+};
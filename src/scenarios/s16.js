@@ -0,0 +1,233 @@
+/* S16: Homebodies — every character visits a different number of distinct
+   rooms (1, 2, 3, ...). Only the homebody, who visits a single room, may stay
+   in place; everyone else must move every turn. */
+
+import { buildTotalizer, exactlyOne } from "../cnf.js";
+import { canVisitDistinctRoomsWithin } from "../map.js";
+import { shuffleWithSeed } from "../random.js";
+import { roomsVisited, unexplainedStays } from "../schedule.js";
+
+export const s16 = {
+  id: "s16",
+  name: "Homebodies",
+  summary: "Each character visits a unique number of rooms.",
+  relaxesMovement: true,
+  scoreKey: "homebodies",
+  validate(config) {
+    const roomCount = config.rooms?.length ?? 0;
+    const characterCount = config.chars?.length ?? 0;
+
+    if (characterCount < 2) {
+      throw new Error("S16 requires at least 2 characters");
+    }
+    if (roomCount < characterCount) {
+      throw new Error("S16 requires at least as many rooms as characters");
+    }
+    if (!Number.isInteger(config.T) || config.T < characterCount) {
+      throw new Error(
+        `S16 requires at least ${characterCount} timesteps so one character can visit ${characterCount} rooms`,
+      );
+    }
+    if (
+      !canVisitDistinctRoomsWithin(
+        config.rooms,
+        config.edges,
+        config.T,
+        characterCount,
+      )
+    ) {
+      throw new Error(
+        `S16 map must allow a route through ${characterCount} distinct rooms within ${config.T} timesteps`,
+      );
+    }
+  },
+  encode({ vp, clauses, X, R, C, T, group, seededChoices }) {
+    const visitCountTargets = Array.from(
+      { length: C.length },
+      (_, index) => C.length - index,
+    );
+    const minVisitCount = 1;
+
+    group(
+      "s16-visit-counts",
+      "S16: the characters visit 1, 2, 3, ... distinct rooms",
+    );
+    // Create "visited" helper variables: V_{char}_{room} = true if char visits room at any time
+    const S16V = (ci, ri) => vp.get(`S16_V_${C[ci]}_${R[ri]}`);
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        const anyTime = [];
+        for (let t = 0; t < T; t++) {
+          anyTime.push(X(ci, t, ri));
+        }
+        // V => at least one X is true
+        clauses.push([-S16V(ci, ri), ...anyTime]);
+        // Each X => V
+        for (let t = 0; t < T; t++) {
+          clauses.push([-X(ci, t, ri), S16V(ci, ri)]);
+        }
+      }
+    }
+
+    // COUNT[ci][k] assigns visit count k + 1 to a character; the assignment
+    // is a permutation of the targets.
+    const COUNT = C.map((_, ci) =>
+      C.map((_, k) => vp.get(`S16_COUNT_${C[ci]}_${k + 1}`)),
+    );
+    for (let i = 0; i < C.length; i++) {
+      clauses.push(...exactlyOne(COUNT[i]));
+      clauses.push(...exactlyOne(COUNT.map((counts) => counts[i])));
+    }
+
+    // Enforce exact visit counts using totalizer. Every count from 1 to the
+    // cast size is a possible target, so the full unary counter is cheaper
+    // than a pair of encodeAtLeastK/encodeAtMostK bounds per target.
+    for (let ci = 0; ci < C.length; ci++) {
+      const visitVars = R.map((_, ri) => S16V(ci, ri));
+      const totalizer = buildTotalizer(visitVars, vp, clauses, `S16_${C[ci]}`);
+
+      // Exactly targetCount rooms: at least targetCount AND at most targetCount
+      for (let k = 0; k < C.length; k++) {
+        const targetCount = k + 1;
+        if (totalizer.length < targetCount) {
+          clauses.push([-COUNT[ci][k]]);
+          continue;
+        }
+        clauses.push([-COUNT[ci][k], totalizer[targetCount - 1]]);
+        if (totalizer.length > targetCount) {
+          clauses.push([-COUNT[ci][k], -totalizer[targetCount]]);
+        }
+      }
+    }
+
+    group("s16-movement", "S16: only the homebody may stay put");
+    // Movement constraints: characters at the minimum count can stay, others must move
+    for (let ci = 0; ci < C.length; ci++) {
+      const isHomebody = COUNT[ci][minVisitCount - 1];
+      for (let t = 0; t < T - 1; t++) {
+        for (let ri = 0; ri < R.length; ri++) {
+          clauses.push([isHomebody, -X(ci, t, ri), -X(ci, t + 1, ri)]);
+        }
+      }
+    }
+
+    seededChoices.push((seed) => {
+      const shuffled = shuffleWithSeed(C, seed);
+      const visitCountAssignments = {};
+      for (let i = 0; i < shuffled.length; i++) {
+        visitCountAssignments[shuffled[i]] = visitCountTargets[i];
+      }
+      return {
+        id: "s16-seeded-counts",
+        description: "S16: the seeded assignment of visit counts to characters",
+        units: C.map((ch, ci) => COUNT[ci][visitCountAssignments[ch] - 1]),
+        privKeys: {
+          S16: {
+            visitCountAssignments,
+            visitCountTargets,
+            minVisitCount,
+            homebody: shuffled[visitCountTargets.indexOf(minVisitCount)],
+          },
+        },
+      };
+    });
+  },
+  decode({ C, T, schedule, privKeys, priv }) {
+    const visitCounts = {};
+    const roomsVisitedByChar = {};
+    for (const ch of C) {
+      const roomsVisited = new Set();
+      for (let t = 0; t < T; t++) {
+        roomsVisited.add(schedule[ch][t]);
+      }
+      visitCounts[ch] = roomsVisited.size;
+      roomsVisitedByChar[ch] = Array.from(roomsVisited).sort();
+    }
+
+    // Sort characters by visit count to create ranking
+    const ranking = [...C].sort((a, b) => visitCounts[a] - visitCounts[b]);
+
+    priv.homebodies = {
+      homebody: privKeys.S16.homebody,
+      visit_count_assignments: privKeys.S16.visitCountAssignments,
+      visit_count_targets: privKeys.S16.visitCountTargets,
+      min_visit_count: privKeys.S16.minVisitCount,
+      actual_visit_counts: visitCounts,
+      rooms_visited: roomsVisitedByChar,
+      ranking, // sorted from fewest to most rooms visited
+    };
+  },
+  score(res, cfg) {
+    const info = res.priv.homebodies;
+    if (!info) return null;
+
+    let score = 0;
+    const chars = cfg.chars;
+
+    // More characters = more complexity in deducing visit counts
+    score += chars.length * 15;
+
+    // Bonus for each unique visit count that must be deduced
+    score += chars.length * 10;
+
+    // The homebody is less obvious when several travelers pass through their
+    // room, especially when those visits create repeated shared-room clues.
+    const homebodyRoom = res.schedule[info.homebody][0];
+    const otherCharacters = chars.filter((ch) => ch !== info.homebody);
+    const otherVisitors = otherCharacters.filter((ch) =>
+      res.schedule[ch].includes(homebodyRoom),
+    );
+    const sharedMoments = otherCharacters.reduce(
+      (total, ch) =>
+        total + res.schedule[ch].filter((room) => room === homebodyRoom).length,
+      0,
+    );
+    score += otherVisitors.length * 30;
+    score += sharedMoments * 5;
+
+    return score;
+  },
+  describe(res) {
+    const info = res.priv.homebodies;
+    if (!info) return [];
+    return info.ranking.map((ch, i) => ({
+      type: "homebodies",
+      char: ch,
+      text: `Rank ${i + 1}: ${info.actual_visit_counts[ch]} room(s)${ch === info.homebody ? " (homebody)" : ""}`,
+    }));
+  },
+  verify({ schedule, priv }, { chars }) {
+    const { homebody } = priv.homebodies;
+    if (!chars.includes(homebody)) {
+      return [`the homebody must be a character: ${homebody}`];
+    }
+    const violations = [];
+    const seen = new Map();
+    for (const ch of chars) {
+      const count = roomsVisited(schedule, ch).size;
+      if (count > chars.length) {
+        violations.push(
+          `${ch} visits ${count} rooms, more than the ${chars.length} characters`,
+        );
+      } else if (seen.has(count)) {
+        violations.push(
+          `${ch} and ${seen.get(count)} both visit ${count} rooms`,
+        );
+      }
+      seen.set(count, ch);
+    }
+    if (roomsVisited(schedule, homebody).size !== 1) {
+      violations.push(`the homebody ${homebody} leaves their starting room`);
+    }
+    violations.push(
+      ...unexplainedStays(
+        schedule,
+        chars,
+        (ch) => ch === homebody,
+        "only the homebody stays in place",
+      ),
+    );
+    return violations;
+  },
+};
@@ -0,0 +1,229 @@
+/* S17: Triple Alibi — the seeded trio meets alone at least once, and no other
+   three characters are ever alone together. */
+
+import { buildTotalizer } from "../cnf.js";
+import { mulberry32 } from "../random.js";
+import { roomsAt } from "../schedule.js";
+
+export const s17 = {
+  id: "s17",
+  name: "Triple Alibi",
+  summary: "Which three characters form the only exclusive trio?",
+  bakesSeed: true,
+  scoreKey: "tripleAlibi",
+  validate(config) {
+    if ((config.chars?.length ?? 0) < 4) {
+      throw new Error("S17 requires at least 4 characters");
+    }
+    if (!Number.isInteger(config.T) || config.T < 2) {
+      throw new Error(
+        "S17 requires at least 2 timesteps for a meeting and a separation",
+      );
+    }
+  },
+  encode({ seed, vp, clauses, X, R, C, T, group, privKeys }) {
+    const rng = mulberry32(seed);
+
+    // Randomly select 3 characters to form the alibi trio
+    const shuffled = [...C];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const trio = [shuffled[0], shuffled[1], shuffled[2]].sort();
+    const trioIndices = trio.map((ch) => C.indexOf(ch));
+
+    group("s17-trio-meets", "S17: the alibi trio meets alone at least once");
+    // The special trio must meet alone at least once (no other characters present)
+    // Create helper variable M_t_r = trio meets alone in room r at time t
+    const M = (t, ri) => vp.get(`S17_M_${t}_${ri}`);
+    const [ti0, ti1, ti2] = trioIndices;
+
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        const x0 = X(ti0, t, ri);
+        const x1 = X(ti1, t, ri);
+        const x2 = X(ti2, t, ri);
+
+        // M => X[0], M => X[1], M => X[2]
+        clauses.push([-M(t, ri), x0]);
+        clauses.push([-M(t, ri), x1]);
+        clauses.push([-M(t, ri), x2]);
+
+        // M => no non-trio characters in the room
+        for (let ci = 0; ci < C.length; ci++) {
+          if (trioIndices.includes(ci)) continue;
+          clauses.push([-M(t, ri), -X(ci, t, ri)]);
+        }
+      }
+    }
+
+    // At least one M must be true (trio meets at least once)
+    const allMeetings = [];
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        allMeetings.push(M(t, ri));
+      }
+    }
+    clauses.push(allMeetings); // At least one is true
+
+    group(
+      "s17-trio-separates",
+      "S17: the alibi trio is separated at least once",
+    );
+    // The trio must also be visibly separated at least once; otherwise a trio
+    // that simply moves as one unit for the whole night is too trivial.
+    const apartTimes = [];
+    for (let t = 0; t < T; t++) {
+      const apart = vp.get(`S17_APART_${t}`);
+      apartTimes.push(apart);
+      for (let ri = 0; ri < R.length; ri++) {
+        clauses.push([-apart, -X(ti0, t, ri), -X(ti1, t, ri), -X(ti2, t, ri)]);
+      }
+    }
+    clauses.push(apartTimes);
+
+    group(
+      "s17-no-other-trio",
+      "S17: no other three characters are ever alone together",
+    );
+    // Detect rooms with exactly three people: only the trio is allowed.
+    // eq3 is defined in both directions from the counter's outputs, which
+    // the one-way encodeAtMostK/encodeAtLeastK bounds do not provide.
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        const occupants = C.map((_, ci) => X(ci, t, ri));
+        const occTotalizer = buildTotalizer(
+          occupants,
+          vp,
+          clauses,
+          `S17_OCC_${t}_${ri}`,
+        );
+        const eq3 = vp.get(`S17_EQ3_${t}_${ri}`);
+
+        // eq3 <-> exactly three occupants in the room
+        clauses.push([-eq3, occTotalizer[2]]);
+        if (occTotalizer.length > 3) {
+          clauses.push([-eq3, -occTotalizer[3]]);
+          clauses.push([-occTotalizer[2], occTotalizer[3], eq3]);
+        } else {
+          clauses.push([-occTotalizer[2], eq3]);
+        }
+
+        // If exactly three, they must be the trio and no one else
+        for (const ti of trioIndices) {
+          clauses.push([-eq3, X(ti, t, ri)]);
+        }
+        for (let ci = 0; ci < C.length; ci++) {
+          if (trioIndices.includes(ci)) continue;
+          clauses.push([-eq3, -X(ci, t, ri)]);
+        }
+      }
+    }
+
+    privKeys.S17 = { trio };
+  },
+  decode({ R, C, T, schedule, privKeys, priv }) {
+    const trio = privKeys.S17.trio;
+
+    // Find all meetings of the trio (only when they're alone together)
+    const meetings = [];
+    const threePersonRooms = [];
+    for (let t = 0; t < T; t++) {
+      for (const room of R) {
+        const inRoom = C.filter((ch) => schedule[ch][t] === room);
+        if (inRoom.length === 3) {
+          const attendees = [...inRoom].sort();
+          threePersonRooms.push({ time: t + 1, room, attendees });
+          if (trio.every((ch) => attendees.includes(ch))) {
+            meetings.push({ time: t + 1, room, attendees });
+          }
+        }
+      }
+    }
+
+    const exclusiveTrioMeetings = [...meetings];
+
+    priv.triple_alibi = {
+      trio: trio,
+      meetings: meetings,
+      total_meetings: meetings.length,
+      three_person_rooms: threePersonRooms,
+      exclusive_trio_meetings: exclusiveTrioMeetings,
+      exclusive_trio_count: exclusiveTrioMeetings.length,
+    };
+  },
+  roles: ({ privKeys, C }) => [C.map((c) => privKeys.S17.trio.includes(c))],
+  score(res, cfg) {
+    const info = res.priv.triple_alibi;
+    if (!info) return null;
+
+    let score = 0;
+
+    // One exclusive meeting is the sparsest evidence and therefore the hardest
+    // version. Repeated meetings make the trio progressively easier to spot.
+    score += Math.max(0, cfg.T - info.total_meetings + 1) * 50;
+
+    // More characters = more potential trios to consider (C choose 3)
+    const numChars = cfg.chars.length;
+    const numPossibleTrios = (numChars * (numChars - 1) * (numChars - 2)) / 6;
+    score += numPossibleTrios * 10;
+
+    // More timesteps = more opportunities for meetings
+    score += cfg.T * 5;
+
+    // More rooms = more places to check
+    score += cfg.rooms.length * 5;
+
+    return score;
+  },
+  describe(res) {
+    const info = res.priv.triple_alibi;
+    if (!info) return [];
+    const meetingsStr = info.meetings
+      .map((m) => `${m.room}@t${m.time}`)
+      .join(", ");
+    return [
+      ...info.trio.map((ch) => ({
+        type: "trio",
+        char: ch,
+        text: "Alibi trio member",
+      })),
+      {
+        type: "trio",
+        text: `Trio met ${info.total_meetings} time(s): ${meetingsStr || "none"}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { chars, T }) {
+    const trio = priv.triple_alibi?.trio ?? [];
+    if (new Set(trio).size !== 3 || !trio.every((ch) => chars.includes(ch))) {
+      return [
+        `the alibi trio must be three distinct characters: ${trio.join(", ")}`,
+      ];
+    }
+    const violations = [];
+    let met = false;
+    let apart = false;
+    for (let t = 0; t < T; t++) {
+      if (trio.some((ch) => schedule[ch][t] !== schedule[trio[0]][t])) {
+        apart = true;
+      }
+      for (const [room, present] of roomsAt(schedule, chars, t)) {
+        if (present.length !== 3) continue;
+        if (trio.every((ch) => present.includes(ch))) {
+          met = true;
+        } else {
+          violations.push(
+            `${present.join(", ")} are alone together in ${room} at t=${t + 1}, but only the alibi trio may be`,
+          );
+        }
+      }
+    }
+    if (!met)
+      violations.push(`the alibi trio ${trio.join(", ")} never meets alone`);
+    if (!apart)
+      violations.push(`the alibi trio ${trio.join(", ")} never separates`);
+    return violations;
+  },
+};
@@ -0,0 +1,478 @@
+/* S18: Heavy Sofa — two seeded carriers pick the sofa up alone together and
+   carry it along a simple path into the alphabetically first room. Schedules
+   that admit another carrying story are rejected. */
+
+import { exactlyOne } from "../cnf.js";
+import { isOneWay, reachableStartRooms } from "../map.js";
+import { mulberry32 } from "../random.js";
+import { occupants } from "../schedule.js";
+
+function findHeavySofaExplanations(schedule, rooms, edges, chars) {
+  const destination = [...rooms].sort()[0];
+  const edgeKeys = new Set();
+  for (const edge of edges ?? []) {
+    const [a, b] = edge;
+    if (!rooms.includes(a) || !rooms.includes(b)) continue;
+    edgeKeys.add(`${a}\u0000${b}`);
+    if (!isOneWay(edge)) edgeKeys.add(`${b}\u0000${a}`);
+  }
+  const timesteps = chars.length ? schedule[chars[0]].length : 0;
+  const explanations = [];
+
+  for (let first = 0; first < chars.length; first++) {
+    for (let second = first + 1; second < chars.length; second++) {
+      const carrier1 = chars[first];
+      const carrier2 = chars[second];
+
+      for (let pickup = 0; pickup < timesteps; pickup++) {
+        const startRoom = schedule[carrier1][pickup];
+        if (
+          startRoom === destination ||
+          schedule[carrier2][pickup] !== startRoom
+        ) {
+          continue;
+        }
+
+        // Pickup is the start of the carriers' uninterrupted journey together.
+        // If it is not Time 1, they must have been separated immediately before.
+        if (
+          pickup > 0 &&
+          schedule[carrier1][pickup - 1] === schedule[carrier2][pickup - 1]
+        ) {
+          continue;
+        }
+
+        const occupants = chars.filter(
+          (character) => schedule[character][pickup] === startRoom,
+        );
+        if (
+          occupants.length !== 2 ||
+          !occupants.includes(carrier1) ||
+          !occupants.includes(carrier2)
+        ) {
+          continue;
+        }
+
+        const path = [];
+        let valid = true;
+        for (let time = pickup; time < timesteps; time++) {
+          const room = schedule[carrier1][time];
+          if (schedule[carrier2][time] !== room || path.includes(room)) {
+            valid = false;
+            break;
+          }
+          if (
+            path.length > 0 &&
+            !edgeKeys.has(`${path[path.length - 1]}\u0000${room}`)
+          ) {
+            valid = false;
+            break;
+          }
+          path.push(room);
+        }
+
+        if (!valid || path[path.length - 1] !== destination) continue;
+        explanations.push({
+          carriers: [carrier1, carrier2].sort(),
+          start_room: startRoom,
+          pickup_time: pickup + 1,
+          path,
+        });
+      }
+    }
+  }
+
+  return explanations;
+}
+
+// Both carriers walk with the sofa, so its path only uses the rooms that can
+// hold two characters.
+function sofaRooms(config, rooms) {
+  return rooms.filter(
+    (room) => (config.roomInfo?.[room]?.capacity ?? Infinity) >= 2,
+  );
+}
+
+export const s18 = {
+  id: "s18",
+  name: "Heavy Sofa",
+  summary: "Who carried the sofa and where did it start?",
+  bakesSeed: true,
+  scoreKey: "heavySofa",
+  validate(config) {
+    const rooms = config.rooms ?? [];
+    if (rooms.length < 2) {
+      throw new Error("S18 requires at least 2 rooms");
+    }
+    if ((config.chars?.length ?? 0) < 2) {
+      throw new Error("S18 requires at least 2 characters");
+    }
+    if (!Number.isInteger(config.T) || config.T < 2) {
+      throw new Error("S18 requires at least 2 timesteps");
+    }
+
+    const destination = [...rooms].sort()[0];
+    if (!sofaRooms(config, rooms).includes(destination)) {
+      throw new Error(
+        `S18 requires ${destination} to hold both carriers and the sofa`,
+      );
+    }
+    if (
+      !reachableStartRooms(
+        sofaRooms(config, rooms),
+        config.edges,
+        destination,
+        config.T - 1,
+      ).length
+    ) {
+      throw new Error(
+        `S18 requires a non-destination room that can reach ${destination} within ${config.T - 1} moves`,
+      );
+    }
+  },
+  encode({
+    config,
+    seed,
+    vp,
+    clauses,
+    X,
+    R,
+    C,
+    T,
+    Ridx,
+    nbr,
+    group,
+    privKeys,
+  }) {
+    group(
+      "s18-sofa",
+      "S18: two carriers move the sofa into the alphabetically first room",
+    );
+    const rng = mulberry32(seed);
+
+    // Destination is alphabetically first room
+    const destRoom = [...R].sort()[0];
+    const destIdx = Ridx.get(destRoom);
+
+    // Pick only from starts that can reach the destination before the timeline
+    // ends. This prevents a seeded but impossible story on disconnected maps.
+    const validStartRooms = reachableStartRooms(
+      sofaRooms(config, R),
+      config.edges,
+      destRoom,
+      T - 1,
+    );
+    const startRoom =
+      validStartRooms[Math.floor(rng() * validStartRooms.length)];
+    const startIdx = Ridx.get(startRoom);
+
+    // Pick two random carriers
+    const shuffled = [...C];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const carrier1 = shuffled[0];
+    const carrier2 = shuffled[1];
+    const c1Idx = C.indexOf(carrier1);
+    const c2Idx = C.indexOf(carrier2);
+
+    // SOFA(t, ri): sofa is in room R[ri] at time t
+    const SOFA = (t, ri) => vp.get(`S18_SOFA_${t}_${R[ri]}`);
+
+    // CARRYING(t): sofa is being carried at time t
+    const CARRYING = (t) => vp.get(`S18_CARRYING_${t}`);
+
+    // Sofa is in exactly one room at each timestep
+    for (let t = 0; t < T; t++) {
+      const sofaVars = R.map((_, ri) => SOFA(t, ri));
+      clauses.push(...exactlyOne(sofaVars));
+    }
+
+    // Sofa starts in startRoom at t=0
+    clauses.push([SOFA(0, startIdx)]);
+
+    // Sofa ends in destRoom at t=T-1
+    clauses.push([SOFA(T - 1, destIdx)]);
+
+    // CARRYING state: once true, stays true (monotonic)
+    // CARRYING(t) => CARRYING(t+1)
+    for (let t = 0; t < T - 1; t++) {
+      clauses.push([-CARRYING(t), CARRYING(t + 1)]);
+    }
+
+    // Must be carrying at final timestep (to have delivered)
+    clauses.push([CARRYING(T - 1)]);
+
+    // When CARRYING: both carriers must be with sofa
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        // CARRYING(t) AND SOFA(t, ri) => X(c1, t, ri)
+        clauses.push([-CARRYING(t), -SOFA(t, ri), X(c1Idx, t, ri)]);
+        // CARRYING(t) AND SOFA(t, ri) => X(c2, t, ri)
+        clauses.push([-CARRYING(t), -SOFA(t, ri), X(c2Idx, t, ri)]);
+      }
+    }
+
+    // When CARRYING: carriers must be together (same room)
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        // CARRYING(t) AND X(c1, t, ri) => X(c2, t, ri)
+        clauses.push([-CARRYING(t), -X(c1Idx, t, ri), X(c2Idx, t, ri)]);
+        // CARRYING(t) AND X(c2, t, ri) => X(c1, t, ri)
+        clauses.push([-CARRYING(t), -X(c2Idx, t, ri), X(c1Idx, t, ri)]);
+      }
+    }
+
+    // When CARRYING: sofa MUST move to adjacent room (cannot stay)
+    for (let t = 0; t < T - 1; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        // CARRYING(t) AND SOFA(t, ri) => NOT SOFA(t+1, ri)
+        clauses.push([-CARRYING(t), -SOFA(t, ri), -SOFA(t + 1, ri)]);
+
+        // CARRYING(t) AND SOFA(t, ri) => SOFA(t+1, adjacent)
+        const adjacentRooms = nbr[ri];
+        if (adjacentRooms.length > 0) {
+          const nextOptions = adjacentRooms.map((rj) => SOFA(t + 1, rj));
+          clauses.push([-CARRYING(t), -SOFA(t, ri), ...nextOptions]);
+        }
+      }
+    }
+
+    // When NOT CARRYING: sofa stays in place
+    for (let t = 0; t < T - 1; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        // NOT CARRYING(t) AND SOFA(t, ri) => SOFA(t+1, ri)
+        clauses.push([CARRYING(t), -SOFA(t, ri), SOFA(t + 1, ri)]);
+      }
+    }
+
+    // Once carrying, the sofa must never revisit a room it already visited
+    for (let ri = 0; ri < R.length; ri++) {
+      for (let t1 = 0; t1 < T; t1++) {
+        for (let t2 = t1 + 1; t2 < T; t2++) {
+          // CARRYING(t1) AND SOFA(t1, ri) => NOT SOFA(t2, ri)
+          clauses.push([-CARRYING(t1), -SOFA(t1, ri), -SOFA(t2, ri)]);
+        }
+      }
+    }
+
+    // Pickup condition: CARRYING starts when both carriers are alone with sofa
+    // At pickup: exactly carriers in sofa's room (no one else)
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        // If pickup at t in room ri: no other characters present
+        for (let ci = 0; ci < C.length; ci++) {
+          if (ci === c1Idx || ci === c2Idx) continue;
+          // Pickup at t means: NOT CARRYING(t-1) AND CARRYING(t)
+          // When this happens and SOFA(t, ri), other chars can't be there
+          if (t === 0) {
+            // Special case: if carrying at t=0, pickup is at t=0
+            clauses.push([-CARRYING(0), -SOFA(0, ri), -X(ci, 0, ri)]);
+          } else {
+            // CARRYING(t-1) OR NOT CARRYING(t) OR NOT SOFA(t, ri) OR NOT X(ci, t, ri)
+            clauses.push([
+              CARRYING(t - 1),
+              -CARRYING(t),
+              -SOFA(t, ri),
+              -X(ci, t, ri),
+            ]);
+          }
+        }
+      }
+    }
+
+    // Pickup marks the start of the carriers' uninterrupted journey together.
+    // Unless they pick up at Time 1, they must be in different rooms one turn
+    // earlier. This makes later points on the same journey ineligible as a
+    // second apparent pickup time.
+    for (let t = 1; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        clauses.push([
+          CARRYING(t - 1),
+          -CARRYING(t),
+          -X(c1Idx, t - 1, ri),
+          -X(c2Idx, t - 1, ri),
+        ]);
+      }
+    }
+
+    privKeys.S18 = { carrier1, carrier2, startRoom, destRoom };
+  },
+  decode({ cfg, R, C, T, val, schedule, privKeys, priv }) {
+    const { carrier1, carrier2, startRoom, destRoom } = privKeys.S18;
+
+    // Decode sofa position at each timestep from SAT solution
+    const sofaPositions = [];
+    for (let t = 0; t < T; t++) {
+      for (const room of R) {
+        if (val(`S18_SOFA_${t}_${room}`)) {
+          sofaPositions.push(room);
+          break;
+        }
+      }
+    }
+
+    // Decode carrying state at each timestep
+    const carryingStates = [];
+    for (let t = 0; t < T; t++) {
+      carryingStates.push(val(`S18_CARRYING_${t}`));
+    }
+
+    // Find pickup time (first timestep where CARRYING is true)
+    let pickupTime = null;
+    for (let t = 0; t < T; t++) {
+      if (carryingStates[t]) {
+        pickupTime = t + 1; // 1-indexed
+        break;
+      }
+    }
+
+    // Build journey from sofa positions (only during carrying)
+    const journey = [];
+    let lastRoom = null;
+    for (let t = 0; t < T; t++) {
+      const room = sofaPositions[t];
+      if (room !== lastRoom) {
+        journey.push({ time: t + 1, room: room });
+        lastRoom = room;
+      }
+    }
+
+    const explanations = findHeavySofaExplanations(schedule, R, cfg.edges, C);
+    const expectedCarriers = [carrier1, carrier2].sort();
+    const expectedPath = journey.map((entry) => entry.room);
+    const explanation = explanations[0];
+    const selectedStoryIsUnique =
+      explanations.length === 1 &&
+      explanation.pickup_time === pickupTime &&
+      explanation.start_room === startRoom &&
+      explanation.carriers.every(
+        (carrier, index) => carrier === expectedCarriers[index],
+      ) &&
+      explanation.path.length === expectedPath.length &&
+      explanation.path.every((room, index) => room === expectedPath[index]);
+
+    // Ambiguous schedules are unsuitable as deduction puzzles. The generator
+    // samples multiple seeded schedules, so returning null here makes it skip
+    // this candidate and retain only stories with one complete explanation.
+    if (!selectedStoryIsUnique) return null;
+
+    priv.heavy_sofa = {
+      carriers: expectedCarriers,
+      start_room: startRoom,
+      destination: destRoom,
+      pickup_time: pickupTime,
+      journey: journey,
+      path: expectedPath,
+      sofa_positions: sofaPositions,
+      carrying_timeline: carryingStates,
+      explanation_count: explanations.length,
+    };
+  },
+  roles: ({ privKeys, C }) => [
+    C.map((c) => c === privKeys.S18.carrier1 || c === privKeys.S18.carrier2),
+  ],
+  score(res, cfg) {
+    const info = res.priv.heavy_sofa;
+    if (!info) return null;
+
+    let score = 0;
+
+    // Longer journey = harder puzzle
+    score += info.path.length * 30;
+
+    // Later pickup = more pre-pickup noise
+    score += (info.pickup_time || 1) * 20;
+
+    // More characters = more potential carrier pairs
+    const numChars = cfg.chars.length;
+    const numPossiblePairs = (numChars * (numChars - 1)) / 2;
+    score += numPossiblePairs * 15;
+
+    // More rooms = more possible start locations
+    score += cfg.rooms.length * 10;
+
+    return score;
+  },
+  describe(res) {
+    const info = res.priv.heavy_sofa;
+    if (!info) return [];
+    return [
+      ...info.carriers.map((ch) => ({
+        type: "sofa",
+        char: ch,
+        text: "Sofa carrier",
+      })),
+      {
+        type: "sofa",
+        text: `Sofa started in ${info.start_room}, picked up at t=${info.pickup_time}`,
+      },
+      {
+        type: "sofa",
+        text: `Path: ${info.path.join(" → ")}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { rooms, edges, chars, T }) {
+    const sofa = priv.heavy_sofa;
+    const [a, b] = sofa.carriers ?? [];
+    if (!chars.includes(a) || !chars.includes(b) || a === b) {
+      return [`the carriers must be two distinct characters: ${a}, ${b}`];
+    }
+    const pickup = sofa.pickup_time;
+    if (!Number.isInteger(pickup) || pickup < 1 || pickup > T) {
+      return [`the pickup time is not a timestep: ${pickup}`];
+    }
+    const destination = [...rooms].sort()[0];
+    const violations = [];
+    if (sofa.start_room === destination) {
+      violations.push(
+        `the sofa cannot start in its destination, ${destination}`,
+      );
+    }
+    const present = occupants(schedule, chars, pickup - 1, sofa.start_room);
+    if (present.length !== 2 || !present.includes(a) || !present.includes(b)) {
+      violations.push(
+        `only ${a} and ${b} may be in ${sofa.start_room} at the pickup, t=${pickup}`,
+      );
+    }
+    if (pickup > 1 && schedule[a][pickup - 2] === schedule[b][pickup - 2]) {
+      violations.push(`${a} and ${b} are together right before the pickup`);
+    }
+
+    // During transport the carriers move together along a simple path.
+    const path = [];
+    for (let t = pickup - 1; t < T; t++) {
+      if (schedule[a][t] !== schedule[b][t]) {
+        violations.push(
+          `${a} and ${b} separate at t=${t + 1} while carrying the sofa`,
+        );
+        break;
+      }
+      if (path.includes(schedule[a][t])) {
+        violations.push(`the sofa revisits ${schedule[a][t]} at t=${t + 1}`);
+        break;
+      }
+      path.push(schedule[a][t]);
+    }
+    if (
+      path[path.length - 1] !== destination ||
+      path.length !== T - pickup + 1
+    ) {
+      violations.push(
+        `the sofa must reach ${destination} at the final timestep`,
+      );
+    }
+    if (sofa.path.join() !== path.join()) {
+      violations.push(`the sofa's path must be ${path.join(" -> ")}`);
+    }
+    const stories = findHeavySofaExplanations(schedule, rooms, edges, chars);
+    if (stories.length !== 1) {
+      violations.push(
+        `the schedule has ${stories.length} explanations for the sofa instead of one`,
+      );
+    }
+    return violations;
+  },
+};
@@ -0,0 +1,348 @@
+/* S19: Crowded Alibi — the celebrity is in a largest group at every timestep
+   and nobody else is; the seed picks the celebrity and the timestep whose
+   unique largest group reveals them. */
+
+import { buildTotalizer, exactlyOne } from "../cnf.js";
+import { mulberry32 } from "../random.js";
+import { roomsAt } from "../schedule.js";
+
+export const s19 = {
+  id: "s19",
+  name: "Crowded Alibi",
+  summary: "Identify the celebrity who always rides the largest group.",
+  // The seed already chooses the celebrity and the reveal time. A fixed SAT
+  // branch order avoids coupling those choices to a particularly expensive
+  // symmetric search while preserving the scenario's seeded variety and
+  // determinism.
+  fixedSearchSeed: true,
+  scoreKey: "crowdedAlibi",
+  // While S17's trio meets alone, the celebrity (never one of the trio) must
+  // be in a largest group, and a second trio alone is forbidden.
+  conflictsWith({ id }, config) {
+    if (id !== "s17" || (config.chars?.length ?? 0) >= 7) return null;
+    return "while S17's trio meets alone, the celebrity needs a group of at least four, so they need at least 7 characters";
+  },
+  validate(config) {
+    if ((config.rooms?.length ?? 0) < 3) {
+      throw new Error("S19 requires at least 3 rooms");
+    }
+    if ((config.chars?.length ?? 0) < 3) {
+      throw new Error("S19 requires at least 3 characters");
+    }
+    if (!Number.isInteger(config.T) || config.T < 2) {
+      throw new Error(
+        "S19 requires at least 2 timesteps so the reveal can be followed by another elimination opportunity",
+      );
+    }
+  },
+  encode({ vp, clauses, X, R, C, T, group, seededChoices }) {
+    group(
+      "s19-crowd",
+      "S19: the celebrity is always in a largest group and nobody else is",
+    );
+    // CELEB picks the celebrity and REVEAL the reveal timestep. The first
+    // unique maximum cannot be the final timestep in the minimum
+    // configuration: at least one later turn is needed to eliminate whichever
+    // non-celebrity shares the reveal crowd with the celebrity.
+    const CELEB = C.map((_, ci) => vp.get(`S19_CELEB_${C[ci]}`));
+    clauses.push(...exactlyOne(CELEB));
+    const REVEAL = Array.from({ length: T - 1 }, (_, t) =>
+      vp.get(`S19_REVEAL_${t}`),
+    );
+    clauses.push(...exactlyOne(REVEAL));
+
+    // AT[t][ri]: the celebrity is in room ri at timestep t.
+    const AT = Array.from({ length: T }, (_, t) =>
+      R.map((_, ri) => {
+        const at = vp.get(`S19_AT_${t}_${R[ri]}`);
+        for (let ci = 0; ci < C.length; ci++) {
+          clauses.push([-CELEB[ci], -X(ci, t, ri), at]);
+          clauses.push([-CELEB[ci], -at, X(ci, t, ri)]);
+        }
+        return at;
+      }),
+    );
+
+    // Build occupancy counters for each (t, room). The rooms' counts are
+    // compared with each other below, so these need every unary output
+    // rather than the fixed bounds of encodeAtMostK/encodeAtLeastK.
+    const occ = Array.from({ length: T }, () => Array(R.length).fill(null));
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        const vars = C.map((_, ci) => X(ci, t, ri));
+        occ[t][ri] = buildTotalizer(vars, vp, clauses, `S19_OCC_${t}_${R[ri]}`);
+      }
+    }
+
+    // Cache for strict greater-than comparisons between rooms
+    const gtCache = new Map();
+    function roomGreaterThan(t, ri, rj) {
+      const key = `${t}_${ri}_${rj}`;
+      if (gtCache.has(key)) return gtCache.get(key);
+
+      const base = vp.get(`S19_GT_${t}_${R[ri]}_${R[rj]}`);
+      const witnesses = [];
+      const limit = Math.min(occ[t][ri].length, occ[t][rj].length);
+      for (let k = 0; k < limit; k++) {
+        const w = vp.get(`S19_GT_${t}_${R[ri]}_${R[rj]}_${k + 1}`);
+        witnesses.push(w);
+        clauses.push([-w, occ[t][ri][k]]);
+        clauses.push([-w, -occ[t][rj][k]]);
+        clauses.push([-w, base]);
+      }
+      clauses.push([-base, ...witnesses]);
+
+      gtCache.set(key, base);
+      return base;
+    }
+
+    // Celebrity must be in a largest group each timestep (ties allowed)
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        for (let rj = 0; rj < R.length; rj++) {
+          for (let k = 0; k < occ[t][rj].length; k++) {
+            clauses.push([-AT[t][ri], -occ[t][rj][k], occ[t][ri][k]]);
+          }
+        }
+      }
+    }
+
+    // Before the designated reveal, the celebrity's maximum-sized room must be
+    // tied with at least one other room. These helpers are implications because
+    // the containing disjunction forces one valid tied-room witness per turn.
+    for (let t = 0; t < T - 1; t++) {
+      const beforeReveal = vp.get(`S19_BEFORE_${t}`);
+      for (let reveal = t + 1; reveal < T - 1; reveal++) {
+        clauses.push([-REVEAL[reveal], beforeReveal]);
+      }
+      const tieChoices = [];
+      for (let ri = 0; ri < R.length; ri++) {
+        for (let rj = 0; rj < R.length; rj++) {
+          if (ri === rj) continue;
+          const tie = vp.get(`S19_TIE_${t}_${R[ri]}_${R[rj]}`);
+          tieChoices.push(tie);
+          clauses.push([-tie, AT[t][ri]]);
+          for (let k = 0; k < C.length; k++) {
+            clauses.push([-tie, -occ[t][ri][k], occ[t][rj][k]]);
+            clauses.push([-tie, -occ[t][rj][k], occ[t][ri][k]]);
+          }
+        }
+      }
+      clauses.push([-beforeReveal, ...tieChoices]);
+    }
+
+    // At the chosen reveal timestep, the celebrity's room is the unique maximum.
+    for (let t = 0; t < T - 1; t++) {
+      const uniqueMaxChoices = [];
+      for (let ri = 0; ri < R.length; ri++) {
+        const uniq = vp.get(`S19_UNIQUE_${t}_${R[ri]}`);
+        uniqueMaxChoices.push(uniq);
+        clauses.push([-uniq, AT[t][ri]]);
+        for (let rj = 0; rj < R.length; rj++) {
+          if (rj === ri) continue;
+          const gt = roomGreaterThan(t, ri, rj);
+          clauses.push([-uniq, gt]);
+        }
+      }
+      clauses.push([-REVEAL[t], ...uniqueMaxChoices]);
+    }
+
+    // No other character can be in a max-sized room every timestep
+    for (let ci = 0; ci < C.length; ci++) {
+      const escapeMoments = [];
+      for (let t = 0; t < T; t++) {
+        const notMax = vp.get(`S19_NOTMAX_${C[ci]}_${t}`);
+        escapeMoments.push(notMax);
+
+        const witnesses = [];
+        for (let ri = 0; ri < R.length; ri++) {
+          for (let rj = 0; rj < R.length; rj++) {
+            if (ri === rj) continue;
+            const w = vp.get(`S19_DIFF_${C[ci]}_${t}_${R[ri]}_${R[rj]}`);
+            witnesses.push(w);
+            clauses.push([-w, AT[t][ri]]);
+            clauses.push([-w, X(ci, t, rj)]);
+            const gt = roomGreaterThan(t, ri, rj);
+            clauses.push([-w, gt]);
+            clauses.push([-w, notMax]);
+          }
+        }
+        if (witnesses.length) clauses.push([-notMax, ...witnesses]);
+      }
+      if (escapeMoments.length) clauses.push([CELEB[ci], ...escapeMoments]);
+    }
+
+    seededChoices.push((seed) => {
+      const rng = mulberry32(seed);
+      const celebIdx = Math.floor(rng() * C.length);
+      const revealTime = Math.floor(rng() * (T - 1));
+      return {
+        id: "s19-seeded-reveal",
+        description: `S19: ${C[celebIdx]} is the celebrity and the crowd is revealed at time ${revealTime + 1}`,
+        units: [CELEB[celebIdx], REVEAL[revealTime]],
+        privKeys: { S19: { celebrity: C[celebIdx], revealTime } },
+      };
+    });
+  },
+  decode({ R, C, T, schedule, privKeys, priv }) {
+    const { celebrity, revealTime } = privKeys.S19;
+
+    const maxTimeline = [];
+    const missedMax = {};
+    for (const ch of C) {
+      if (ch !== celebrity) missedMax[ch] = [];
+    }
+
+    const uniqueReveals = [];
+
+    for (let t = 0; t < T; t++) {
+      const counts = {};
+      for (const room of R) counts[room] = 0;
+      for (const ch of C) {
+        const room = schedule[ch][t];
+        counts[room] = (counts[room] ?? 0) + 1;
+      }
+
+      const maxSize = Math.max(...Object.values(counts));
+      const maxRooms = Object.keys(counts).filter((r) => counts[r] === maxSize);
+      const celebRoom = schedule[celebrity][t];
+      const celebInMax = maxRooms.includes(celebRoom);
+
+      for (const ch of C) {
+        if (ch === celebrity) continue;
+        if (!maxRooms.includes(schedule[ch][t])) missedMax[ch].push(t + 1);
+      }
+
+      if (maxRooms.length === 1 && celebRoom === maxRooms[0]) {
+        uniqueReveals.push({ time: t + 1, room: maxRooms[0], size: maxSize });
+      }
+
+      maxTimeline.push({
+        time: t + 1,
+        size: maxSize,
+        rooms: maxRooms,
+        celebrity_room: celebRoom,
+        celebrity_in_max: celebInMax,
+      });
+    }
+
+    const uniqueReveal = uniqueReveals.find(
+      (reveal) => reveal.time === revealTime + 1,
+    );
+
+    priv.crowded_alibi = {
+      celebrity,
+      max_timeline: maxTimeline,
+      unique_reveal: uniqueReveal,
+      unique_reveals: uniqueReveals,
+      designated_reveal_time: revealTime + 1,
+      missed_max: missedMax,
+    };
+  },
+  roles: ({ vp, C }) => [C.map((c) => vp.getExisting(`S19_CELEB_${c}`))],
+  score(res, cfg) {
+    const info = res.priv.crowded_alibi;
+    if (!info) return null;
+
+    let score = 0;
+
+    // More timesteps = more max-group evidence to sift through
+    score += cfg.T * 10;
+
+    // Unique reveal earlier is slightly easier; later bumps difficulty
+    if (info.unique_reveal) {
+      score += 60 + info.unique_reveal.time * 5;
+    } else {
+      score += 40; // Safety net if unique reveal decoding fails
+    }
+
+    // A suspect remains plausible until their first turn outside a maximum
+    // group. Later first misses are therefore harder; repeated misses after a
+    // suspect has already been eliminated do not add difficulty.
+    const firstMissDifficulty = Object.values(info.missed_max || {}).reduce(
+      (sum, times) => sum + (times[0] ?? 0),
+      0,
+    );
+    score += firstMissDifficulty * 5;
+
+    // Bigger casts and maps increase the search space
+    score += cfg.chars.length * 8;
+    score += cfg.rooms.length * 6;
+
+    return score;
+  },
+  describe(res) {
+    const info = res.priv.crowded_alibi;
+    if (!info) return [];
+    const facts = [
+      {
+        type: "crowd",
+        char: info.celebrity,
+        text: "Celebrity always in a largest group",
+      },
+    ];
+    if (info.unique_reveal) {
+      facts.push({
+        type: "crowd",
+        text: `Designated unique-max reveal @ t=${info.unique_reveal.time} in ${info.unique_reveal.room}`,
+      });
+    }
+    const missPieces = Object.entries(info.missed_max || {}).map(
+      ([ch, times]) => `${ch} misses @ t=${times.join(",") || "—"}`,
+    );
+    facts.push(
+      {
+        type: "crowd",
+        text: `Max sizes: ${info.max_timeline.map((m) => `t${m.time}:${m.size}`).join(", ")}`,
+      },
+      {
+        type: "crowd",
+        text: `Non-celebs skip max: ${missPieces.join("; ")}`,
+      },
+    );
+    return facts;
+  },
+  verify({ schedule, priv }, { chars, T }) {
+    const { celebrity, designated_reveal_time: reveal } = priv.crowded_alibi;
+    if (!chars.includes(celebrity)) {
+      return [`the celebrity must be a character: ${celebrity}`];
+    }
+    if (!Number.isInteger(reveal) || reveal < 1 || reveal >= T) {
+      return [`the reveal must be a non-final timestep: t=${reveal}`];
+    }
+    const violations = [];
+    const missedMax = new Set();
+    for (let t = 0; t < T; t++) {
+      const groups = [...roomsAt(schedule, chars, t)];
+      const size = Math.max(...groups.map(([, present]) => present.length));
+      const largest = groups
+        .filter(([, present]) => present.length === size)
+        .map(([room]) => room);
+      const room = schedule[celebrity][t];
+      if (!largest.includes(room)) {
+        violations.push(
+          `the celebrity ${celebrity} is not in a largest group at t=${t + 1}`,
+        );
+      } else if (t < reveal - 1 && largest.length === 1) {
+        violations.push(
+          `the celebrity's room ${room} is the only largest room at t=${t + 1}, before the reveal`,
+        );
+      } else if (t === reveal - 1 && largest.length > 1) {
+        violations.push(
+          `the celebrity's room ${room} must be the only largest room at the reveal, t=${reveal}`,
+        );
+      }
+      for (const ch of chars) {
+        if (!largest.includes(schedule[ch][t])) missedMax.add(ch);
+      }
+    }
+    for (const ch of chars) {
+      if (ch !== celebrity && !missedMax.has(ch)) {
+        violations.push(
+          `${ch} is in a largest group at every timestep, like the celebrity`,
+        );
+      }
+    }
+    return violations;
+  },
+};
@@ -0,0 +1,113 @@
+/* S2: Phantom — one character is alone at every timestep, and every other
+   character is with someone at least once. */
+
+import { exactlyOne } from "../cnf.js";
+import { companions } from "../schedule.js";
+
+export const s2 = {
+  id: "s2",
+  name: "Phantom",
+  summary: "One character is alone at every time. Who?",
+  symmetricRoles: ["PH"],
+  scoreKey: "phantom",
+  encode({ vp, clauses, X, R, C, T, group, privKeys }) {
+    group("s2-phantom-alone", "S2: the phantom is alone at every timestep");
+    const PH = C.map((_, ci) => vp.get(`PH_${C[ci]}`));
+    clauses.push(...exactlyOne(PH));
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        for (let ci = 0; ci < C.length; ci++) {
+          for (let cj = 0; cj < C.length; cj++) {
+            if (ci === cj) continue;
+            clauses.push([-PH[ci], -X(ci, t, ri), -X(cj, t, ri)]);
+          }
+        }
+      }
+    }
+    group(
+      "s2-others-meet",
+      "S2: every other character is with someone at least once",
+    );
+    for (let ci = 0; ci < C.length; ci++) {
+      const atLeastOnceNotAlone = [];
+      for (let t = 0; t < T; t++) {
+        for (let ri = 0; ri < R.length; ri++) {
+          for (let cj = 0; cj < C.length; cj++) {
+            if (ci === cj) continue;
+            const bothThere = vp.get(`notAlone_${ci}_${t}_${ri}_${cj}`);
+            clauses.push([-bothThere, X(ci, t, ri)]);
+            clauses.push([-bothThere, X(cj, t, ri)]);
+            clauses.push([-X(ci, t, ri), -X(cj, t, ri), bothThere]);
+            atLeastOnceNotAlone.push(bothThere);
+          }
+        }
+      }
+      clauses.push([PH[ci], ...atLeastOnceNotAlone]);
+    }
+    privKeys.PH = PH;
+  },
+  decode({ C, val, priv }) {
+    for (let ci = 0; ci < C.length; ci++) {
+      if (val(`PH_${C[ci]}`)) {
+        priv.phantom = C[ci];
+        break;
+      }
+    }
+  },
+  roles: ({ privKeys }) => [privKeys.PH],
+  culpritVariables: (privKeys) => privKeys.PH,
+  answerFacts: (priv) => [[[`PH_${priv.phantom}`]]],
+  score(res, cfg) {
+    if (!res.priv.phantom) return null;
+    const phantom = res.priv.phantom;
+    const T = cfg.T;
+    const chars = cfg.chars;
+    let score = 0;
+    for (const char of chars) {
+      if (char === phantom) continue;
+      let aloneCount = 0;
+      for (let t = 0; t < T; t++) {
+        const room = res.schedule[char][t];
+        const othersInRoom = chars.filter(
+          (c) => c !== char && res.schedule[c][t] === room,
+        ).length;
+        if (othersInRoom === 0) aloneCount++;
+      }
+      if (aloneCount >= T - 2) score += 100 * (aloneCount / T);
+      else if (aloneCount >= T / 2) score += 50 * (aloneCount / T);
+    }
+    return score;
+  },
+  describe(res) {
+    return [
+      {
+        type: "phantom",
+        char: res.priv.phantom,
+        text: "Phantom (alone at every time)",
+      },
+    ];
+  },
+  verify({ schedule, priv }, { chars, T }) {
+    const { phantom } = priv;
+    if (!chars.includes(phantom)) {
+      return [`the phantom must be a character: ${phantom}`];
+    }
+    const violations = [];
+    for (let t = 0; t < T; t++) {
+      const others = companions(schedule, chars, t, phantom);
+      if (others.length) {
+        violations.push(
+          `the phantom ${phantom} is with ${others.join(", ")} at t=${t + 1}`,
+        );
+      }
+    }
+    for (const ch of chars) {
+      if (ch === phantom) continue;
+      const meets = schedule[ch].some(
+        (_, t) => companions(schedule, chars, t, ch).length,
+      );
+      if (!meets) violations.push(`${ch} never shares a room with anyone`);
+    }
+    return violations;
+  },
+};
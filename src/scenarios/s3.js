@@ -0,0 +1,225 @@
+/* S3: Singer's Jewels — the first lone visitor to the alphabetically first
+   room steals the jewels, which pass on whenever their holder is alone with
+   one other character. The seed picks the pickup time. */
+
+import { mulberry32 } from "../random.js";
+import { companions, occupants } from "../schedule.js";
+
+export const s3 = {
+  id: "s3",
+  name: "Singer's Jewels",
+  summary: "First lone visitor to the earliest room steals the jewels.",
+  bakesSeed: true,
+  scoreKey: "jewels",
+  encode({ seed, vp, clauses, X, R, C, T, Ridx, group, privKeys }) {
+    group(
+      "s3-jewels",
+      "S3: someone is alone in the jewel room when the jewels are picked up",
+    );
+    if (!R.length) throw new Error("S3 requires at least one room");
+    const rng = mulberry32(seed);
+    const pickupWindow = Math.min(3, T);
+    const pickupStart =
+      C.length === 1 ? 1 : 1 + Math.floor(rng() * pickupWindow);
+    const alphabeticRoom = [...R].sort()[0];
+    const ri = Ridx.get(alphabeticRoom);
+    if (ri == null) throw new Error("S3 alphabetic room missing");
+    const aloneAtPickup = [];
+    const firstRoomVar = [];
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T; t++) {
+        firstRoomVar.push(X(ci, t, ri));
+      }
+    }
+
+    // At least one visit
+    clauses.push(firstRoomVar);
+
+    // Ensure someone visits the room alone at the pickup time (well-defined first thief)
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T; t++) {
+        const alone = vp.get(`S3Alone_${C[ci]}_${t}`);
+
+        if (t + 1 === pickupStart) {
+          aloneAtPickup.push(alone);
+        } else if (t + 1 < pickupStart) {
+          // No solo visits to the jewel room before the pickup window
+          clauses.push([-alone]);
+
+          if (C.length > 1) {
+            const withCompanion = [-X(ci, t, ri)];
+            for (let cj = 0; cj < C.length; cj++) {
+              if (cj === ci) continue;
+              withCompanion.push(X(cj, t, ri));
+            }
+            clauses.push(withCompanion);
+          }
+        }
+
+        // If alone is true, ci is in the alphabetic room and nobody else is
+        clauses.push([-alone, X(ci, t, ri)]);
+        for (let cj = 0; cj < C.length; cj++) {
+          if (cj === ci) continue;
+          clauses.push([-alone, -X(cj, t, ri)]);
+        }
+      }
+    }
+
+    clauses.push(aloneAtPickup);
+
+    privKeys.S3 = { pickupStart };
+  },
+  decode({ R, C, T, schedule, privKeys, priv }) {
+    const jewelRoom = [...R].sort()[0];
+    const pickupStart = privKeys.S3?.pickupStart ?? 1;
+
+    // Find who visits the jewel room alone first (earliest timestep)
+    let firstThief = null;
+    let firstThiefTime = null;
+    for (let t = 0; t < T; t++) {
+      const visitorsAtT = C.filter((ch) => schedule[ch][t] === jewelRoom);
+      if (visitorsAtT.length === 1) {
+        firstThief = visitorsAtT[0];
+        firstThiefTime = t + 1;
+        break;
+      }
+    }
+
+    // Simulate jewel passing: jewels pass when holder meets exactly one other person
+    const passingChain = [];
+    let currentHolder = firstThief;
+
+    if (currentHolder) {
+      passingChain.push({
+        holder: currentHolder,
+        time: firstThiefTime,
+        room: jewelRoom,
+        event: "pickup",
+      });
+
+      for (let t = firstThiefTime - 1; t < T; t++) {
+        if (!currentHolder) break;
+        const holderRoom = schedule[currentHolder][t];
+        const occupants = C.filter((ch) => schedule[ch][t] === holderRoom);
+
+        // Jewels pass when holder meets exactly one other person (2 people total in room)
+        if (occupants.length === 2) {
+          const otherPerson = occupants.find((ch) => ch !== currentHolder);
+          if (otherPerson && otherPerson !== currentHolder) {
+            passingChain.push({
+              from: currentHolder,
+              to: otherPerson,
+              time: t + 1,
+              room: holderRoom,
+              event: "pass",
+            });
+            currentHolder = otherPerson;
+          }
+        }
+      }
+    }
+
+    // Who has the jewels at the end?
+    const finalHolder = currentHolder;
+
+    priv.singers_jewels = {
+      jewel_room: jewelRoom,
+      first_thief: firstThief,
+      first_thief_time: firstThiefTime,
+      pickup_start: pickupStart,
+      passing_chain: passingChain,
+      final_holder: finalHolder,
+      total_passes: passingChain.filter((p) => p.event === "pass").length,
+    };
+  },
+  score(res, cfg) {
+    const T = cfg.T;
+    const rooms = cfg.rooms;
+    const chars = cfg.chars;
+    const jewelRoom =
+      res.priv.singers_jewels?.jewel_room ?? [...rooms].sort()[0];
+    let score = 0;
+    for (let t = 0; t < T; t++) {
+      for (const room of rooms) {
+        let count = 0;
+        for (const char of chars) {
+          if (res.schedule[char][t] === room) count++;
+        }
+        if (count === 2) score += room === jewelRoom ? 80 : 40;
+      }
+    }
+    return score;
+  },
+  describe(res) {
+    const info = res.priv.singers_jewels;
+    if (!info) return [];
+    const facts = [
+      {
+        type: "jewels",
+        char: info.first_thief,
+        text: `First thief @ t=${info.first_thief_time} in ${info.jewel_room}`,
+      },
+    ];
+    if (info.final_holder && info.final_holder !== info.first_thief) {
+      facts.push({
+        type: "jewels",
+        char: info.final_holder,
+        text: `Final holder (${info.total_passes} pass${info.total_passes !== 1 ? "es" : ""})`,
+      });
+    }
+    return facts;
+  },
+  verify({ schedule, priv }, { rooms, chars, T }) {
+    const jewels = priv.singers_jewels;
+    const jewelRoom = [...rooms].sort()[0];
+    const violations = [];
+    if (jewels.jewel_room !== jewelRoom) {
+      violations.push(
+        `the jewel room must be the alphabetically first room, ${jewelRoom}`,
+      );
+    }
+    const pickup = jewels.pickup_start;
+    const window = chars.length === 1 ? 1 : Math.min(3, T);
+    if (!Number.isInteger(pickup) || pickup < 1 || pickup > window) {
+      violations.push(
+        `the pickup must happen within the first ${window} timesteps: t=${pickup}`,
+      );
+      return violations;
+    }
+    for (let t = 0; t < pickup - 1; t++) {
+      const present = occupants(schedule, chars, t, jewelRoom);
+      if (present.length === 1) {
+        violations.push(
+          `${present[0]} is alone in ${jewelRoom} at t=${t + 1}, before the pickup`,
+        );
+      }
+    }
+    const present = occupants(schedule, chars, pickup - 1, jewelRoom);
+    if (present.length !== 1) {
+      violations.push(
+        `exactly one character must be alone in ${jewelRoom} at the pickup, t=${pickup}`,
+      );
+      return violations;
+    }
+
+    // Replay the jewels: they pass whenever the holder has one companion.
+    let holder = present[0];
+    if (jewels.first_thief !== holder || jewels.first_thief_time !== pickup) {
+      violations.push(`the first thief must be ${holder} at t=${pickup}`);
+    }
+    let passes = 0;
+    for (let t = pickup; t < T; t++) {
+      const others = companions(schedule, chars, t, holder);
+      if (others.length === 1) {
+        holder = others[0];
+        passes++;
+      }
+    }
+    if (jewels.final_holder !== holder || jewels.total_passes !== passes) {
+      violations.push(
+        `the jewels must end with ${holder} after ${passes} passes`,
+      );
+    }
+    return violations;
+  },
+};
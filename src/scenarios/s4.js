@@ -0,0 +1,180 @@
+/* S4: Bomb Duo — the two bombers are the only pair ever alone together. */
+
+import { exactlyOne } from "../cnf.js";
+import { roomsAt } from "../schedule.js";
+
+export const s4 = {
+  id: "s4",
+  name: "Bomb Duo",
+  summary: "Two culprits are the only pair ever alone together.",
+  symmetricRoles: ["A1", "A2"],
+  scoreKey: "bomb",
+  // Roles of combined scenarios go to different characters, so a poisoner
+  // alone with a victim would be a second pair alone together.
+  conflictsWith({ id }) {
+    if (id === "s1") {
+      return "S1's assassin must be alone with the victim, but only the bombers may ever be alone as a pair";
+    }
+    if (id === "s7") {
+      return "S7's Aggrosassin must be alone with their victims, but only the bombers may ever be alone as a pair";
+    }
+    return null;
+  },
+  encode({ vp, clauses, X, R, C, T, group, privKeys }) {
+    group(
+      "s4-bombers",
+      "S4: the bombers are the only pair ever alone together",
+    );
+    const A1 = C.map((_, ci) => vp.get(`A1_${C[ci]}`));
+    const A2 = C.map((_, ci) => vp.get(`A2_${C[ci]}`));
+    clauses.push(...exactlyOne(A1));
+    clauses.push(...exactlyOne(A2));
+    for (let ci = 0; ci < C.length; ci++) {
+      clauses.push([-A1[ci], -A2[ci]]);
+    }
+
+    // Bombers are the ONLY pair ever alone together
+    const bomberAloneChoices = Array.from({ length: C.length }, () =>
+      Array.from({ length: C.length }, () => []),
+    );
+    const bomberPairs = [];
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let cj = ci + 1; cj < C.length; cj++) {
+        const pair1 = vp.get(`pair1_${ci}_${cj}`);
+        const pair2 = vp.get(`pair2_${ci}_${cj}`);
+
+        clauses.push([-pair1, A1[ci]]);
+        clauses.push([-pair1, A2[cj]]);
+        clauses.push([-A1[ci], -A2[cj], pair1]);
+
+        clauses.push([-pair2, A1[cj]]);
+        clauses.push([-pair2, A2[ci]]);
+        clauses.push([-A1[cj], -A2[ci], pair2]);
+
+        bomberPairs.push({ ci, cj, pair1, pair2 });
+      }
+    }
+
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        for (const { ci, cj, pair1, pair2 } of bomberPairs) {
+          const exactlyTwo = vp.get(`exactlyTwo_${t}_${ri}_${ci}_${cj}`);
+
+          bomberAloneChoices[ci][cj].push(exactlyTwo);
+          bomberAloneChoices[cj][ci].push(exactlyTwo);
+
+          clauses.push([-exactlyTwo, X(ci, t, ri)]);
+          clauses.push([-exactlyTwo, X(cj, t, ri)]);
+
+          for (let ck = 0; ck < C.length; ck++) {
+            if (ck === ci || ck === cj) continue;
+            clauses.push([-exactlyTwo, -X(ck, t, ri)]);
+          }
+
+          const someoneElse = [];
+          for (let ck = 0; ck < C.length; ck++) {
+            if (ck === ci || ck === cj) continue;
+            someoneElse.push(X(ck, t, ri));
+          }
+          clauses.push([
+            exactlyTwo,
+            -X(ci, t, ri),
+            -X(cj, t, ri),
+            ...someoneElse,
+          ]);
+
+          clauses.push([-exactlyTwo, pair1, pair2]);
+        }
+      }
+    }
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let cj = ci + 1; cj < C.length; cj++) {
+        const choices = bomberAloneChoices[ci][cj];
+        if (!choices.length) continue;
+        clauses.push([-A1[ci], -A2[cj], ...choices]);
+        clauses.push([-A1[cj], -A2[ci], ...choices]);
+      }
+    }
+
+    privKeys.A1 = A1;
+    privKeys.A2 = A2;
+  },
+  decode({ C, val, priv }) {
+    let a1 = null,
+      a2 = null;
+    for (let ci = 0; ci < C.length; ci++) {
+      if (val(`A1_${C[ci]}`)) a1 = C[ci];
+      if (val(`A2_${C[ci]}`)) a2 = C[ci];
+    }
+    priv.bomb_duo = [a1, a2];
+  },
+  roles: ({ privKeys }) => [privKeys.A1, privKeys.A2],
+  culpritVariables: (privKeys) => [...privKeys.A1, ...privKeys.A2],
+  // The bombers are an unordered pair, so both role orders are the same answer.
+  answerFacts: ({ bomb_duo: [a, b] }) => [
+    [
+      [`A1_${a}`, `A2_${b}`],
+      [`A1_${b}`, `A2_${a}`],
+    ],
+  ],
+  score(res, cfg) {
+    if (!res.priv.bomb_duo) return null;
+    const [bomber1, bomber2] = res.priv.bomb_duo;
+    const T = cfg.T;
+    const chars = cfg.chars;
+    let score = 0;
+    for (let t = 0; t < T; t++) {
+      const room1 = res.schedule[bomber1][t];
+      const room2 = res.schedule[bomber2][t];
+      if (room1 === room2) {
+        const othersInRoom = chars.filter(
+          (c) => c !== bomber1 && c !== bomber2 && res.schedule[c][t] === room1,
+        ).length;
+        if (othersInRoom > 0) score += 40;
+      }
+    }
+    for (let t = 0; t < T; t++) {
+      for (const room of cfg.rooms) {
+        const charsInRoom = chars.filter((c) => res.schedule[c][t] === room);
+        if (charsInRoom.length === 3) score += 30;
+      }
+    }
+    return score;
+  },
+  describe(res) {
+    const [bomber1, bomber2] = res.priv.bomb_duo;
+    return [
+      {
+        type: "bomb",
+        chars: res.priv.bomb_duo,
+        text: `Bomb duo: ${bomber1} + ${bomber2}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { chars, T }) {
+    const [a, b] = priv.bomb_duo ?? [];
+    if (!chars.includes(a) || !chars.includes(b) || a === b) {
+      return [`the bomb duo must be two distinct characters: ${a}, ${b}`];
+    }
+    const violations = [];
+    let aloneTogether = false;
+    for (let t = 0; t < T; t++) {
+      for (const [room, present] of roomsAt(schedule, chars, t)) {
+        if (present.length !== 2) continue;
+        if (present.includes(a) && present.includes(b)) {
+          aloneTogether = true;
+        } else {
+          violations.push(
+            `${present.join(" and ")} are alone together in ${room} at t=${t + 1}, but only the bomb duo may be`,
+          );
+        }
+      }
+    }
+    if (!aloneTogether) {
+      violations.push(`the bomb duo ${a} and ${b} are never alone together`);
+    }
+    return violations;
+  },
+};
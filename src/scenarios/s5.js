@@ -0,0 +1,170 @@
+/* S5: Lovers — two lovers never meet, and every other pair meets at least
+   once. Together with S2 this is S6, where the phantom (never a lover, see the
+   role rule in buildCNF) does not have to meet anyone. */
+
+import { exactlyOne } from "../cnf.js";
+
+export const s5 = {
+  id: "s5",
+  name: "Lovers",
+  summary: "Two lovers never meet; all other pairs must meet.",
+  symmetricRoles: ["L1", "L2"],
+  scoreKey: "lovers",
+  validate(config) {
+    if (!config.scenarios.s2) return;
+    if ((config.chars?.length ?? 0) < 4) {
+      throw new Error("S6 requires at least 4 characters");
+    }
+    if ((config.rooms?.length ?? 0) < 3) {
+      throw new Error("S6 requires at least 3 rooms");
+    }
+    if (!Number.isInteger(config.T) || config.T < 2) {
+      throw new Error("S6 requires at least 2 timesteps");
+    }
+  },
+  encode({ config, vp, clauses, X, R, C, T, group, privKeys }) {
+    // S2 is registered first, so with S6 the phantom roles already exist.
+    const PH = privKeys.PH;
+    group("s5-lovers", "S5: two distinct lovers are chosen");
+    const L1 = C.map((_, ci) => vp.get(`L1_${C[ci]}`));
+    const L2 = C.map((_, ci) => vp.get(`L2_${C[ci]}`));
+    clauses.push(...exactlyOne(L1));
+    clauses.push(...exactlyOne(L2));
+    for (let ci = 0; ci < C.length; ci++) {
+      clauses.push([-L1[ci], -L2[ci]]);
+    }
+
+    group("s5-lovers-apart", "S5: the lovers never meet");
+    // Lovers never meet
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        for (let c1 = 0; c1 < C.length; c1++) {
+          for (let c2 = 0; c2 < C.length; c2++) {
+            if (c1 === c2) continue;
+            clauses.push([-L1[c1], -L2[c2], -X(c1, t, ri), -X(c2, t, ri)]);
+          }
+        }
+      }
+    }
+
+    group("s5-pairs-meet", "S5: every other pair meets at least once");
+    // Every pair except the lover pair must meet at least once.
+    // In S6, pairs containing the phantom are excluded.
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let cj = ci + 1; cj < C.length; cj++) {
+        // Create variable: ci and cj meet at least once
+        const pairMeets = [];
+        for (let t = 0; t < T; t++) {
+          for (let ri = 0; ri < R.length; ri++) {
+            const bothThere = vp.get(`loverPairMeet_${ci}_${cj}_${t}_${ri}`);
+            // bothThere ⇔ (X(ci,t,ri) ∧ X(cj,t,ri))
+            clauses.push([-bothThere, X(ci, t, ri)]);
+            clauses.push([-bothThere, X(cj, t, ri)]);
+            clauses.push([-X(ci, t, ri), -X(cj, t, ri), bothThere]);
+            pairMeets.push(bothThere);
+          }
+        }
+
+        // Require regular pairs to meet; lover/regular requirements are below.
+        const meetLits = [...pairMeets];
+        if (config.scenarios.s2 && PH) {
+          meetLits.push(PH[ci], PH[cj]);
+          // S6: exclude pairs containing the phantom.
+          clauses.push([L1[ci], L2[ci], L1[cj], L2[cj], ...meetLits]);
+        } else {
+          // S5: every regular pair must meet.
+          clauses.push([L1[ci], L2[ci], L1[cj], L2[cj], ...meetLits]);
+        }
+
+        // Each lover must also meet every regular character.
+        clauses.push([-L1[ci], L2[cj], ...meetLits]);
+        clauses.push([-L2[ci], L1[cj], ...meetLits]);
+        clauses.push([-L1[cj], L2[ci], ...meetLits]);
+        clauses.push([-L2[cj], L1[ci], ...meetLits]);
+      }
+    }
+
+    privKeys.L1 = L1;
+    privKeys.L2 = L2;
+  },
+  decode({ C, val, priv }) {
+    let l1 = null,
+      l2 = null;
+    for (let ci = 0; ci < C.length; ci++) {
+      if (val(`L1_${C[ci]}`)) l1 = C[ci];
+      if (val(`L2_${C[ci]}`)) l2 = C[ci];
+    }
+    if (l1 && l2) priv.lovers = [l1, l2];
+  },
+  roles: ({ privKeys }) => [privKeys.L1, privKeys.L2],
+  culpritVariables: (privKeys) => [...privKeys.L1, ...privKeys.L2],
+  // The lovers are an unordered pair, so both role orders are the same answer.
+  answerFacts: ({ lovers: [a, b] }) => [
+    [
+      [`L1_${a}`, `L2_${b}`],
+      [`L1_${b}`, `L2_${a}`],
+    ],
+  ],
+  score(res, cfg) {
+    if (!res.priv.lovers) return null;
+    const [lover1, lover2] = res.priv.lovers;
+    const phantom = res.priv.phantom;
+    const T = cfg.T;
+    const chars = cfg.chars;
+    let score = 0;
+    for (let i = 0; i < chars.length; i++) {
+      for (let j = i + 1; j < chars.length; j++) {
+        const c1 = chars[i],
+          c2 = chars[j];
+        if (
+          (c1 === lover1 && c2 === lover2) ||
+          (c1 === lover2 && c2 === lover1)
+        )
+          continue;
+        if (c1 === phantom || c2 === phantom) continue;
+        let meetings = 0;
+        for (let t = 0; t < T; t++) {
+          if (res.schedule[c1][t] === res.schedule[c2][t]) meetings++;
+        }
+        if (meetings === 1) score += 80;
+        else if (meetings === 2) score += 40;
+      }
+    }
+    return score;
+  },
+  describe(res) {
+    const [lover1, lover2] = res.priv.lovers ?? [];
+    if (!lover1) return [];
+    return [
+      {
+        type: "lovers",
+        chars: res.priv.lovers,
+        text: `Lovers: ${lover1} + ${lover2}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { chars, scenarios }) {
+    const [a, b] = priv.lovers ?? [];
+    if (!chars.includes(a) || !chars.includes(b) || a === b) {
+      return [`the lovers must be two distinct characters: ${a}, ${b}`];
+    }
+    // With S2 (S6) the phantom is neither a lover nor has to meet anyone.
+    const phantom = scenarios.s2 ? priv.phantom : null;
+    const violations = [];
+    if (phantom === a || phantom === b) {
+      violations.push(`the phantom ${phantom} cannot be a lover`);
+    }
+    const meet = (x, y) =>
+      schedule[x].some((room, t) => schedule[y][t] === room);
+    if (meet(a, b)) violations.push(`the lovers ${a} and ${b} meet`);
+    for (let i = 0; i < chars.length; i++) {
+      for (let j = i + 1; j < chars.length; j++) {
+        const pair = [chars[i], chars[j]];
+        if (pair.includes(a) && pair.includes(b)) continue;
+        if (pair.includes(phantom)) continue;
+        if (!meet(...pair)) violations.push(`${pair.join(" and ")} never meet`);
+      }
+    }
+    return violations;
+  },
+};
@@ -0,0 +1,257 @@
+/* S7: Aggrosassin — a serial poisoner kills everyone they are alone with and
+   must kill at least max(2, ceil(T / 2)) times. */
+
+import { encodeAtLeastK, encodeAtMostK, exactlyOne } from "../cnf.js";
+import { roomsAt } from "../schedule.js";
+
+export const s7 = {
+  id: "s7",
+  name: "Aggrosassin",
+  summary: "Serial poisoner who kills everyone they meet 1-on-1.",
+  symmetricRoles: ["AGG"],
+  scoreKey: "aggrosassin",
+  encode({ vp, clauses, X, R, C, T, group, privKeys }) {
+    group(
+      "s7-aggrosassin",
+      "S7: the aggrosassin kills everyone they are alone with",
+    );
+    if (T < 2) throw new Error("S7 requires at least two timesteps");
+    if (C.length < 2) throw new Error("S7 requires at least two characters");
+
+    const requiredKills = Math.max(2, Math.ceil(T / 2));
+    if (C.length - 1 < requiredKills) {
+      throw new Error(
+        "S7 requires at least as many potential victims as required kills",
+      );
+    }
+
+    const AGG = C.map((_, ci) => vp.get(`AGG_${C[ci]}`));
+    clauses.push(...exactlyOne(AGG));
+
+    const killTimeVars = Array.from({ length: C.length }, () =>
+      Array(T).fill(null),
+    );
+    const killVictimVars = Array.from({ length: C.length }, () =>
+      Array.from({ length: C.length }, () => Array(T).fill(null)),
+    );
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T; t++) {
+        const kt = vp.get(`AGGKillTime_${C[ci]}_${t}`);
+        killTimeVars[ci][t] = kt;
+        clauses.push([-kt, AGG[ci]]);
+      }
+
+      for (let vj = 0; vj < C.length; vj++) {
+        if (ci === vj) continue;
+        const victimsAtTimes = [];
+        for (let t = 0; t < T; t++) {
+          const kv = vp.get(`AGGKillVictim_${C[ci]}_${C[vj]}_${t}`);
+          killVictimVars[ci][vj][t] = kv;
+          victimsAtTimes.push(kv);
+          clauses.push([-kv, AGG[ci]]);
+          clauses.push([-kv, killTimeVars[ci][t]]);
+        }
+      }
+    }
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T; t++) {
+        const choices = [];
+        for (let vj = 0; vj < C.length; vj++) {
+          if (ci === vj) continue;
+          const kv = killVictimVars[ci][vj][t];
+          if (kv) choices.push(kv);
+        }
+        if (choices.length) {
+          clauses.push([-killTimeVars[ci][t], ...choices]);
+        } else {
+          clauses.push([-killTimeVars[ci][t]]);
+        }
+      }
+    }
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let vj = 0; vj < C.length; vj++) {
+        if (ci === vj) continue;
+        for (let t = 0; t < T; t++) {
+          const kv = killVictimVars[ci][vj][t];
+          if (!kv) continue;
+          const detailVars = [];
+          for (let ri = 0; ri < R.length; ri++) {
+            const detail = vp.get(
+              `AGGKillDetail_${C[ci]}_${C[vj]}_${t}_${R[ri]}`,
+            );
+            detailVars.push(detail);
+            clauses.push([-detail, AGG[ci]]);
+            clauses.push([-detail, kv]);
+            clauses.push([-detail, X(ci, t, ri)]);
+            clauses.push([-detail, X(vj, t, ri)]);
+            for (let ck = 0; ck < C.length; ck++) {
+              if (ck === ci || ck === vj) continue;
+              clauses.push([-detail, -X(ck, t, ri)]);
+            }
+
+            const reverse = [-AGG[ci], -X(ci, t, ri), -X(vj, t, ri)];
+            for (let ck = 0; ck < C.length; ck++) {
+              if (ck === ci || ck === vj) continue;
+              reverse.push(X(ck, t, ri));
+            }
+            reverse.push(detail);
+            clauses.push(reverse);
+          }
+          if (detailVars.length) {
+            clauses.push([-kv, ...detailVars]);
+          } else {
+            clauses.push([-kv]);
+          }
+        }
+      }
+    }
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let vj = 0; vj < C.length; vj++) {
+        if (ci === vj) continue;
+        const victimOccurrences = killVictimVars[ci][vj].filter(Boolean);
+        encodeAtMostK(
+          victimOccurrences,
+          1,
+          vp,
+          clauses,
+          `S7_ONCE_${C[ci]}_${C[vj]}`,
+          AGG[ci],
+        );
+      }
+    }
+
+    for (let ak = 0; ak < C.length; ak++) {
+      for (let ci = 0; ci < C.length; ci++) {
+        if (ci === ak) continue;
+        for (let cj = ci + 1; cj < C.length; cj++) {
+          if (cj === ak) continue;
+          for (let t = 0; t < T; t++) {
+            for (let ri = 0; ri < R.length; ri++) {
+              const clause = [
+                -AGG[ak],
+                -X(ci, t, ri),
+                -X(cj, t, ri),
+                X(ak, t, ri),
+              ];
+              for (let ck = 0; ck < C.length; ck++) {
+                if (ck === ak || ck === ci || ck === cj) continue;
+                clause.push(X(ck, t, ri));
+              }
+              clauses.push(clause);
+            }
+          }
+        }
+      }
+    }
+
+    group(
+      "s7-kill-quota",
+      "S7: the aggrosassin kills the required number of times",
+    );
+    for (let ci = 0; ci < C.length; ci++) {
+      encodeAtLeastK(
+        killTimeVars[ci],
+        requiredKills,
+        vp,
+        clauses,
+        `S7_KILLS_${C[ci]}`,
+        AGG[ci],
+      );
+    }
+
+    privKeys.AGG = AGG;
+  },
+  decode({ R, C, T, val, schedule, priv }) {
+    let agg = null;
+    for (let ci = 0; ci < C.length; ci++) if (val(`AGG_${C[ci]}`)) agg = C[ci];
+
+    // Calculate victims (characters alone with aggrosassin)
+    const victims = new Set();
+    for (let t = 0; t < T; t++) {
+      for (const room of R) {
+        const charsInRoom = C.filter((c) => schedule[c][t] === room);
+        if (charsInRoom.length === 2 && charsInRoom.includes(agg)) {
+          const victim = charsInRoom.find((c) => c !== agg);
+          victims.add(victim);
+        }
+      }
+    }
+
+    priv.aggrosassin = agg;
+    priv.victims = Array.from(victims);
+  },
+  roles: ({ privKeys }) => [privKeys.AGG],
+  culpritVariables: (privKeys) => privKeys.AGG,
+  answerFacts: (priv) => [[[`AGG_${priv.aggrosassin}`]]],
+  score(res, cfg) {
+    if (!res.priv.aggrosassin) return null;
+    const aggrosassin = res.priv.aggrosassin;
+    const T = cfg.T;
+    const chars = cfg.chars;
+    let score = 0;
+    const victimCount = res.priv.victims ? res.priv.victims.length : 0;
+    score += victimCount * 10;
+    for (let t = 0; t < T; t++) {
+      for (const room of cfg.rooms) {
+        const charsInRoom = chars.filter((c) => res.schedule[c][t] === room);
+        if (charsInRoom.includes(aggrosassin) && charsInRoom.length >= 3) {
+          score += charsInRoom.length - 2;
+        }
+      }
+    }
+    return score;
+  },
+  describe(res) {
+    const { aggrosassin, victims } = res.priv;
+    return [
+      {
+        type: "aggro",
+        char: aggrosassin,
+        text: `Killed ${victims.length} victim(s): ${victims.join(", ")}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { chars, T }) {
+    const agg = priv.aggrosassin;
+    if (!chars.includes(agg)) {
+      return [`the aggrosassin must be a character: ${agg}`];
+    }
+    const violations = [];
+    const kills = new Map();
+    for (let t = 0; t < T; t++) {
+      for (const [room, present] of roomsAt(schedule, chars, t)) {
+        if (present.length !== 2) continue;
+        if (!present.includes(agg)) {
+          violations.push(
+            `${present.join(" and ")} are alone together in ${room} at t=${t + 1}, without the aggrosassin`,
+          );
+          continue;
+        }
+        const victim = present.find((ch) => ch !== agg);
+        kills.set(victim, (kills.get(victim) ?? 0) + 1);
+      }
+    }
+    for (const [victim, count] of kills) {
+      if (count > 1) {
+        violations.push(
+          `${agg} is alone with ${victim} ${count} times, but nobody is killed twice`,
+        );
+      }
+    }
+    const required = Math.max(2, Math.ceil(T / 2));
+    if (kills.size < required) {
+      violations.push(
+        `${agg} kills ${kills.size} characters, fewer than the ${required} required`,
+      );
+    }
+    const victims = [...kills.keys()].sort();
+    if ([...priv.victims].sort().join() !== victims.join()) {
+      violations.push(`the victims must be ${victims.join(", ") || "nobody"}`);
+    }
+    return violations;
+  },
+};
@@ -0,0 +1,272 @@
+/* S8: The Freeze — whoever is alone with the freeze character is frozen in
+   place for the rest of the game. The seed picks the freeze and the
+   timesteps that must freeze someone new. */
+
+import { exactlyOne } from "../cnf.js";
+import { mulberry32 } from "../random.js";
+import { companions, unexplainedStays } from "../schedule.js";
+
+export const s8 = {
+  id: "s8",
+  name: "The Freeze",
+  summary: "Mr. Freeze freezes victims in place.",
+  allowsStaying: true,
+  scoreKey: "freeze",
+  encode({ vp, clauses, X, R, C, T, group, privKeys, seededChoices }) {
+    group(
+      "s8-freeze",
+      "S8: the freeze character freezes whoever they are alone with",
+    );
+    if (T < 2) throw new Error("S8 requires at least two timesteps");
+    if (C.length < 2) throw new Error("S8 requires at least two characters");
+
+    const FRZ = C.map((_, ci) => vp.get(`FRZ_${C[ci]}`));
+    clauses.push(...exactlyOne(FRZ));
+
+    // REQ[t] demands a first-time freeze at timestep t (never the final one).
+    const REQ = Array.from({ length: T - 1 }, (_, t) =>
+      vp.get(`FRZRequired_${t}`),
+    );
+
+    const freezeDetailByVictim = Array.from({ length: C.length }, () =>
+      Array.from({ length: T }, () =>
+        Array.from({ length: R.length }, () => []),
+      ),
+    );
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let vj = 0; vj < C.length; vj++) {
+        if (ci === vj) continue;
+        for (let t = 0; t < T; t++) {
+          for (let ri = 0; ri < R.length; ri++) {
+            const detail = vp.get(`FRZKill_${C[ci]}_${C[vj]}_${t}_${R[ri]}`);
+            freezeDetailByVictim[vj][t][ri].push(detail);
+
+            clauses.push([-detail, FRZ[ci]]);
+            clauses.push([-detail, X(ci, t, ri)]);
+            clauses.push([-detail, X(vj, t, ri)]);
+            for (let ck = 0; ck < C.length; ck++) {
+              if (ck === ci || ck === vj) continue;
+              clauses.push([-detail, -X(ck, t, ri)]);
+            }
+
+            const reverse = [-FRZ[ci], -X(ci, t, ri), -X(vj, t, ri)];
+            for (let ck = 0; ck < C.length; ck++) {
+              if (ck === ci || ck === vj) continue;
+              reverse.push(X(ck, t, ri));
+            }
+            reverse.push(detail);
+            clauses.push(reverse);
+
+            for (let u = t; u < T; u++) {
+              clauses.push([-detail, X(vj, u, ri)]);
+            }
+          }
+        }
+      }
+    }
+
+    // Each required timestep must introduce a distinct, newly frozen victim.
+    for (let t = 0; t < T - 1; t++) {
+      const requiredFirstFreezes = [];
+      for (let vj = 0; vj < C.length; vj++) {
+        const requiredFirstFreeze = vp.get(`FRZRequiredFirst_${C[vj]}_${t}`);
+        const detailsAtTime = freezeDetailByVictim[vj][t].flat();
+        requiredFirstFreezes.push(requiredFirstFreeze);
+        clauses.push([-requiredFirstFreeze, ...detailsAtTime]);
+
+        for (let earlier = 0; earlier < t; earlier++) {
+          for (const detail of freezeDetailByVictim[vj][earlier].flat()) {
+            clauses.push([-requiredFirstFreeze, -detail]);
+          }
+        }
+      }
+      clauses.push([-REQ[t], ...requiredFirstFreezes]);
+    }
+
+    const freezeSupports = Array.from({ length: C.length }, () =>
+      Array.from({ length: T }, () =>
+        Array.from({ length: R.length }, () => []),
+      ),
+    );
+
+    for (let vi = 0; vi < C.length; vi++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        const seen = new Set();
+        for (let t = 0; t < T; t++) {
+          for (const detail of freezeDetailByVictim[vi][t][ri]) {
+            seen.add(detail);
+          }
+          freezeSupports[vi][t][ri] = Array.from(seen);
+        }
+      }
+    }
+
+    for (let vi = 0; vi < C.length; vi++) {
+      for (let t = 0; t < T - 1; t++) {
+        for (let ri = 0; ri < R.length; ri++) {
+          const clause = [-X(vi, t, ri), -X(vi, t + 1, ri)];
+          const support = freezeSupports[vi][t][ri];
+          if (support.length) {
+            clause.push(...support);
+          }
+          clauses.push(clause);
+        }
+      }
+    }
+
+    privKeys.FRZ = FRZ;
+    seededChoices.push((seed) => {
+      // Randomly choose which character is the freeze based on seed
+      const rng = mulberry32(seed);
+      const freezeIdx = Math.floor(rng() * C.length);
+
+      // Randomize required first-time freezes based on seed. Extra freezes may
+      // still occur outside this required set.
+      const maxRequiredKills = Math.min(3, C.length - 1, T - 1);
+      const numRequiredKills = Math.floor(rng() * maxRequiredKills) + 1;
+
+      // Randomly choose which timesteps must have kills (excluding final timestep)
+      const availableTimesteps = Array.from({ length: T - 1 }, (_, i) => i);
+      const requiredKillTimesteps = [];
+      for (
+        let i = 0;
+        i < Math.min(numRequiredKills, availableTimesteps.length);
+        i++
+      ) {
+        const idx = Math.floor(rng() * availableTimesteps.length);
+        requiredKillTimesteps.push(availableTimesteps[idx]);
+        availableTimesteps.splice(idx, 1);
+      }
+
+      const requiredTimes = requiredKillTimesteps.map((t) => t + 1);
+      return {
+        id: "s8-seeded-freezes",
+        description: `S8: ${C[freezeIdx]} is the freeze and must freeze someone new at time ${requiredTimes.join(", ")}`,
+        units: [FRZ[freezeIdx], ...requiredKillTimesteps.map((t) => REQ[t])],
+        privKeys: {
+          S8: {
+            requiredKillCount: requiredKillTimesteps.length,
+            requiredKillTimes: requiredTimes,
+          },
+        },
+      };
+    });
+  },
+  decode({ C, T, val, schedule, privKeys, priv }) {
+    let freezeChar = null;
+    for (let ci = 0; ci < C.length; ci++) {
+      if (val(`FRZ_${C[ci]}`)) {
+        freezeChar = C[ci];
+        break;
+      }
+    }
+    if (freezeChar) {
+      const victims = new Set();
+      const seenVictims = new Set();
+      const killRecords = [];
+      for (let t = 0; t < T; t++) {
+        const room = schedule[freezeChar][t];
+        const charsInRoom = C.filter((c) => schedule[c][t] === room);
+        if (charsInRoom.length === 2) {
+          const victim = charsInRoom.find((c) => c !== freezeChar);
+          if (victim) {
+            victims.add(victim);
+            if (!seenVictims.has(victim)) {
+              seenVictims.add(victim);
+              killRecords.push({ victim, time: t + 1, room });
+            }
+          }
+        }
+      }
+      priv.freeze = freezeChar;
+      priv.freeze_victims = Array.from(victims);
+      priv.freeze_kills = killRecords;
+      if (privKeys.S8) {
+        priv.freeze_required_kills = privKeys.S8.requiredKillCount;
+        priv.freeze_required_times = privKeys.S8.requiredKillTimes;
+      }
+    }
+  },
+  roles: ({ privKeys }) => [privKeys.FRZ],
+  culpritVariables: (privKeys) => privKeys.FRZ,
+  score(res, cfg) {
+    const freeze = res.priv.freeze;
+    if (!freeze) return null;
+    const kills = res.priv.freeze_kills || [];
+    const T = cfg.T;
+    const chars = cfg.chars;
+    let score = kills.length * 100;
+    let redHerrings = 0;
+    for (let t = 0; t < T; t++) {
+      for (const room of cfg.rooms) {
+        const charsInRoom = chars.filter((c) => res.schedule[c][t] === room);
+        if (charsInRoom.length === 2 && !charsInRoom.includes(freeze))
+          redHerrings++;
+      }
+    }
+    score += redHerrings * 5;
+    return score;
+  },
+  describe(res) {
+    if (!res.priv.freeze) return [];
+    const kills = res.priv.freeze_kills || [];
+    const killText = kills.map((k) => `${k.victim} @ t=${k.time}`).join("; ");
+    return [
+      {
+        type: "freeze",
+        char: res.priv.freeze,
+        text: `Froze: ${killText || "none"}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { chars, T }) {
+    const { freeze } = priv;
+    if (!chars.includes(freeze)) {
+      return [`the freeze must be a character: ${freeze}`];
+    }
+    const violations = [];
+    // The first timestep each victim is frozen, 0-based.
+    const frozenFrom = new Map();
+    for (let t = 0; t < T; t++) {
+      const others = companions(schedule, chars, t, freeze);
+      if (others.length !== 1) continue;
+      const [victim] = others;
+      const room = schedule[freeze][t];
+      if (!frozenFrom.has(victim)) frozenFrom.set(victim, t);
+      const moved = schedule[victim].findIndex((r, u) => u > t && r !== room);
+      if (moved >= 0) {
+        violations.push(
+          `${victim} is frozen in ${room} at t=${t + 1} but is in ${schedule[victim][moved]} at t=${moved + 1}`,
+        );
+      }
+    }
+    const firstFreezeTimes = new Set(
+      [...frozenFrom.values()].map((t) => t + 1),
+    );
+    for (const time of priv.freeze_required_times ?? []) {
+      if (time >= T) {
+        violations.push(
+          `the required freeze at t=${time} is not before the final timestep`,
+        );
+      } else if (!firstFreezeTimes.has(time)) {
+        violations.push(`nobody new is frozen at the required time t=${time}`);
+      }
+    }
+    const victims = [...frozenFrom.keys()].sort();
+    if ([...priv.freeze_victims].sort().join() !== victims.join()) {
+      violations.push(
+        `the frozen victims must be ${victims.join(", ") || "nobody"}`,
+      );
+    }
+    violations.push(
+      ...unexplainedStays(
+        schedule,
+        chars,
+        (ch, t) => frozenFrom.has(ch) && frozenFrom.get(ch) <= t,
+        "only frozen characters stay in place",
+      ),
+    );
+    return violations;
+  },
+};
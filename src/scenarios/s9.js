@@ -0,0 +1,220 @@
+/* S9: Doctor's Cure — frozen characters stay put until the doctor visits and
+   heals them. scenarios.s9FrozenRatio sets the share of frozen characters. */
+
+import { encodeAtLeastK, encodeAtMostK, exactlyOne } from "../cnf.js";
+import { unexplainedStays } from "../schedule.js";
+
+export const s9 = {
+  id: "s9",
+  name: "Doctor's Cure",
+  summary: "Frozen victims thaw mid-game.",
+  allowsStaying: true,
+  scoreKey: "doctor",
+  encode({ config, vp, clauses, X, R, C, T, group, privKeys }) {
+    group(
+      "s9-doctor",
+      "S9: the doctor heals frozen characters and the frozen count stays in range",
+    );
+    if (T < 3) throw new Error("S9 requires at least three timesteps");
+    if (C.length < 2) throw new Error("S9 requires at least two characters");
+    if (R.length < 2) throw new Error("S9 requires at least two rooms");
+
+    const targetFrozenRatio = Math.max(
+      0.2,
+      Math.min(0.8, Number(config.scenarios.s9FrozenRatio ?? 0.3) || 0.3),
+    );
+    const targetFrozen = Math.max(1, Math.round(C.length * targetFrozenRatio));
+    const slack = Math.max(1, Math.round(C.length * 0.15));
+    const minFrozen = Math.max(1, targetFrozen - slack);
+    const maxFrozen = Math.min(C.length - 1, targetFrozen + slack);
+    const frozenMin = Math.min(minFrozen, maxFrozen);
+    const frozenMax = Math.max(minFrozen, maxFrozen);
+
+    const DOC = C.map((_, ci) => vp.get(`S9Doctor_${C[ci]}`));
+    const FROZ = C.map((_, ci) => vp.get(`S9Frozen_${C[ci]}`));
+    const Heal = Array.from({ length: C.length }, () => Array(T).fill(null));
+    const StillFrozen = Array.from({ length: C.length }, () =>
+      Array(T).fill(null),
+    );
+    const DocAt = Array.from({ length: T }, () => Array(R.length).fill(null));
+    clauses.push(...exactlyOne(DOC));
+
+    for (let ci = 0; ci < C.length; ci++) {
+      clauses.push([-DOC[ci], -FROZ[ci]]);
+    }
+
+    encodeAtLeastK(FROZ, frozenMin, vp, clauses, "S9_FROZEN_MIN");
+    encodeAtMostK(FROZ, frozenMax, vp, clauses, "S9_FROZEN_MAX");
+
+    for (let t = 0; t < T; t++) {
+      for (let ri = 0; ri < R.length; ri++) {
+        const docAtVar = vp.get(`S9DocAt_${t}_${R[ri]}`);
+        DocAt[t][ri] = docAtVar;
+        for (let ci = 0; ci < C.length; ci++) {
+          clauses.push([-DOC[ci], -X(ci, t, ri), docAtVar]);
+          clauses.push([-docAtVar, -DOC[ci], X(ci, t, ri)]);
+        }
+      }
+    }
+
+    for (let ci = 0; ci < C.length; ci++) {
+      for (let t = 0; t < T; t++) {
+        const healName = `S9Heal_${C[ci]}_${t}`;
+        const frozenName = `S9StillFrozen_${C[ci]}_${t}`;
+        const healVar = vp.get(healName);
+        const frozenVar = vp.get(frozenName);
+        const nextFrozenVar =
+          t < T - 1
+            ? (StillFrozen[ci][t + 1] ??
+              (StillFrozen[ci][t + 1] = vp.get(
+                `S9StillFrozen_${C[ci]}_${t + 1}`,
+              )))
+            : null;
+        Heal[ci][t] = healVar;
+        StillFrozen[ci][t] = frozenVar;
+
+        clauses.push([-frozenVar, FROZ[ci]]);
+        if (t === 0) {
+          clauses.push([-FROZ[ci], frozenVar]);
+        } else {
+          clauses.push([-frozenVar, StillFrozen[ci][t - 1]]);
+          clauses.push([-frozenVar, -Heal[ci][t - 1]]);
+          clauses.push([-StillFrozen[ci][t - 1], Heal[ci][t - 1], frozenVar]);
+        }
+
+        clauses.push([-healVar, FROZ[ci]]);
+        clauses.push([-healVar, frozenVar]);
+        if (nextFrozenVar) clauses.push([-healVar, -nextFrozenVar]);
+
+        if (t === 0 || t === T - 1) clauses.push([-healVar]);
+
+        for (let ri = 0; ri < R.length; ri++) {
+          clauses.push([-healVar, -X(ci, t, ri), DocAt[t][ri]]);
+        }
+
+        if (t < T - 1) {
+          for (let ri = 0; ri < R.length; ri++) {
+            clauses.push([
+              -frozenVar,
+              healVar,
+              -X(ci, t, ri),
+              X(ci, t + 1, ri),
+            ]);
+            clauses.push([-healVar, -X(ci, t, ri), -X(ci, t + 1, ri)]);
+
+            clauses.push([-X(ci, t, ri), -X(ci, t + 1, ri), frozenVar]);
+          }
+        }
+      }
+
+      clauses.push([-FROZ[ci], ...Heal[ci].slice(1, T - 1)]);
+    }
+
+    privKeys.S9 = true;
+  },
+  decode({ C, T, val, schedule, priv }) {
+    let doctor = null;
+    const frozen = [];
+    const heals = [];
+    for (let ci = 0; ci < C.length; ci++) {
+      const ch = C[ci];
+      if (val(`S9Doctor_${ch}`)) doctor = ch;
+      if (val(`S9Frozen_${ch}`)) frozen.push(ch);
+      for (let t = 0; t < T; t++) {
+        if (val(`S9Heal_${ch}_${t}`)) {
+          heals.push({ character: ch, time: t + 1, room: schedule[ch][t] });
+        }
+      }
+    }
+    if (doctor) priv.doctor = doctor;
+    if (frozen.length) priv.frozen = frozen;
+    if (heals.length) priv.heals = heals;
+  },
+  roles: ({ vp, C }) => [C.map((c) => vp.getExisting(`S9Doctor_${c}`))],
+  score(res) {
+    if (!res.priv.doctor) return null;
+    const frozen = res.priv.frozen || [];
+    const heals = res.priv.heals || [];
+    let score = 80 + frozen.length * 40;
+    const healsByTime = new Map();
+    for (const heal of heals) {
+      healsByTime.set(heal.time, (healsByTime.get(heal.time) || 0) + 1);
+    }
+    for (const count of healsByTime.values()) {
+      score += Math.max(0, count - 1) * 15;
+    }
+    return score;
+  },
+  describe(res) {
+    if (!res.priv.doctor) return [];
+    const heals = res.priv.heals || [];
+    const healText = heals
+      .map((h) => `${h.character} @ t=${h.time}`)
+      .join("; ");
+    return [
+      {
+        type: "doctor",
+        char: res.priv.doctor,
+        text: `Healed: ${healText || "none"}`,
+      },
+    ];
+  },
+  verify({ schedule, priv }, { chars, T }) {
+    const { doctor, frozen = [], heals = [] } = priv;
+    if (!chars.includes(doctor)) {
+      return [`the doctor must be a character: ${doctor}`];
+    }
+    const violations = [];
+    if (!frozen.length) violations.push("nobody starts frozen");
+    if (frozen.includes(doctor)) {
+      violations.push(`the doctor ${doctor} cannot start frozen`);
+    }
+    const healTimes = new Map();
+    for (const { character, time } of heals) {
+      if (!frozen.includes(character)) {
+        violations.push(
+          `${character} is healed at t=${time} without being frozen`,
+        );
+      } else if (healTimes.has(character)) {
+        violations.push(`${character} is healed more than once`);
+      } else {
+        healTimes.set(character, time);
+      }
+    }
+    for (const ch of frozen) {
+      const time = healTimes.get(ch);
+      if (time == null) {
+        violations.push(`${ch} starts frozen but is never healed`);
+        continue;
+      }
+      if (time <= 1 || time >= T) {
+        violations.push(
+          `${ch} is healed at t=${time}, but heals never happen on the first or last timestep`,
+        );
+        continue;
+      }
+      const start = schedule[ch][0];
+      const moved = schedule[ch].findIndex(
+        (room, t) => t < time && room !== start,
+      );
+      if (moved >= 0) {
+        violations.push(
+          `${ch} leaves ${start} at t=${moved + 1} while still frozen`,
+        );
+      }
+      if (schedule[doctor][time - 1] !== schedule[ch][time - 1]) {
+        violations.push(`${ch} is healed at t=${time} without the doctor`);
+      }
+    }
+    // A frozen character stays until healed and moves on right after.
+    violations.push(
+      ...unexplainedStays(
+        schedule,
+        chars,
+        (ch, t) => healTimes.has(ch) && t < healTimes.get(ch) - 1,
+        "only characters who are still frozen stay in place",
+      ),
+    );
+    return violations;
+  },
+};
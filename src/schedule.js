@@ -0,0 +1,53 @@
+/* Read-only views of a decoded schedule ({ char: [room per timestep] }) for
+   the rule checkers, which work from the schedule alone and never from the
+   CNF. Timesteps are 0-based here, like schedule rows. */
+
+// The characters in room at timestep t, in character order.
+export function occupants(schedule, chars, t, room) {
+  return chars.filter((ch) => schedule[ch][t] === room);
+}
+
+// Maps every occupied room at timestep t to its characters.
+export function roomsAt(schedule, chars, t) {
+  const rooms = new Map();
+  for (const ch of chars) {
+    const room = schedule[ch][t];
+    if (!rooms.has(room)) rooms.set(room, []);
+    rooms.get(room).push(ch);
+  }
+  return rooms;
+}
+
+// The characters sharing a room with ch at timestep t.
+export function companions(schedule, chars, t, ch) {
+  return chars.filter(
+    (other) => other !== ch && schedule[other][t] === schedule[ch][t],
+  );
+}
+
+// Whether ch stays in the same room from timestep t to t + 1.
+export function stays(schedule, ch, t) {
+  return schedule[ch][t] === schedule[ch][t + 1];
+}
+
+// The distinct rooms ch visits over the whole timeline.
+export function roomsVisited(schedule, ch) {
+  return new Set(schedule[ch]);
+}
+
+// Lists every stay (ch, t) in the schedule that allowed(ch, t) rejects, as
+// violation messages. Staying scenarios use it to check that each stay is one
+// their rules explain.
+export function unexplainedStays(schedule, chars, allowed, reason) {
+  const violations = [];
+  for (const ch of chars) {
+    for (let t = 0; t + 1 < schedule[ch].length; t++) {
+      if (stays(schedule, ch, t) && !allowed(ch, t)) {
+        violations.push(
+          `${ch} stays in ${schedule[ch][t]} from t=${t + 1} to t=${t + 2}, but ${reason}`,
+        );
+      }
+    }
+  }
+  return violations;
+}
@@ -0,0 +1,99 @@
+/* Independent rule checking. verifyScenario re-reads a decoded scenario's
+   schedule and private facts against the rules in the README, using each
+   enabled scenario's verify hook and never the CNF, so an encoding bug shows
+   up as a violation instead of a broken puzzle. */
+
+import { neighbors } from "./map.js";
+import { enabledScenarios } from "./scenario-registry.js";
+import { roomsAt, stays } from "./schedule.js";
+
+// Checks that the schedule has one known room per character and timestep and
+// that every move follows a map edge. Staying in place is only legal when an
+// enabled scenario can keep characters in place; which stays it explains is
+// up to that scenario's own checker.
+function verifyMovement(res, cfg) {
+  const { rooms, chars, T } = cfg;
+  const { idx, nbr } = neighbors(rooms, cfg.edges ?? [], false);
+  const mayStay = enabledScenarios(cfg).some(
+    (scenario) => scenario.allowsStaying || scenario.relaxesMovement,
+  );
+  const violations = [];
+  for (const ch of chars) {
+    const row = res.schedule?.[ch];
+    if (!Array.isArray(row) || row.length !== T) {
+      violations.push(`${ch} needs a room for each of the ${T} timesteps`);
+      continue;
+    }
+    const unknown = row.findIndex((room) => !idx.has(room));
+    if (unknown >= 0) {
+      violations.push(
+        `${ch} is in an unknown room at t=${unknown + 1}: ${row[unknown]}`,
+      );
+      continue;
+    }
+    for (let t = 0; t + 1 < T; t++) {
+      if (stays(res.schedule, ch, t)) {
+        if (!mayStay) {
+          violations.push(
+            `${ch} stays in ${row[t]} from t=${t + 1} to t=${t + 2}`,
+          );
+        }
+      } else if (!nbr[idx.get(row[t])].includes(idx.get(row[t + 1]))) {
+        violations.push(
+          `${ch} moves from ${row[t]} to ${row[t + 1]} at t=${t + 2}, which are not adjacent`,
+        );
+      }
+    }
+  }
+  return violations;
+}
+
+// Checks that no room holds more characters than its capacity in
+// cfg.roomInfo at any timestep.
+function verifyCapacity(res, cfg) {
+  const violations = [];
+  for (let t = 0; t < cfg.T; t++) {
+    for (const [room, chars] of roomsAt(res.schedule, cfg.chars, t)) {
+      const capacity = cfg.roomInfo?.[room]?.capacity ?? Infinity;
+      if (chars.length > capacity) {
+        violations.push(
+          `${room} holds ${chars.length} characters at t=${t + 1}, more than its capacity of ${capacity}`,
+        );
+      }
+    }
+  }
+  return violations;
+}
+
+// Returns the rule violations of a decoded scenario as
+// [{ scenario, message }], where scenario is "movement", "capacity" or the
+// id of the enabled scenario whose rule is broken; an empty list means the
+// scenario follows every checked rule. Scenarios without a verify hook are
+// not checked, and capacities and scenario checkers only run once every
+// character has a known room at every timestep.
+export function verifyScenario(res, cfg) {
+  const movement = verifyMovement(res, cfg).map((message) => ({
+    scenario: "movement",
+    message,
+  }));
+  const malformed = cfg.chars.some((ch) => {
+    const row = res.schedule?.[ch];
+    return (
+      row?.length !== cfg.T || row.some((room) => !cfg.rooms.includes(room))
+    );
+  });
+  if (malformed) return movement;
+  const violations = [
+    ...movement,
+    ...verifyCapacity(res, cfg).map((message) => ({
+      scenario: "capacity",
+      message,
+    })),
+  ];
+  for (const scenario of enabledScenarios(cfg)) {
+    for (const message of scenario.verify?.(res, cfg) ?? []) {
+      violations.push({ scenario: scenario.id, message });
+    }
+  }
+  return violations;
+}